@@ -0,0 +1,244 @@
+/**
+ * LinkedIn Zip Solver - Puzzle Archive
+ * @description Past puzzles in chrome.storage.local, shared by the content script and the archive page
+ * @version 1.0.0
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const ARCHIVE = {
+  STORAGE_KEY: 'puzzleArchive',
+  FILE_FORMAT: 'linkedin-zip-solver-archive',
+  FILE_VERSION: 1,
+  MAX_GRID_SIZE: 20              // Larger grids are rejected on import
+};
+
+/**
+ * @typedef {Object} ArchivedPuzzle
+ * @property {string} key - Archive key (see archiveKey)
+ * @property {string|null} id - LinkedIn puzzle ID
+ * @property {string|null} date - Puzzle date
+ * @property {number} rows - Number of rows
+ * @property {number} cols - Number of columns
+ * @property {number[]} waypoints - Numbered cells in order
+ * @property {number[][]} walls - Pairs of neighbouring cells separated by a wall
+ * @property {number[]|null} solution - Embedded solution
+ * @property {string} savedAt - When the puzzle was archived (ISO 8601)
+ */
+
+// Keys already stored from this page (avoids a storage write per solve)
+const archivedKeys = new Set();
+
+// Writes run one after the other: each one reads and replaces the archive
+const archiveWrites = createWriteQueue();
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+/**
+ * Returns the archive key of a puzzle: its ID and date
+ * @param {{id: string|null, date: string|null}} puzzle - Puzzle
+ * @returns {string|null} Null if the puzzle has neither
+ */
+function archiveKey(puzzle) {
+  if (!puzzle.id && !puzzle.date) return null;
+  return `${puzzle.id || 'unknown'}@${puzzle.date || 'undated'}`;
+}
+
+/**
+ * Loads the archive
+ * @returns {Promise<Object<string, ArchivedPuzzle>>} Puzzles by archive key
+ */
+async function loadArchive() {
+  const stored = await chrome.storage.local.get(ARCHIVE.STORAGE_KEY);
+  const archive = stored[ARCHIVE.STORAGE_KEY];
+  return archive && typeof archive === 'object' ? archive : {};
+}
+
+/**
+ * Changes the archive once the earlier changes are written
+ * @param {Function} change - Edits the archive it receives in place; returning
+ *   false leaves the stored archive as it is
+ * @returns {Promise<*>} What change returned
+ */
+function updateArchive(change) {
+  return archiveWrites(async () => {
+    const archive = await loadArchive();
+    const result = change(archive);
+    if (result !== false) {
+      await chrome.storage.local.set({ [ARCHIVE.STORAGE_KEY]: archive });
+    }
+    return result;
+  });
+}
+
+/**
+ * Saves a puzzle read from the page (puzzles without ID and date are skipped)
+ * @param {ZipPuzzle} puzzle - Puzzle from the game data
+ * @param {Object} [logger] - Logger for the outcome (see createLogger in logger.js)
+ * @returns {Promise<boolean>} True if the archive changed
+ */
+async function archivePuzzle(puzzle, logger = null) {
+  const key = archiveKey(puzzle);
+  if (!key || archivedKeys.has(key)) return false;
+  archivedKeys.add(key);
+  
+  try {
+    const entry = toArchivedPuzzle(puzzle, new Date().toISOString());
+    const changed = await updateArchive((archive) => {
+      // Keep the original save time (and a known solution) of a puzzle seen before
+      const existing = archive[key];
+      if (existing && (existing.solution || !entry.solution)) return false;
+      
+      archive[key] = existing ? { ...entry, savedAt: existing.savedAt } : entry;
+      return true;
+    });
+    
+    if (changed && logger) logger.info(`🗄️ Puzzle archived: ${key}`);
+    return changed;
+  } catch (error) {
+    archivedKeys.delete(key);
+    if (logger) logger.warn('⚠️ Could not archive the puzzle:', error);
+    return false;
+  }
+}
+
+/**
+ * Deletes puzzles from the archive
+ * @param {string[]} keys - Archive keys
+ * @returns {Promise<void>}
+ */
+async function deleteArchivedPuzzles(keys) {
+  await updateArchive((archive) => {
+    keys.forEach(key => {
+      delete archive[key];
+    });
+  });
+}
+
+// ============================================================================
+// IMPORT & EXPORT
+// ============================================================================
+
+/**
+ * Builds the export file content
+ * @param {ArchivedPuzzle[]} puzzles - Puzzles to export
+ * @returns {Object} Export file (JSON-serialisable)
+ */
+function buildArchiveExport(puzzles) {
+  return {
+    format: ARCHIVE.FILE_FORMAT,
+    version: ARCHIVE.FILE_VERSION,
+    exportedAt: new Date().toISOString(),
+    puzzles
+  };
+}
+
+/**
+ * Merges an export file into the archive. Imported puzzles replace stored
+ * ones with the same ID and date.
+ * @param {Object|Array} data - Parsed export file (or a plain list of puzzles)
+ * @returns {Promise<{added: number, updated: number, unchanged: number, invalid: string[]}>}
+ *   Counts, and a message for every rejected puzzle
+ * @throws {Error} If the file is not an archive export
+ */
+async function importArchive(data) {
+  const puzzles = Array.isArray(data) ? data : data && data.puzzles;
+  
+  if (!Array.isArray(puzzles)) {
+    throw new Error('Not a puzzle archive: "puzzles" list is missing');
+  }
+  if (!Array.isArray(data) && data.format !== ARCHIVE.FILE_FORMAT) {
+    throw new Error(`Not a puzzle archive: unknown format "${data.format}"`);
+  }
+  if (!Array.isArray(data) && data.version > ARCHIVE.FILE_VERSION) {
+    throw new Error(`Archive version ${data.version} is newer than this extension supports`);
+  }
+  
+  return updateArchive(archive => mergePuzzles(archive, puzzles));
+}
+
+/**
+ * Merges checked puzzles into the archive (see importArchive)
+ * @param {Object<string, ArchivedPuzzle>} archive - Archive, changed in place
+ * @param {Object[]} puzzles - Puzzles from the import file
+ * @returns {{added: number, updated: number, unchanged: number, invalid: string[]}}
+ */
+function mergePuzzles(archive, puzzles) {
+  const result = { added: 0, updated: 0, unchanged: 0, invalid: [] };
+  
+  puzzles.forEach((puzzle, index) => {
+    const problem = checkArchivedPuzzle(puzzle);
+    if (problem) {
+      result.invalid.push(`Puzzle ${index + 1}: ${problem}`);
+      return;
+    }
+    
+    const entry = toArchivedPuzzle(puzzle, puzzle.savedAt || new Date().toISOString());
+    const existing = archive[entry.key];
+    
+    if (!existing) {
+      result.added++;
+    } else if (JSON.stringify({ ...existing, savedAt: null }) === JSON.stringify({ ...entry, savedAt: null })) {
+      result.unchanged++;
+      return;
+    } else {
+      result.updated++;
+    }
+    
+    archive[entry.key] = entry;
+  });
+  
+  return result;
+}
+
+/**
+ * Checks the shape of a puzzle from an import file
+ * @param {Object} puzzle - Imported puzzle
+ * @returns {string|null} What is wrong, or null if it can be stored
+ */
+function checkArchivedPuzzle(puzzle) {
+  if (!puzzle || typeof puzzle !== 'object') return 'not an object';
+  if (!archiveKey(puzzle)) return 'needs an id or a date';
+  
+  const { rows, cols } = puzzle;
+  const isSize = value => Number.isInteger(value) && value >= 2 && value <= ARCHIVE.MAX_GRID_SIZE;
+  if (!isSize(rows) || !isSize(cols)) return `invalid grid size ${rows}x${cols}`;
+  
+  const isCell = value => Number.isInteger(value) && value >= 0 && value < rows * cols;
+  if (!Array.isArray(puzzle.waypoints) || puzzle.waypoints.length < 2 || !puzzle.waypoints.every(isCell)) {
+    return 'invalid waypoints';
+  }
+  if (!Array.isArray(puzzle.walls) || !puzzle.walls.every(wall => Array.isArray(wall) && wall.length === 2 && wall.every(isCell))) {
+    return 'invalid walls';
+  }
+  if (puzzle.solution !== null && puzzle.solution !== undefined &&
+      (!Array.isArray(puzzle.solution) || !puzzle.solution.every(isCell))) {
+    return 'invalid solution';
+  }
+  
+  return null;
+}
+
+/**
+ * Copies the stored fields of a puzzle
+ * @param {Object} puzzle - ZipPuzzle or imported puzzle
+ * @param {string} savedAt - Save time (ISO 8601)
+ * @returns {ArchivedPuzzle}
+ */
+function toArchivedPuzzle(puzzle, savedAt) {
+  return {
+    key: archiveKey(puzzle),
+    id: puzzle.id ? String(puzzle.id) : null,
+    date: puzzle.date ? String(puzzle.date) : null,
+    rows: puzzle.rows,
+    cols: puzzle.cols,
+    waypoints: puzzle.waypoints.slice(),
+    walls: puzzle.walls.map(wall => wall.slice()),
+    solution: puzzle.solution ? puzzle.solution.slice() : null,
+    savedAt
+  };
+}
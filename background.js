@@ -1,43 +1,127 @@
 /**
  * LinkedIn Zip Solver - Background Service Worker
- * @description Triggers the content script when the extension icon is clicked
+ * @description Triggers the content script from the popup and the icon's context menu
  * @version 1.0.0
  */
 
+// Shared settings (SETTINGS_DEFAULTS, loadSettings, ...), the supported games, the logger
+// and the run history (for the diagnostic bundle)
+importScripts('settings.js', 'games.js', 'logger.js', 'history.js');
+
 // ============================================================================
 // CONSTANTS
 // ============================================================================
 
 const CONFIG = {
-  LINKEDIN_ZIP_URL: 'https://www.linkedin.com/games/zip/',
-  LINKEDIN_ZIP_URL_PATTERN: 'linkedin.com/games/zip',
   SCRIPT_INJECTION_DELAY_MS: 100,
   MESSAGE_TIMEOUT_MS: 5000,
-  PAGE_LOAD_DELAY_MS: 500,      // Initial attempt delay (reduced)
-  RETRY_DELAY_MS: 200,           // Retry delay
-  MAX_RETRIES: 10,               // Maximum number of retries (10 x 200ms = 2 seconds)
+  NO_RECEIVER_ERROR: 'Receiving end does not exist', // lastError of a tab without the content script
   FILES: {
-    CONTENT_SCRIPT: 'content.js'
+    CONTENT_SCRIPTS: ['settings.js', 'logger.js', 'history.js', 'archive.js', 'games.js', 'puzzle.js', 'queens.js', 'content.js'],
+    NETWORK_INTERCEPTOR: 'interceptor.js' // Runs in the page's main world
   },
   MESSAGES: {
+    RUN_MODE: 'runMode',
+    CONTROL_SOLVE: 'controlSolve',
+    GET_SOLVE_STATE: 'getSolveState',
+    SOLVE_PROGRESS: 'solveProgress',
     SOLVE_PUZZLE: 'solvePuzzle',
-    CHECK_READY: 'checkReady'
+    STOP_SOLVE: 'stopSolve',
+    PAUSE_SOLVE: 'pauseSolve',
+    RESUME_SOLVE: 'resumeSolve',
+    CHECK_READY: 'checkReady',
+    BOARD_READY: 'boardReady',
+    PAGE_CHANGED: 'pageChanged',
+    SHOW_HINT: 'showHint',
+    TOGGLE_PREVIEW: 'togglePreview'
+  },
+  BADGE: {
+    CLEAR_DELAY_MS: 3000,       // How long the final state stays on the icon
+    // Badge per solve state (running shows the percentage)
+    STATES: {
+      running: { text: null, color: '#3b82f6' },
+      paused: { text: '❚❚', color: '#f59e0b' },
+      cancelled: { text: '■', color: '#6b7280' },
+      finished: { text: '✓', color: '#10b981' },
+      error: { text: '✗', color: '#ef4444' }
+    },
+    // Badge per run state (see RUN_STATE; idle clears it)
+    RUN_STATES: {
+      navigating: { text: '⟳', color: '#3b82f6' },
+      'waiting-ready': { text: '…', color: '#3b82f6' },
+      solving: { text: '▶', color: '#3b82f6' },
+      done: { text: '✓', color: '#10b981' },
+      failed: { text: '✗', color: '#ef4444' }
+    }
   }
 };
 
+// Per-tab run state machine, kept in chrome.storage.session so that a
+// restarted service worker picks the runs up again (see RUN STATE)
+const RUN_STATE = {
+  STORAGE_KEY: 'tabRuns',
+  // State -> states it may change to (only a solving run is updated in place, with its progress)
+  TRANSITIONS: {
+    idle: ['navigating', 'waiting-ready', 'solving'],
+    navigating: ['waiting-ready', 'failed', 'idle'],
+    'waiting-ready': ['solving', 'failed', 'idle'],
+    solving: ['solving', 'done', 'failed', 'idle'],
+    done: ['navigating', 'waiting-ready', 'solving', 'idle'],
+    failed: ['navigating', 'waiting-ready', 'solving', 'idle']
+  },
+  ACTIVE: ['navigating', 'waiting-ready', 'solving'],
+  FINAL: ['done', 'failed']
+};
+
+// Popup commands and the content-script messages they are forwarded as
+const SOLVE_COMMANDS = {
+  stop: CONFIG.MESSAGES.STOP_SOLVE,
+  pause: CONFIG.MESSAGES.PAUSE_SOLVE,
+  resume: CONFIG.MESSAGES.RESUME_SOLVE
+};
+
+// Entries of the extension icon's context menu (right-click), next to the
+// popup on left-click
+const CONTEXT_MENU_ITEMS = [
+  {
+    id: 'zip-solver-show-hint',
+    title: 'Show hint (next move)',
+    message: { action: CONFIG.MESSAGES.SHOW_HINT }
+  },
+  {
+    id: 'zip-solver-preview-full',
+    title: 'Preview full path',
+    message: { action: CONFIG.MESSAGES.TOGGLE_PREVIEW, mode: 'full' }
+  },
+  {
+    id: 'zip-solver-preview-next',
+    title: 'Preview path to the next number',
+    message: { action: CONFIG.MESSAGES.TOGGLE_PREVIEW, mode: 'next-waypoint' }
+  },
+  {
+    id: 'zip-solver-preview-animate',
+    title: 'Preview path step by step',
+    message: { action: CONFIG.MESSAGES.TOGGLE_PREVIEW, mode: 'animate' }
+  },
+  {
+    id: 'zip-solver-stop',
+    title: 'Stop solving',
+    message: { action: CONFIG.MESSAGES.STOP_SOLVE }
+  }
+];
+
+// Keyboard commands (manifest "commands") and the message each one sends
+const KEYBOARD_COMMANDS = {
+  'solve-puzzle': (settings) => buildModeMessage('solve', settings),
+  'show-hint': (settings) => buildModeMessage('hint', settings),
+  'toggle-preview': (settings) => buildModeMessage('preview', settings),
+  'stop-solve': () => ({ action: CONFIG.MESSAGES.STOP_SOLVE })
+};
+
 // ============================================================================
 // HELPER FUNCTIONS
 // ============================================================================
 
-/**
- * Checks if the URL is a LinkedIn Zip game page
- * @param {string} url - URL to check
- * @returns {boolean}
- */
-function isLinkedInZipPage(url) {
-  return url && url.includes(CONFIG.LINKEDIN_ZIP_URL_PATTERN);
-}
-
 /**
  * Sends a message to the content script
  * @param {number} tabId - Tab ID
@@ -63,7 +147,8 @@ async function sendMessageToTab(tabId, message) {
 }
 
 /**
- * Injects the content script into the page
+ * Injects the content script into the page, with the network interceptor
+ * (it only sees requests made after this)
  * @param {number} tabId - Tab ID
  * @returns {Promise<void>}
  */
@@ -71,18 +156,25 @@ async function injectContentScript(tabId) {
   try {
     await chrome.scripting.executeScript({
       target: { tabId: tabId },
-      files: [CONFIG.FILES.CONTENT_SCRIPT]
+      files: [CONFIG.FILES.NETWORK_INTERCEPTOR],
+      world: 'MAIN'
+    });
+    await chrome.scripting.executeScript({
+      target: { tabId: tabId },
+      files: CONFIG.FILES.CONTENT_SCRIPTS
     });
     
-    console.log(`✅ Content script injected successfully (Tab ID: ${tabId})`);
+    logger.debug(`✅ Content script injected successfully (Tab ID: ${tabId})`);
   } catch (error) {
-    console.error('❌ Failed to inject content script:', error);
+    logger.error('❌ Failed to inject content script:', error);
     throw new Error(`Script injection error: ${error.message}`);
   }
 }
 
 /**
- * Sends a message to the content script, injecting it if necessary
+ * Sends a message to the content script, injecting it if the tab has none.
+ * Other failures (a timeout, a closed tab) are thrown as they are: injecting
+ * again would load a second copy of the scripts.
  * @param {number} tabId - Tab ID
  * @param {Object} message - Message
  * @returns {Promise<Object>} Response
@@ -94,7 +186,9 @@ async function sendMessageWithInjection(tabId, message) {
     return response;
     
   } catch (error) {
-    console.log('ℹ️ Content script not loaded, injecting...');
+    if (!error.message.includes(CONFIG.NO_RECEIVER_ERROR)) throw error;
+    
+    logger.info('ℹ️ Content script not loaded, injecting...');
     
     try {
       // Inject the content script
@@ -108,149 +202,427 @@ async function sendMessageWithInjection(tabId, message) {
       return response;
       
     } catch (injectError) {
-      console.error('❌ Script injection and message sending failed:', injectError);
+      logger.error('❌ Script injection and message sending failed:', injectError);
       throw injectError;
     }
   }
 }
 
+/**
+ * Builds the content-script message for a mode
+ * @param {string} mode - solve, hint or preview
+ * @param {Object} settings - Current settings
+ * @returns {Object} Message
+ */
+function buildModeMessage(mode, settings) {
+  switch (mode) {
+    case 'hint':
+      return { action: CONFIG.MESSAGES.SHOW_HINT };
+    case 'preview':
+      return { action: CONFIG.MESSAGES.TOGGLE_PREVIEW, mode: settings.previewMode };
+    default:
+      return { action: CONFIG.MESSAGES.SOLVE_PUZZLE };
+  }
+}
+
+/**
+ * Shows a solve's state on the extension icon of its tab
+ * @param {number} tabId - Tab ID
+ * @param {{state: string, step: number, total: number}} progress - Latest progress
+ * @returns {Promise<void>}
+ */
+async function updateProgressBadge(tabId, progress) {
+  const badge = CONFIG.BADGE.STATES[progress.state];
+  if (!badge) return;
+  
+  const text = badge.text !== null
+    ? badge.text
+    : `${progress.total > 0 ? Math.floor((progress.step / progress.total) * 100) : 0}%`;
+  
+  await showBadge(tabId, { text, color: badge.color }, ['cancelled', 'finished', 'error'].includes(progress.state));
+}
+
+/**
+ * Sets the extension icon's badge of a tab
+ * @param {number} tabId - Tab ID
+ * @param {{text: string, color: string}} badge - Badge
+ * @param {boolean} final - Clear it after a while, unless a new run has started meanwhile
+ * @returns {Promise<void>}
+ */
+async function showBadge(tabId, badge, final) {
+  try {
+    await chrome.action.setBadgeText({ text: badge.text, tabId });
+    await chrome.action.setBadgeBackgroundColor({ color: badge.color, tabId });
+    
+    if (final) {
+      setTimeout(async () => {
+        try {
+          const run = await getTabRun(tabId);
+          if (!RUN_STATE.ACTIVE.includes(run.state)) {
+            await chrome.action.setBadgeText({ text: '', tabId });
+          }
+        } catch (e) {
+          // Tab may have been closed
+        }
+      }, CONFIG.BADGE.CLEAR_DELAY_MS);
+    }
+  } catch (error) {
+    logger.error('Could not update the badge:', error);
+  }
+}
+
 // ============================================================================
 // STATE TRACKING
 // ============================================================================
 
-let pendingSolveTabId = null; // Tab waiting for automatic solving
+// Leveled logger (see logger.js), also keeping the content scripts' entries
+const logger = createLogger('background', entry => storeLogEntries([entry]));
+loadSettings(logger).then(settings => logger.setLevel(settings.logLevel));
+watchSettings(settings => logger.setLevel(settings.logLevel), logger);
+
+// Runs themselves are in chrome.storage.session (see RUN STATE); these only
+// cache events of this service worker's lifetime
+const readyBoardTabs = new Set(); // Tabs whose content script has reported the board ready (until they reload)
+const boardReadyWaiters = new Map(); // Tab ID -> callbacks of the runs waiting for its board
+
+// ============================================================================
+// RUN STATE
+// ============================================================================
+
+/**
+ * @typedef {Object} TabRun
+ * @property {string} state - idle, navigating, waiting-ready, solving, done or failed
+ * @property {Object} [message] - Content-script message of the run (with its game)
+ * @property {number} [deadline] - waiting-ready: when the run is tried anyway (ms since epoch)
+ * @property {Object} [progress] - solving: latest progress of a solve
+ * @property {string} [error] - failed: what went wrong
+ * @property {string} [autoRunPuzzle] - Last puzzle the autoRun setting ran on
+ *   in the tab ("game:puzzleId"), kept while the tab is idle until it closes
+ * @property {number} [updatedAt] - Last state change (ms since epoch)
+ */
+
+// Updates run one after the other: each one reads and replaces every tab's run
+const tabRunWrites = createWriteQueue();
+
+/**
+ * Loads the run of every tab that is not idle or has auto-run a puzzle
+ * @returns {Promise<Object<string, TabRun>>} Tab ID -> run
+ */
+async function loadTabRuns() {
+  const stored = await chrome.storage.session.get(RUN_STATE.STORAGE_KEY);
+  return stored[RUN_STATE.STORAGE_KEY] || {};
+}
+
+/**
+ * Loads a tab's run
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<TabRun>} { state: 'idle' } for a tab without a run
+ */
+async function getTabRun(tabId) {
+  // Read after the changes already on their way
+  return tabRunWrites(async () => {
+    const runs = await loadTabRuns();
+    return runs[tabId] || { state: 'idle' };
+  });
+}
+
+/**
+ * Moves a tab's run to a new state, if RUN_STATE.TRANSITIONS allows it. The
+ * change is logged and shown on the tab's badge.
+ * @param {number} tabId - Tab ID
+ * @param {string} state - New state
+ * @param {Object} [fields] - Run details for the new state (the message is kept)
+ * @param {Object} [options]
+ * @param {string[]} [options.from] - Only change from these states
+ * @param {boolean} [options.badge] - Show the state on the badge (false when a progress badge shows it)
+ * @returns {Promise<TabRun|null>} The new run, null if the change was refused
+ */
+async function setTabRunState(tabId, state, fields = {}, { from = null, badge = true } = {}) {
+  let previous = null;
+  let run = null;
+  
+  await tabRunWrites(async () => {
+    const runs = await loadTabRuns();
+    const current = runs[tabId] || { state: 'idle' };
+    if (from && !from.includes(current.state)) return;
+    if (!RUN_STATE.TRANSITIONS[current.state].includes(state)) return;
+    
+    previous = current.state;
+    run = { state, message: current.message, autoRunPuzzle: current.autoRunPuzzle, ...fields, updatedAt: Date.now() };
+    if (state !== 'idle') {
+      runs[tabId] = run;
+    } else if (run.autoRunPuzzle) {
+      // Only the auto-run puzzle is kept, so a reload does not run it again
+      runs[tabId] = { state, autoRunPuzzle: run.autoRunPuzzle, updatedAt: run.updatedAt };
+    } else {
+      delete runs[tabId];
+    }
+    await chrome.storage.session.set({ [RUN_STATE.STORAGE_KEY]: runs });
+  }).catch((error) => {
+    run = null;
+    logger.error('❌ Could not save the run state:', error);
+  });
+  
+  if (!run) return null;
+  
+  if (previous !== state) {
+    logger.info(`🔁 Tab ${tabId}: ${previous} → ${state}${fields.error ? ` (${fields.error})` : ''}`);
+    
+    if (badge) {
+      const runBadge = CONFIG.BADGE.RUN_STATES[state];
+      if (runBadge) {
+        await showBadge(tabId, runBadge, RUN_STATE.FINAL.includes(state));
+      } else {
+        await chrome.action.setBadgeText({ text: '', tabId }).catch(() => {});
+      }
+    }
+  }
+  
+  return run;
+}
+
+/**
+ * Drops everything kept about a closed tab: its run and its auto-run puzzle
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<void>}
+ */
+async function forgetTabRun(tabId) {
+  await tabRunWrites(async () => {
+    const runs = await loadTabRuns();
+    if (!runs[tabId]) return;
+    
+    if (runs[tabId].state !== 'idle') {
+      logger.info(`🔁 Tab ${tabId}: ${runs[tabId].state} → idle (tab closed)`);
+    }
+    delete runs[tabId];
+    await chrome.storage.session.set({ [RUN_STATE.STORAGE_KEY]: runs });
+  }).catch((error) => {
+    logger.error('❌ Could not save the run state:', error);
+  });
+}
+
+/**
+ * Picks up the runs of a previous service worker: runs that were waiting
+ * for their board wait again, for the rest of their timeout. Navigating
+ * and solving runs continue with the next tab update or progress message.
+ * @returns {Promise<void>}
+ */
+async function resumeTabRuns() {
+  const runs = await loadTabRuns();
+  
+  await Promise.all(Object.entries(runs).map(async ([key, run]) => {
+    const tabId = Number(key);
+    
+    // The tab was closed while the worker was stopped
+    try {
+      await chrome.tabs.get(tabId);
+    } catch (error) {
+      await forgetTabRun(tabId);
+      return;
+    }
+    
+    if (run.state === 'waiting-ready') {
+      logger.info(`♻️ Resuming the ${run.message.action} run waiting for its board (Tab ID: ${tabId})`);
+      await runWhenBoardReady(tabId, run);
+    }
+  }));
+}
 
 // ============================================================================
 // EVENT HANDLERS
 // ============================================================================
 
 /**
- * Runs when the extension icon is clicked
+ * Runs a mode on the active tab (popup's run button)
  * @param {chrome.tabs.Tab} tab - Active tab
+ * @param {string} [mode] - solve, hint or preview (defaults to the saved mode)
  */
-async function handleActionClick(tab) {
-  console.log('🎯 Extension icon clicked');
+async function handleActionClick(tab, mode) {
+  logger.info('🎯 Run requested from the popup');
   
   // Input validation
   if (!tab || !tab.id) {
-    console.error('❌ Invalid tab information');
+    logger.error('❌ Invalid tab information');
     return;
   }
   
-  // URL check - if not on the LinkedIn Zip page, go there
-  if (!isLinkedInZipPage(tab.url)) {
-    console.log('📍 Redirecting to the LinkedIn Zip page...');
+  const settings = await loadSettings(logger);
+  const adapter = findGameAdapter(tab.url);
+  
+  // URL check - if not on a game page, go to the default game
+  if (!adapter) {
+    const game = GAME_ADAPTERS[DEFAULT_GAME];
+    logger.info(`📍 Redirecting to the LinkedIn ${game.name} page...`);
+    
+    // Mark this tab for automatic solving once the game page has loaded
+    const message = { ...buildModeMessage(mode || settings.mode, settings), game: game.id };
+    if (!await setTabRunState(tab.id, 'navigating', { message })) {
+      logger.warn(`⚠️ A run is already in progress (Tab ID: ${tab.id})`);
+      return;
+    }
     
     try {
-      // Show badge
-      await chrome.action.setBadgeText({ 
-        text: '⟳', 
-        tabId: tab.id 
-      });
-      await chrome.action.setBadgeBackgroundColor({ 
-        color: '#3b82f6', 
-        tabId: tab.id 
-      });
-      
-      // Mark this tab for automatic solving
-      pendingSolveTabId = tab.id;
-      
-      // Redirect to the LinkedIn Zip page
+      // Redirect to the game page
       await chrome.tabs.update(tab.id, { 
-        url: CONFIG.LINKEDIN_ZIP_URL
+        url: game.url
       });
       
-      console.log('✅ Page redirection started');
+      logger.info('✅ Page redirection started');
       
     } catch (error) {
-      console.error('❌ Redirect error:', error);
-      pendingSolveTabId = null;
+      logger.error('❌ Redirect error:', error);
+      await setTabRunState(tab.id, 'failed', { error: error.message });
     }
     
     return;
   }
   
-  // If already on the LinkedIn Zip page, solve directly
-  console.log(`✅ LinkedIn Zip page detected (Tab ID: ${tab.id})`);
-  await solvePuzzleInTab(tab.id, CONFIG.MAX_RETRIES);
+  // If already on a game page, send the mode to that game
+  logger.info(`✅ LinkedIn ${adapter.name} page detected (Tab ID: ${tab.id})`);
+  const message = { ...buildModeMessage(mode || settings.mode, settings), game: adapter.id };
+  await solvePuzzleInTab(tab.id, message);
 }
 
 /**
- * Solves the puzzle in the specified tab (with smart retry)
+ * Solves the puzzle in the specified tab once its board is ready
  * @param {number} tabId - Tab ID
- * @param {number} retryCount - Remaining number of retries
+ * @param {Object} [message] - Message to send once the page is ready (defaults to a full solve)
  */
-async function solvePuzzleInTab(tabId, retryCount = CONFIG.MAX_RETRIES) {
+async function solvePuzzleInTab(tabId, message = { action: CONFIG.MESSAGES.SOLVE_PUZZLE }) {
+  const settings = await loadSettings(logger);
+  const run = await setTabRunState(tabId, 'waiting-ready', {
+    message,
+    deadline: Date.now() + settings.readyTimeoutMs
+  });
+  
+  if (!run) {
+    logger.warn(`⚠️ A run is already in progress (Tab ID: ${tabId})`);
+    return;
+  }
+  
+  await runWhenBoardReady(tabId, run);
+}
+
+/**
+ * Sends a waiting run's message once the tab's board is ready, or anyway
+ * when its deadline has passed
+ * @param {number} tabId - Tab ID
+ * @param {TabRun} run - Run in the waiting-ready state
+ */
+async function runWhenBoardReady(tabId, run) {
   try {
-    // Clear the badge
-    await chrome.action.setBadgeText({ text: '', tabId: tabId });
-    
     // First, check if the page is ready
     let isReady = false;
     try {
       const readyResponse = await sendMessageToTab(tabId, {
-        action: CONFIG.MESSAGES.CHECK_READY
+        action: CONFIG.MESSAGES.CHECK_READY,
+        game: run.message.game
       });
       isReady = readyResponse && readyResponse.ready;
     } catch (error) {
-      // Content script not loaded, inject it
-      console.log('ℹ️ Content script not loaded, injecting...');
+      // Content script not loaded, inject it (it reports the board once it is ready)
+      logger.info('ℹ️ Content script not loaded, injecting...');
       await injectContentScript(tabId);
-      await new Promise(resolve => setTimeout(resolve, CONFIG.SCRIPT_INJECTION_DELAY_MS));
     }
     
-    // If not ready and there are retries left, wait and try again
-    if (!isReady && retryCount > 0) {
-      console.log(`⏳ Page not ready yet, retrying... (${CONFIG.MAX_RETRIES - retryCount + 1}/${CONFIG.MAX_RETRIES})`);
-      
-      setTimeout(async () => {
-        await solvePuzzleInTab(tabId, retryCount - 1);
-      }, CONFIG.RETRY_DELAY_MS);
-      
-      return;
+    // Otherwise wait for the content script to report the board
+    if (!isReady) {
+      logger.info('⏳ Waiting for the board to load...');
+      isReady = await waitForBoardReady(tabId, Math.max(0, run.deadline - Date.now()));
     }
     
-    // If all retries are used but it's still not ready
-    if (!isReady && retryCount === 0) {
-      console.warn('⚠️ Page not ready, trying anyway...');
+    // Only one run starts, even if it was resumed meanwhile
+    if (!await setTabRunState(tabId, 'solving', {}, { from: ['waiting-ready'] })) return;
+    
+    // If the board never reported ready
+    if (!isReady) {
+      logger.warn('⚠️ Board not ready in time, trying anyway...');
     }
     
-    // Send solve message to content script
-    const response = await sendMessageWithInjection(tabId, {
-      action: CONFIG.MESSAGES.SOLVE_PUZZLE
-    });
+    // Send the mode's message to the content script
+    const response = await sendMessageWithInjection(tabId, run.message);
     
-    if (response && response.success) {
-      console.log('🎉 Game solving process started');
-    } else if (response && response.error) {
-      console.error('❌ Game solving error:', response.error);
+    if (response && response.started) {
+      // Solves report their end with progress messages
+      logger.info(`▶️ ${run.message.action} started`);
+    } else if (response && response.success) {
+      logger.info(`🎉 ${run.message.action} finished`);
+      await setTabRunState(tabId, 'done', {}, { from: ['solving'] });
+    } else {
+      const error = (response && response.error) || 'No response';
+      logger.error('❌ Game solving error:', error);
+      await setTabRunState(tabId, 'failed', { error }, { from: ['solving'] });
     }
     
   } catch (error) {
-    console.error('❌ Operation failed:', error);
+    logger.error('❌ Operation failed:', error);
+    await setTabRunState(tabId, 'failed', { error: error.message }, { from: ['waiting-ready', 'solving'] });
+  }
+}
+
+/**
+ * Runs when an entry of the extension icon's context menu is clicked
+ * @param {chrome.contextMenus.OnClickData} info - Clicked menu item
+ * @param {chrome.tabs.Tab} tab - Active tab
+ */
+async function handleContextMenuClick(info, tab) {
+  const item = CONTEXT_MENU_ITEMS.find(entry => entry.id === info.menuItemId);
+  if (!item) {
+    return;
+  }
+  
+  logger.info(`🎯 Menu item clicked: ${item.title}`);
+  
+  const adapter = tab && tab.id ? findGameAdapter(tab.url) : null;
+  if (!adapter) {
+    logger.warn('⚠️ This action is only available on a LinkedIn game page');
+    return;
+  }
+  
+  try {
+    const response = await sendMessageWithInjection(tab.id, { ...item.message, game: adapter.id });
     
-    // Show error badge to user
-    try {
-      await chrome.action.setBadgeText({ 
-        text: '✗', 
-        tabId: tabId 
-      });
-      await chrome.action.setBadgeBackgroundColor({ 
-        color: '#ef4444', 
-        tabId: tabId 
-      });
-      
-      setTimeout(async () => {
-        try {
-          await chrome.action.setBadgeText({ text: '', tabId: tabId });
-        } catch (e) {
-          // Tab may have been closed
-        }
-      }, 3000);
-      
-    } catch (badgeError) {
-      console.error('Could not set error badge:', badgeError);
+    if (response && response.error) {
+      logger.error(`❌ ${item.title} failed:`, response.error);
     }
+  } catch (error) {
+    logger.error(`❌ ${item.title} failed:`, error);
+  }
+}
+
+/**
+ * Runs when a keyboard shortcut is pressed
+ * @param {string} command - Command name from the manifest
+ * @param {chrome.tabs.Tab} [tab] - Active tab
+ */
+async function handleCommand(command, tab) {
+  const buildMessage = KEYBOARD_COMMANDS[command];
+  if (!buildMessage) {
+    logger.warn(`⚠️ Unknown command: ${command}`);
+    return;
+  }
+  
+  logger.info(`⌨️ Shortcut pressed: ${command}`);
+  
+  if (!tab) {
+    [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  }
+  
+  const adapter = tab && tab.id ? findGameAdapter(tab.url) : null;
+  if (!adapter) {
+    logger.warn('⚠️ Shortcuts only work on a LinkedIn game page');
+    return;
+  }
+  
+  try {
+    const settings = await loadSettings(logger);
+    const response = await sendMessageWithInjection(tab.id, { ...buildMessage(settings), game: adapter.id });
+    
+    if (response && response.error) {
+      logger.error(`❌ ${command} failed:`, response.error);
+    }
+  } catch (error) {
+    logger.error(`❌ ${command} failed:`, error);
   }
 }
 
@@ -261,46 +633,327 @@ async function solvePuzzleInTab(tabId, retryCount = CONFIG.MAX_RETRIES) {
  * @param {chrome.tabs.Tab} tab - Tab info
  */
 async function handleTabUpdate(tabId, changeInfo, tab) {
+  // A reload ends any solve that was running in the tab, and replaces its board
+  // (runs on their way to the board keep going)
+  if (changeInfo.status === 'loading') {
+    readyBoardTabs.delete(tabId);
+    await setTabRunState(tabId, 'idle', {}, { from: ['solving', 'done', 'failed'], badge: false });
+  }
+  
   // Only if there is a pending solve and the page is fully loaded
-  if (pendingSolveTabId === tabId && changeInfo.status === 'complete') {
-    console.log('✅ LinkedIn Zip page loaded, starting smart solve...');
+  if (changeInfo.status === 'complete') {
+    const run = await getTabRun(tabId);
+    if (run.state === 'navigating') {
+      logger.info('✅ Game page loaded, solving once the board is ready...');
+      await runPendingSolve(tabId, tab.url, run);
+    }
+  }
+}
+
+/**
+ * Runs when LinkedIn changes its route without reloading (history.pushState):
+ * a game view opened from elsewhere on LinkedIn is not reported by
+ * handleTabUpdate, and the manifest's content scripts are not loaded into it
+ * @param {Object} details - webNavigation details (tabId, frameId, url)
+ */
+async function handleHistoryStateUpdate(details) {
+  const adapter = details.frameId === 0 ? findGameAdapter(details.url) : null;
+  if (!adapter) return;
+  
+  logger.info(`🧭 LinkedIn ${adapter.name} view opened without a reload (Tab ID: ${details.tabId})`);
+  readyBoardTabs.delete(details.tabId);
+  
+  // Have the content script watch the new view (injecting it if necessary)
+  try {
+    await sendMessageWithInjection(details.tabId, {
+      action: CONFIG.MESSAGES.PAGE_CHANGED,
+      game: adapter.id
+    });
+  } catch (error) {
+    logger.error('❌ Could not watch the game view:', error);
+    return;
+  }
+  
+  const run = await getTabRun(details.tabId);
+  if (run.state === 'navigating') {
+    await runPendingSolve(details.tabId, details.url, run);
+  }
+}
+
+/**
+ * Sends the pending solve to its tab once the redirect has reached the game page
+ * @param {number} tabId - Tab ID
+ * @param {string} url - URL the tab has reached
+ * @param {TabRun} run - Run in the navigating state
+ */
+async function runPendingSolve(tabId, url, run) {
+  // Make sure it's on the page of the game the message is for
+  const adapter = findGameAdapter(url);
+  if (adapter && adapter.id === run.message.game) {
+    await solvePuzzleInTab(tabId, run.message);
+  } else {
+    logger.warn('⚠️ Unexpected URL:', url);
+    await setTabRunState(tabId, 'idle', {}, { from: ['navigating'] });
+  }
+}
+
+/**
+ * Waits for the tab's content script to report its board ready
+ * @param {number} tabId - Tab ID
+ * @param {number} timeoutMs - Gives up after this long
+ * @returns {Promise<boolean>} False if the timeout passed first
+ */
+function waitForBoardReady(tabId, timeoutMs) {
+  if (readyBoardTabs.has(tabId)) {
+    return Promise.resolve(true);
+  }
+  
+  return new Promise(resolve => {
+    const settle = (ready) => {
+      clearTimeout(timeoutId);
+      
+      const waiters = (boardReadyWaiters.get(tabId) || []).filter(waiter => waiter !== settle);
+      if (waiters.length > 0) {
+        boardReadyWaiters.set(tabId, waiters);
+      } else {
+        boardReadyWaiters.delete(tabId);
+      }
+      
+      resolve(ready);
+    };
     
-    // Clear pending state
-    pendingSolveTabId = null;
+    const timeoutId = setTimeout(() => settle(false), timeoutMs);
+    boardReadyWaiters.set(tabId, [...(boardReadyWaiters.get(tabId) || []), settle]);
+  });
+}
+
+/**
+ * Records a board reported ready by a content script and starts the runs
+ * waiting for it (or the autoRun mode, if nothing else is on its way)
+ * @param {number} tabId - Tab the board is in
+ * @param {string} game - Adapter ID of the board's game
+ * @param {string|null} puzzleId - ID of the board's puzzle
+ */
+async function handleBoardReady(tabId, game, puzzleId) {
+  const adapter = GAME_ADAPTERS[game];
+  logger.info(`✅ ${adapter ? adapter.name : 'Game'} board ready (Tab ID: ${tabId})`);
+  
+  readyBoardTabs.add(tabId);
+  
+  (boardReadyWaiters.get(tabId) || []).forEach(settle => settle(true));
+  
+  if (adapter) {
+    await autoRunOnBoard(tabId, adapter, puzzleId);
+  }
+}
+
+/**
+ * Runs the autoRun setting's mode on a puzzle the tab has not auto-run yet,
+ * unless a run or a redirect is already on its way
+ * @param {number} tabId - Tab the board is in
+ * @param {GameAdapter} adapter - Game of the board
+ * @param {string|null} puzzleId - ID of the board's puzzle
+ */
+async function autoRunOnBoard(tabId, adapter, puzzleId) {
+  const settings = await loadSettings(logger);
+  if (settings.autoRun === 'off') return;
+  
+  // Kept in the tab's run, so a restarted service worker does not run it again
+  const puzzleKey = `${adapter.id}:${puzzleId}`;
+  if ((await getTabRun(tabId)).autoRunPuzzle === puzzleKey) return;
+  
+  const message = { ...buildModeMessage(settings.autoRun, settings), game: adapter.id };
+  if (!await setTabRunState(tabId, 'solving', { message, autoRunPuzzle: puzzleKey }, { from: ['idle', ...RUN_STATE.FINAL] })) return;
+  
+  logger.info(`🤖 New ${adapter.name} puzzle, running ${settings.autoRun} automatically (Tab ID: ${tabId})`);
+  
+  try {
+    const response = await sendMessageToTab(tabId, message);
     
-    // Make sure it's on the LinkedIn Zip page
-    if (isLinkedInZipPage(tab.url)) {
-      // A short initial delay (for the DOM to start)
-      setTimeout(async () => {
-        await solvePuzzleInTabWithRetry(tabId);
-      }, CONFIG.PAGE_LOAD_DELAY_MS);
-    } else {
-      console.warn('⚠️ Unexpected URL:', tab.url);
+    if (response && response.error) {
+      logger.error('❌ Automatic run failed:', response.error);
+      await setTabRunState(tabId, 'failed', { error: response.error }, { from: ['solving'] });
+    } else if (response && !response.started) {
+      await setTabRunState(tabId, 'done', {}, { from: ['solving'] });
     }
+  } catch (error) {
+    logger.error('❌ Automatic run failed:', error);
+    await setTabRunState(tabId, 'failed', { error: error.message }, { from: ['solving'] });
   }
 }
 
 /**
- * Solves the puzzle in the tab with smart retry
- * @param {number} tabId - Tab ID
+ * Records a progress message from a content script in the tab's run and
+ * updates the badge
+ * @param {Object} progress - Progress message (state, step, total, elapsedMs, error)
+ * @param {number} tabId - Tab the solve runs in
+ * @returns {Promise<void>}
+ */
+async function handleSolveProgress(progress, tabId) {
+  // The progress badge shows these states
+  const quietly = { badge: false };
+  
+  if (progress.state === 'running' || progress.state === 'paused') {
+    // Solves started on the page itself are tracked too
+    await setTabRunState(tabId, 'solving', { progress }, quietly);
+  } else if (progress.state === 'error') {
+    logger.error('❌ Game solving error:', progress.error);
+    await setTabRunState(tabId, 'failed', { error: progress.error }, quietly);
+  } else {
+    const elapsed = progress.elapsedMs !== undefined ? ` after ${progress.elapsedMs} ms` : '';
+    logger.info(`🏁 Solve ${progress.state} at step ${progress.step}/${progress.total}${elapsed} (Tab ID: ${tabId})`);
+    await setTabRunState(tabId, progress.state === 'finished' ? 'done' : 'idle', {}, quietly);
+  }
+  
+  await updateProgressBadge(tabId, progress);
+}
+
+/**
+ * Forwards a popup command (stop, pause or resume) to the active tab
+ * @param {string} command - Key of SOLVE_COMMANDS
+ * @returns {Promise<Object>} Content script response
+ */
+async function controlSolveInActiveTab(command) {
+  const action = SOLVE_COMMANDS[command];
+  if (!action) {
+    throw new Error(`Unknown command: ${command}`);
+  }
+  
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab || !tab.id) {
+    throw new Error('No active tab');
+  }
+  
+  return sendMessageToTab(tab.id, { action });
+}
+
+/**
+ * Checks if a message comes from the content script of a game page. The
+ * playground runs the content script on an extension page: its boards are
+ * not runs of the service worker.
+ * @param {chrome.runtime.MessageSender} sender - Sender
+ * @returns {boolean}
+ */
+function isFromGamePage(sender) {
+  return Boolean(sender.tab && sender.tab.id && findGameAdapter(sender.url));
+}
+
+/**
+ * Handles messages from the popup and the content script
+ * @param {Object} request - Message
+ * @param {chrome.runtime.MessageSender} sender - Sender
+ * @param {Function} sendResponse - Response callback
+ * @returns {boolean} True for an asynchronous response
  */
-async function solvePuzzleInTabWithRetry(tabId) {
-  console.log('🔄 Smart retry mechanism started');
-  await solvePuzzleInTab(tabId, CONFIG.MAX_RETRIES);
+function handleRuntimeMessage(request, sender, sendResponse) {
+  if (!request) {
+    return false;
+  }
+  
+  if (request.action === CONFIG.MESSAGES.SOLVE_PROGRESS) {
+    if (isFromGamePage(sender)) {
+      handleSolveProgress(request, sender.tab.id);
+    }
+    return false;
+  }
+  
+  if (request.action === LOGGER.MESSAGE) {
+    if (Array.isArray(request.entries)) {
+      const tabId = sender.tab ? sender.tab.id : undefined;
+      storeLogEntries(request.entries.map(entry => ({ ...entry, tabId })));
+    }
+    return false;
+  }
+  
+  if (request.action === LOGGER.DIAGNOSTICS.MESSAGE) {
+    collectDiagnostics()
+      .then((diagnostics) => {
+        sendResponse({ success: true, diagnostics });
+      })
+      .catch((error) => {
+        sendResponse({ success: false, error: error.message });
+      });
+    
+    return true;
+  }
+  
+  if (request.action === CONFIG.MESSAGES.BOARD_READY) {
+    if (isFromGamePage(sender)) {
+      handleBoardReady(sender.tab.id, request.game, request.puzzleId);
+    }
+    return false;
+  }
+  
+  if (request.action === CONFIG.MESSAGES.GET_SOLVE_STATE) {
+    chrome.tabs.query({ active: true, currentWindow: true })
+      .then(async ([tab]) => {
+        const run = tab ? await getTabRun(tab.id) : null;
+        sendResponse({ success: true, progress: (run && run.state === 'solving' && run.progress) || null });
+      })
+      .catch((error) => {
+        sendResponse({ success: false, error: error.message });
+      });
+    
+    return true;
+  }
+  
+  if (request.action === CONFIG.MESSAGES.CONTROL_SOLVE) {
+    controlSolveInActiveTab(request.command)
+      .then((response) => {
+        sendResponse(response || { success: false, error: 'No response' });
+      })
+      .catch((error) => {
+        sendResponse({ success: false, error: error.message });
+      });
+    
+    return true;
+  }
+  
+  if (request.action !== CONFIG.MESSAGES.RUN_MODE) {
+    return false;
+  }
+  
+  // Answer as soon as the run has started so the popup can close
+  chrome.tabs.query({ active: true, currentWindow: true })
+    .then(([tab]) => {
+      handleActionClick(tab, request.mode);
+      sendResponse({ success: true });
+    })
+    .catch((error) => {
+      sendResponse({ success: false, error: error.message });
+    });
+  
+  // Return true for asynchronous response
+  return true;
 }
 
 // ============================================================================
 // EVENT LISTENERS
 // ============================================================================
 
-// Extension icon click
-chrome.action.onClicked.addListener(handleActionClick);
+// Popup buttons, and board readiness and solve progress from the content script
+chrome.runtime.onMessage.addListener(handleRuntimeMessage);
 
 // When a tab is updated (page load tracking)
 chrome.tabs.onUpdated.addListener(handleTabUpdate);
 
+// A closed tab has no run
+chrome.tabs.onRemoved.addListener(tabId => forgetTabRun(tabId));
+
+// When LinkedIn opens a game view without reloading the page
+chrome.webNavigation.onHistoryStateUpdated.addListener(handleHistoryStateUpdate, {
+  url: Object.values(GAME_ADAPTERS).map(adapter => ({ urlMatches: adapter.urlPattern.source }))
+});
+
+// Extension icon context menu (hint, preview and stop)
+chrome.contextMenus.onClicked.addListener(handleContextMenuClick);
+
+// Keyboard shortcuts (chrome://extensions/shortcuts)
+chrome.commands.onCommand.addListener(handleCommand);
+
 // When the service worker starts
-console.log('🚀 LinkedIn Zip Solver service worker started');
+logger.info('🚀 LinkedIn Zip Solver service worker started');
+resumeTabRuns().catch(error => logger.error('❌ Could not resume the runs:', error));
 
 // ============================================================================
 // INSTALLATION & UPDATES
@@ -310,13 +963,24 @@ console.log('🚀 LinkedIn Zip Solver service worker started');
  * Runs when the extension is installed or updated
  */
 chrome.runtime.onInstalled.addListener((details) => {
-  console.log('📦 Extension status:', details.reason);
+  logger.info('📦 Extension status:', details.reason);
+  
+  // Hint, preview and stop entries (right-click on the icon)
+  chrome.contextMenus.removeAll(() => {
+    CONTEXT_MENU_ITEMS.forEach(item => {
+      chrome.contextMenus.create({
+        id: item.id,
+        title: item.title,
+        contexts: ['action']
+      });
+    });
+  });
   
   if (details.reason === 'install') {
-    console.log('🎉 LinkedIn Zip Solver installed for the first time!');
-    console.log('ℹ️ Usage: Click the extension icon on the LinkedIn Zip game page');
+    logger.info('🎉 LinkedIn Zip Solver installed for the first time!');
+    logger.info('ℹ️ Usage: Click the extension icon and press Run (right-click it for hints and path previews)');
   } else if (details.reason === 'update') {
-    console.log(`🔄 Extension updated: ${details.previousVersion} -> ${chrome.runtime.getManifest().version}`);
+    logger.info(`🔄 Extension updated: ${details.previousVersion} -> ${chrome.runtime.getManifest().version}`);
   }
 });
 
@@ -328,12 +992,12 @@ chrome.runtime.onInstalled.addListener((details) => {
  * Global error catcher
  */
 self.addEventListener('error', (event) => {
-  console.error('🔴 Service worker error:', event.error);
+  logger.error('🔴 Service worker error:', event.error);
 });
 
 /**
  * Promise rejection catcher
  */
 self.addEventListener('unhandledrejection', (event) => {
-  console.error('🔴 Unhandled promise rejection:', event.reason);
+  logger.error('🔴 Unhandled promise rejection:', event.reason);
 });
@@ -0,0 +1,306 @@
+#!/usr/bin/env node
+/**
+ * LinkedIn Zip Solver - Command Line
+ * @description Solves a Zip puzzle from a saved LinkedIn page or a JSON file
+ *   without Chrome: prints the puzzle, the solution as a grid and the validation
+ * @version 1.0.0
+ *
+ * Usage: zip-solver <file> [--json]
+ *
+ * Exit codes: 0 every puzzle solved and valid, 1 a puzzle has no valid
+ * solution, 2 usage or input error
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseZipPayload, unescapeRehydrateData, edgeId, solveZipPath, validateSolution } = require('../puzzle.js');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const CONFIG = {
+  EXIT_CODES: { SOLVED: 0, UNSOLVED: 1, INPUT_ERROR: 2 },
+  // The element with id="rehydrate-data" in a saved page (tag name, content)
+  REHYDRATE_PATTERN: /<(\w+)\b[^>]*\bid=["']?rehydrate-data["']?[^>]*>([\s\S]*?)<\/\1>/i,
+  USAGE: [
+    'Usage: zip-solver <file> [--json]',
+    '',
+    '  <file>   Saved LinkedIn Zip page (.html) with #rehydrate-data, LinkedIn',
+    '           game data (.json), an archived puzzle or a puzzle archive export',
+    '  --json   Print the results as JSON',
+    '',
+    'Exit codes: 0 solved, 1 no valid solution, 2 usage or input error'
+  ].join('\n')
+};
+
+// ============================================================================
+// INPUT
+// ============================================================================
+
+/**
+ * Reads the puzzles in a file
+ * @param {string} text - File content
+ * @param {string} [filename] - File name (an .html extension forces page parsing)
+ * @returns {ZipPuzzle[]}
+ * @throws {Error} If the file holds no readable puzzle
+ */
+function readPuzzles(text, filename = '') {
+  if (/\.html?$/i.test(filename) || /^\s*</.test(text)) {
+    const match = text.match(CONFIG.REHYDRATE_PATTERN);
+    if (!match) {
+      throw new Error('Game data not found: the page has no #rehydrate-data element');
+    }
+    // Script content is raw text; any other element's text is HTML-encoded
+    const content = /^script$/i.test(match[1]) ? match[2] : decodeHtmlEntities(match[2]);
+    return [parseZipPayload(unescapeRehydrateData(content))];
+  }
+  
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (parseError) {
+    throw new Error(`Not valid JSON: ${parseError.message}`);
+  }
+  
+  // Puzzle archive export, or a list of archived puzzles
+  const list = Array.isArray(data) ? data : data && Array.isArray(data.puzzles) ? data.puzzles : null;
+  if (list) {
+    if (list.length === 0) throw new Error('The archive has no puzzles');
+    return list.map(toZipPuzzle);
+  }
+  
+  // A single archived puzzle, otherwise LinkedIn's own game data
+  if (data && typeof data === 'object' && 'rows' in data && 'waypoints' in data) {
+    return [toZipPuzzle(data)];
+  }
+  return [parseZipPayload(unescapeRehydrateData(text))];
+}
+
+/**
+ * Converts an archived puzzle (see archive.js) to a ZipPuzzle
+ * @param {Object} entry - Archived puzzle
+ * @param {number} [index] - Position in the file, for error messages
+ * @returns {ZipPuzzle}
+ * @throws {Error} If a field is missing or has the wrong type
+ */
+function toZipPuzzle(entry, index = 0) {
+  const name = `Puzzle ${index + 1}`;
+  
+  if (!entry || typeof entry !== 'object') {
+    throw new Error(`${name} is not an object`);
+  }
+  if (!Number.isInteger(entry.rows) || !Number.isInteger(entry.cols)) {
+    throw new Error(`${name} has no valid grid size`);
+  }
+  if (!Array.isArray(entry.waypoints)) {
+    throw new Error(`${name} has no numbered cells`);
+  }
+  if (entry.walls !== undefined && !(Array.isArray(entry.walls) && entry.walls.every(wall => Array.isArray(wall) && wall.length === 2))) {
+    throw new Error(`${name} has invalid walls`);
+  }
+  
+  return {
+    id: entry.id ? String(entry.id) : null,
+    date: entry.date ? String(entry.date) : null,
+    rows: entry.rows,
+    cols: entry.cols,
+    waypoints: entry.waypoints,
+    walls: entry.walls || [],
+    solution: Array.isArray(entry.solution) && entry.solution.length > 0 ? entry.solution : null
+  };
+}
+
+/**
+ * Decodes the HTML entities of an element's text in a saved page
+ * @param {string} text - Element content
+ * @returns {string}
+ */
+function decodeHtmlEntities(text) {
+  const entities = { quot: '"', apos: "'", amp: '&', lt: '<', gt: '>' };
+  return text.replace(/&(quot|apos|amp|lt|gt|#(\d+)|#x([0-9a-f]+));/gi, (entity, name, decimal, hex) => {
+    if (decimal) return String.fromCodePoint(Number(decimal));
+    if (hex) return String.fromCodePoint(parseInt(hex, 16));
+    return entities[name.toLowerCase()];
+  });
+}
+
+// ============================================================================
+// SOLVING
+// ============================================================================
+
+/**
+ * @typedef {Object} SolveReport
+ * @property {ZipPuzzle} puzzle - Parsed puzzle
+ * @property {ValidationResult|null} embedded - Validation of the embedded solution, if any
+ * @property {string|null} source - Where the solution came from: embedded or solver
+ * @property {number[]|null} solution - Solution path
+ * @property {ValidationResult|null} validation - Validation of the solution
+ * @property {string|null} error - Why no solution was found
+ */
+
+/**
+ * Solves a puzzle the way the extension does: the embedded solution if it
+ * is valid, otherwise the built-in solver
+ * @param {ZipPuzzle} puzzle - Puzzle
+ * @returns {SolveReport}
+ */
+function solvePuzzle(puzzle) {
+  const report = { puzzle, embedded: null, source: null, solution: null, validation: null, error: null };
+  
+  if (puzzle.solution) {
+    report.embedded = validateSolution(puzzle, puzzle.solution);
+  }
+  
+  try {
+    if (report.embedded && report.embedded.valid) {
+      report.source = 'embedded';
+      report.solution = puzzle.solution;
+    } else {
+      report.solution = solveZipPath(puzzle);
+      report.source = 'solver';
+    }
+    report.validation = validateSolution(puzzle, report.solution);
+  } catch (error) {
+    report.error = error.message;
+  }
+  
+  return report;
+}
+
+// ============================================================================
+// OUTPUT
+// ============================================================================
+
+/**
+ * Draws the grid with a label in every cell, and walls as | and ---
+ * @param {ZipPuzzle} puzzle - Puzzle
+ * @param {string[]} labels - Text of each cell
+ * @returns {string}
+ */
+function formatGrid(puzzle, labels) {
+  const { rows, cols } = puzzle;
+  const width = Math.max(3, ...labels.map(label => label.length + 2));
+  const walls = new Set(puzzle.walls.map(([a, b]) => edgeId(a, b)));
+  const hasWall = (a, b) => walls.has(edgeId(a, b));
+  const centre = text => {
+    const left = Math.floor((width - text.length) / 2);
+    return ' '.repeat(left) + text + ' '.repeat(width - text.length - left);
+  };
+  
+  const border = '+' + `${'-'.repeat(width)}+`.repeat(cols);
+  const lines = [border];
+  
+  for (let row = 0; row < rows; row++) {
+    let line = '|';
+    let below = '+';
+    
+    for (let col = 0; col < cols; col++) {
+      const cell = row * cols + col;
+      line += centre(labels[cell]) + (col === cols - 1 || hasWall(cell, cell + 1) ? '|' : ' ');
+      below += (row < rows - 1 && hasWall(cell, cell + cols) ? '-' : ' ').repeat(width) + '+';
+    }
+    
+    lines.push(line, row === rows - 1 ? border : below);
+  }
+  
+  return lines.join('\n');
+}
+
+/**
+ * Formats a solve report as text
+ * @param {SolveReport} report - Report
+ * @returns {string}
+ */
+function formatReport(report) {
+  const { puzzle } = report;
+  const total = puzzle.rows * puzzle.cols;
+  const numbers = Array.from({ length: total }, (_, cell) => {
+    const waypoint = puzzle.waypoints.indexOf(cell);
+    return waypoint === -1 ? '.' : String(waypoint + 1);
+  });
+  
+  const lines = [
+    `🧩 Puzzle ${puzzle.id || '(no id)'} - ${puzzle.date || 'undated'}`,
+    `   ${puzzle.rows}x${puzzle.cols}, ${puzzle.waypoints.length} numbers, ${puzzle.walls.length} walls`,
+    formatGrid(puzzle, numbers),
+    ''
+  ];
+  
+  if (report.embedded) {
+    lines.push(report.embedded.valid
+      ? 'Embedded solution: valid'
+      : `Embedded solution rejected: ${report.embedded.message}`);
+  } else {
+    lines.push('Embedded solution: none');
+  }
+  
+  if (report.error) {
+    lines.push(`❌ No solution: ${report.error}`);
+    return lines.join('\n');
+  }
+  
+  // Steps are numbered from 1; numbered cells are shown in brackets
+  const steps = new Array(total).fill('?');
+  report.solution.forEach((cell, index) => {
+    steps[cell] = puzzle.waypoints.includes(cell) ? `[${index + 1}]` : String(index + 1);
+  });
+  
+  lines.push(
+    `Solution (${report.source === 'embedded' ? 'embedded' : 'built-in solver'}): ${report.solution.join(' ')}`,
+    formatGrid(puzzle, steps),
+    '',
+    report.validation.valid ? `✅ ${report.validation.message}` : `❌ ${report.validation.message}`
+  );
+  
+  return lines.join('\n');
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+/**
+ * Runs the command
+ * @param {string[]} args - Command line arguments
+ * @param {{stdout: Function, stderr: Function}} [output] - Writers for the report and errors
+ * @returns {number} Exit code
+ */
+function main(args, output = { stdout: text => process.stdout.write(text), stderr: text => process.stderr.write(text) }) {
+  const asJson = args.includes('--json');
+  const files = args.filter(arg => arg !== '--json');
+  
+  if (args.includes('--help') || args.includes('-h')) {
+    output.stdout(`${CONFIG.USAGE}\n`);
+    return CONFIG.EXIT_CODES.SOLVED;
+  }
+  if (files.length !== 1 || files[0].startsWith('-')) {
+    output.stderr(`${CONFIG.USAGE}\n`);
+    return CONFIG.EXIT_CODES.INPUT_ERROR;
+  }
+  
+  let puzzles;
+  try {
+    puzzles = readPuzzles(fs.readFileSync(files[0], 'utf8'), path.basename(files[0]));
+  } catch (error) {
+    output.stderr(`❌ ${files[0]}: ${error.code === 'ENOENT' ? 'file not found' : error.message}\n`);
+    return CONFIG.EXIT_CODES.INPUT_ERROR;
+  }
+  
+  const reports = puzzles.map(solvePuzzle);
+  
+  if (asJson) {
+    output.stdout(`${JSON.stringify(reports, null, 2)}\n`);
+  } else {
+    output.stdout(`${reports.map(formatReport).join('\n\n')}\n`);
+  }
+  
+  const solved = reports.every(report => report.validation && report.validation.valid);
+  return solved ? CONFIG.EXIT_CODES.SOLVED : CONFIG.EXIT_CODES.UNSOLVED;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { readPuzzles, toZipPuzzle, solvePuzzle, formatGrid, formatReport, main };
@@ -1,6 +1,6 @@
 /**
  * LinkedIn Zip Solver - Content Script
- * @description Chrome extension that automatically solves the LinkedIn Zip game
+ * @description Chrome extension that automatically solves the LinkedIn Zip and Queens games
  * @version 1.1.1
  */
 
@@ -9,24 +9,90 @@
 // ============================================================================ 
 
 const CONFIG = {
-  CLICK_DELAY_MS: 100,           // Click delay between cells
-  NOTIFICATION_DURATION_MS: 3000, // Notification display duration
-  NOTIFICATION_ANIMATION_MS: 300, // Notification animation duration
+  // Board changes that can make the page ready (see watchBoardReadiness)
+  READY_OBSERVE: { subtree: true, childList: true, attributes: true, characterData: true },
+  MOVES: {
+    FRAME_TIMEOUT_MS: 50,        // nextFrame() fallback for tabs that render no frames (in the background)
+    // Board changes that can confirm a move
+    OBSERVE: { subtree: true, childList: true, attributes: true, characterData: true },
+    MAX_ATTEMPTS: 3,             // Clicks per move before it counts as rejected
+    MAX_RECOVERIES: 5            // Path repairs before giving up
+  },
+  INPUT: {
+    STRATEGIES: { CLICK: 'click', DRAG: 'drag' },
+    STORAGE_KEY: 'detectedInputStrategy', // chrome.storage.local key of the strategy that worked
+    DRAG_STEPS: 4,               // pointermove events between two cell centres
+    POINTER_ID: 1,
+    MOUSE_EVENTS: { pointerdown: 'mousedown', pointermove: 'mousemove', pointerup: 'mouseup' }
+  },
+  HINT: {
+    HIGHLIGHT_MS: 2500,          // How long hint outlines stay visible
+    COLOR: '#3b82f6',
+    WRONG_COLOR: '#ef4444'
+  },
+  PREVIEW: {
+    MODES: { FULL: 'full', NEXT_WAYPOINT: 'next-waypoint', ANIMATE: 'animate' },
+    STEP_MS: 120,                // Delay between steps of the animated preview
+    COLOR: '#8b5cf6',
+    OPACITY: 0.6,
+    STROKE_RATIO: 0.25,          // Line width relative to the cell size
+    SVG_NS: 'http://www.w3.org/2000/svg'
+  },
+  SOURCES: {
+    // Game data sources, in priority order (see readZipPuzzle)
+    ORDER: ['rehydrate-data', 'client-state', 'network'],
+    // In-page client state: API responses LinkedIn embeds besides #rehydrate-data
+    CLIENT_STATE: 'code[id^="bpr-guid-"], script[type="application/json"]:not(#rehydrate-data)',
+    MAX_NETWORK_PAYLOADS: 5,
+    // DOM events shared with interceptor.js, which runs in the page's main world
+    EVENTS: {
+      PAYLOAD: 'zip-solver:network-payload',
+      REPLAY: 'zip-solver:replay-payloads'
+    }
+  },
   SELECTORS: {
     REHYDRATE_DATA: 'rehydrate-data',
     CELL: (idx) => `[data-cell-idx="${idx}"]`,
-    NOTIFICATION: 'zip-solver-notification',
-    ANIMATION_STYLE: 'zip-solver-animation-style'
+    ALL_CELLS: '[data-cell-idx]',
+    // Cells the player has already drawn through
+    FILLED_CELL: '[class*="filled"], [class*="visited"], [class*="--path"], [aria-checked="true"], [aria-pressed="true"]',
+    PREVIEW_OVERLAY: 'zip-solver-preview'
+  },
+  QUEENS: {
+    MAX_PRESSES: 4,              // Presses per cell before a queen counts as rejected (empty, ✕, queen)
+    // Colour region of a rendered cell: class name, else the colour its label names
+    REGION_CLASS_PATTERN: /\bcell-color-(\d+)\b/,
+    REGION_LABEL_PATTERN: /colou?r\s+([^,]+)/i,
+    NO_BACKGROUND: ['', 'transparent', 'rgba(0, 0, 0, 0)'],
+    // A placed queen: the cell's label, or an icon inside it
+    QUEEN_LABEL_PATTERN: /^\s*queen\b/i,
+    QUEEN_MARK: '[class*="queen-icon"], [class*="cell-queen"], [data-queen], [aria-label^="Queen"], [title^="Queen"]'
+  },
+  DRIFT: {
+    FINGERPRINTS_KEY: 'schemaFingerprints', // chrome.storage.local: last known-good fingerprint per game
+    REPORT_KEY: 'schemaDrift',   // chrome.storage.local: latest drift report
+    CHECK_AFTER_MS: 10000,       // Pages whose board never gets ready are checked after this long
+    MAX_DEPTH: 10,               // Levels of the game object walked for key paths
+    MAX_PATHS: 500,              // Key paths listed at most
+    MAX_LISTED: 5                // Changes named in notifications
   },
-  REGEX: {
-    // LinkedIn's escaped format: \"solution\":[...]
-    SOLUTION: /\\"solution\\":\[(.*?)\]/s
+  BOARD: {
+    // Wall markers on rendered cells (class names or thick borders)
+    WALL_CLASS_PATTERN: /wall[-_]+(top|bottom|left|right|up|down)\b/gi,
+    WALL_BORDER_MIN_PX: 3,
+    SIDES: { top: 'UP', up: 'UP', bottom: 'DOWN', down: 'DOWN', left: 'LEFT', right: 'RIGHT' }
   },
-  NOTIFICATION_TYPES: {
-    success: { color: '#10b981', icon: '✅' },
-    error: { color: '#ef4444', icon: '❌' },
-    info: { color: '#3b82f6', icon: 'ℹ️' },
-    warning: { color: '#f59e0b', icon: '⚠️' }
+  NOTIFICATIONS: {
+    HOST_ID: 'zip-solver-notifications', // Element whose shadow root holds the notifications
+    MAX_VISIBLE: 3,              // Stacked on screen; later ones wait in a queue
+    MAX_QUEUED: 10,              // Oldest waiting ones are dropped beyond this
+    ANIMATION_MS: 300,           // Slide in/out duration
+    TYPES: {
+      success: { color: '#10b981', icon: '✅' },
+      error: { color: '#ef4444', icon: '❌' },
+      info: { color: '#3b82f6', icon: 'ℹ️' },
+      warning: { color: '#f59e0b', icon: '⚠️' }
+    }
   }
 };
 
@@ -35,7 +101,28 @@ const CONFIG = {
 // ============================================================================ 
 
 let activeTimeouts = [];
-let animationStyleInjected = false;
+let solveRun = null; // Solve in progress (see SOLVE CONTROL)
+
+// Leveled logger (see logger.js): the service worker keeps the entries
+const logger = createLogger('content', batchLogEntries(entries => {
+  try {
+    chrome.runtime.sendMessage({ action: LOGGER.MESSAGE, entries }).catch(() => {});
+  } catch (error) {
+    // The extension was reloaded: the entries are only in the console
+  }
+}));
+
+// User settings (see settings.js), kept in sync with chrome.storage
+let settings = { ...SETTINGS_DEFAULTS };
+loadSettings(logger).then(loaded => {
+  settings = loaded;
+  logger.setLevel(settings.logLevel);
+});
+watchSettings(updated => {
+  settings = updated;
+  logger.setLevel(settings.logLevel);
+  logger.info('⚙️ Settings updated');
+}, logger);
 
 /**
  * Clears all active timeouts (prevents memory leaks)
@@ -61,146 +148,405 @@ function addTimeout(callback, delay) {
   return timeoutId;
 }
 
+/**
+ * Cancels a timeout added with addTimeout
+ * @param {number|null} timeoutId - Timeout ID (null does nothing)
+ */
+function cancelTimeout(timeoutId) {
+  if (timeoutId === null) return;
+  clearTimeout(timeoutId);
+  activeTimeouts = activeTimeouts.filter(id => id !== timeoutId);
+}
+
 // ============================================================================ 
 // GAME SOLVING LOGIC
 // ============================================================================ 
 
 /**
- * Main function that solves the LinkedIn Zip game
+ * Main function: solves the puzzle of the page's game
+ * @param {GameAdapter} [adapter] - Game to solve (defaults to the page's game)
  * @returns {Promise<void>}
  */
-async function solveZipGame() {
+async function solveGame(adapter = getPageGameAdapter()) {
+  // Cancel the previous solve first: its waits end with it, before their timeouts are cleared
+  const run = beginSolveRun();
+  clearAllTimeouts();
+  clearHighlights();
+  hidePathPreview();
+  const record = details => recordRun({ game: adapter.id, mode: 'solve', startedAt: run.startedAt, report: run.report, ...details }, logger);
+  
   try {
-    console.log('🎮 Solving Zip game...');
+    logger.info(`🎮 Solving ${adapter.name} game...`);
     
-    // Clear previous solving processes
-    clearAllTimeouts();
+    // Get game data and a validated solution
+    const puzzle = adapter.loadPuzzle();
+    run.puzzle = puzzle;
+    logger.info(`🧩 Puzzle ${puzzle.id || '(unknown id)'}: ${adapter.describePuzzle(puzzle)}`);
     
-    // Get game data
-    const solution = await extractSolution();
+    const { solution, embeddedCheck } = adapter.solve(puzzle, logger);
     
-    if (!solution || solution.length === 0) {
-      throw new Error('Solution is empty or invalid');
+    logger.info('✅ Solution found:', solution);
+    if (embeddedCheck && !embeddedCheck.valid) {
+      // Say why the page's own solution was not used
+      showNotification(
+        `Solving game with the built-in solver: the embedded solution fails at step ${embeddedCheck.step} (rule: ${embeddedCheck.rule})`,
+        'warning'
+      );
+    } else {
+      showNotification('Solving game...', 'info');
     }
     
-    console.log('✅ Solution found:', solution);
-    showNotification('Solving game...', 'info');
-    
-    // Apply the solution
-    await applySolution(solution);
+    // Apply the solution with the game's input strategy
+    await adapter.applySolution(solution, run);
+    record({ puzzle, result: 'finished' });
     
   } catch (error) {
-    console.error('❌ Error occurred:', error);
-    showNotification(`Error: ${error.message}`, 'error');
+    if (error.cancelled) {
+      logger.info('⏹️ Solve cancelled');
+      showNotification(`Solve cancelled at step ${run.step} of ${run.total}`, 'info');
+      reportSolveProgress(run, 'cancelled');
+      record({ puzzle: run.puzzle, result: 'cancelled' });
+      return;
+    }
+    
+    logger.error('❌ Error occurred:', error);
+    
+    // Name what LinkedIn changed since the last page that worked
+    const drift = await checkSchemaDrift(adapter);
+    const message = drift && drift.changes > 0 ? `${error.message} (${describeSchemaDrift(drift)})` : error.message;
+    
+    showNotification(`Error: ${message}`, 'error', {
+      actions: [
+        { label: 'Retry', run: () => solveGame(adapter) },
+        { label: 'Copy diagnostics', run: copyDiagnostics }
+      ]
+    });
+    reportSolveProgress(run, 'error', message);
+    record({ puzzle: run.puzzle, result: 'error', error: message });
+  } finally {
+    endSolveRun(run);
   }
 }
 
 /**
- * Extracts the game solution from the page
- * @returns {Promise<number[]>} Solution array
- * @throws {Error} If the solution cannot be found
+ * Applies the solution one move at a time, confirming each move on the board
+ *
+ * A move counts as accepted once the cell shows the drawn-path state or the
+ * drawn path grows. Missed moves are retried; if the board drifts away from
+ * the solution, the path is cut back to the last matching cell and resumed.
+ * Moves are made with the remembered input strategy (clicks or one drag);
+ * while none has been confirmed, the other strategies are tried in turn.
+ * In fast mode each move follows as soon as the board shows the previous one
+ * (see waitForBoard() and paceMove()).
+ * @param {number[]} solution - Cell numbers to visit
+ * @param {SolveRun} [run] - Run to report progress to and to pause or stop through
+ * @returns {Promise<MoveReport>} Move report
+ * @throws {Error} If the board keeps diverging from the solution, or the run is cancelled
  */
-async function extractSolution() {
-  // Find rehydrate data element
-  const scriptElement = document.getElementById(CONFIG.SELECTORS.REHYDRATE_DATA);
+async function applySolution(solution, run = beginSolveRun()) {
+  const report = { accepted: 0, rejected: 0, unconfirmed: 0, recoveries: 0, durationMs: 0 };
+  const startedAt = Date.now();
+  // Turned off when the board never shows a drawn path (unknown markup)
+  let confirmMoves = true;
+  let step = readPlayerProgress(solution).correctSteps;
   
-  if (!scriptElement) {
-    throw new Error('Game data not found. Make sure the page is fully loaded.');
-  }
+  run.report = report;
+  run.total = solution.length;
+  run.step = step;
+  reportSolveProgress(run, 'running');
   
-  const scriptContent = scriptElement.textContent;
+  const preferred = await chooseInputStrategy();
+  const fallbacks = Object.values(CONFIG.INPUT.STRATEGIES).filter(name => name !== preferred);
+  let input = createInput(preferred);
+  let inputConfirmed = false;
   
-  if (!scriptContent || scriptContent.trim().length === 0) {
-    throw new Error('Game data is empty');
+  try {
+    while (step < solution.length) {
+      await solveCheckpoint(run, step);
+      
+      if (confirmMoves) {
+        const progress = readPlayerProgress(solution);
+        
+        if (progress.offPath.length > 0 || progress.correctSteps !== step) {
+          step = await recoverPath(solution, progress, report, input, run);
+          continue;
+        }
+      }
+      
+      const cellNumber = solution[step];
+      const head = step > 0 ? solution[step - 1] : null;
+      const moveStartedAt = Date.now();
+      
+      if (!confirmMoves) {
+        input.move(cellNumber, head);
+        report.unconfirmed++;
+        step++;
+        run.step = step;
+        reportSolveProgress(run, 'running');
+        await wait(settings.clickDelayMs, run);
+        continue;
+      }
+      
+      const move = await playMove(input, cellNumber, head, run);
+      
+      if (move.accepted) {
+        report.accepted++;
+        report.rejected += move.attempts - 1;
+        step++;
+        run.step = step;
+        reportSolveProgress(run, 'running');
+        
+        // Pressing the first cell works with any input: only later moves tell them apart
+        if (!inputConfirmed && head !== null) {
+          inputConfirmed = true;
+          rememberInputStrategy(input.name);
+        }
+      } else if (move.diverged) {
+        // A different cell was drawn: the next loop repairs the path
+        report.rejected += move.attempts;
+        continue;
+      } else if (!inputConfirmed && fallbacks.length > 0) {
+        report.rejected += move.attempts;
+        input.finish();
+        input = createInput(fallbacks.shift());
+        logger.info(`🔀 Board ignored the moves, trying ${input.name} input`);
+        continue;
+      } else if (readDrawnCells().size === 0) {
+        logger.warn('⚠️ The board does not show the drawn path, continuing with clicks and without confirmation');
+        input.finish();
+        input = createInput(CONFIG.INPUT.STRATEGIES.CLICK);
+        confirmMoves = false;
+        report.unconfirmed++;
+        step++;
+      } else {
+        report.rejected += move.attempts;
+        throw new Error(
+          `Move ${step + 1} (cell ${cellNumber}) was not accepted after ${CONFIG.MOVES.MAX_ATTEMPTS} attempts ` +
+          `(${report.accepted} accepted, ${report.rejected} rejected)`
+        );
+      }
+      
+      await paceMove(moveStartedAt, run);
+    }
+  } finally {
+    input.finish();
   }
   
-  // Find and parse the solution (try multiple regex patterns)
-  let solutionMatch = scriptContent.match(CONFIG.REGEX.SOLUTION);
-  
-  // If not found, try alternative pattern (normal quotes)
-  if (!solutionMatch) {
-    solutionMatch = scriptContent.match(/"solution":\[([^\]]+)\]/);
+  run.step = step;
+  report.durationMs = Date.now() - startedAt;
+  reportMoves(report);
+  reportSolveProgress(run, 'finished');
+  return report;
+}
+
+/**
+ * Makes a move until the board accepts it
+ * @param {Object} input - Input strategy (see createInput)
+ * @param {number} cellNumber - Cell to move to
+ * @param {number|null} head - Current end of the path (null before the first move)
+ * @param {SolveRun} run - Current run
+ * @returns {Promise<{accepted: boolean, diverged: boolean, attempts: number}>}
+ *   Whether the move was confirmed, whether the board changed some other way
+ *   and how many tries it took
+ */
+async function playMove(input, cellNumber, head, run) {
+  for (let attempt = 1; attempt <= CONFIG.MOVES.MAX_ATTEMPTS; attempt++) {
+    const before = readDrawnCells();
+    
+    if (!input.move(cellNumber, head)) return { accepted: false, diverged: false, attempts: attempt };
+    
+    // The cell shows the path, or the path changed length
+    const changed = await waitForBoard(() => {
+      const after = readDrawnCells();
+      return after.has(cellNumber) || after.size !== before.size;
+    }, run);
+    
+    if (changed) {
+      const accepted = readDrawnCells().has(cellNumber);
+      return { accepted, diverged: !accepted, attempts: attempt };
+    }
+    
+    logger.warn(`⚠️ Move to ${cellNumber} not confirmed (attempt ${attempt}/${CONFIG.MOVES.MAX_ATTEMPTS})`);
   }
   
-  // If still not found, try a more general pattern
-  if (!solutionMatch) {
-    solutionMatch = scriptContent.match(/solution.*?([^\]]+)\]/);
+  return { accepted: false, diverged: false, attempts: CONFIG.MOVES.MAX_ATTEMPTS };
+}
+
+/**
+ * Cuts the drawn path back to the last cell that matches the solution
+ * (pressing on a drawn cell makes the game undo everything after it)
+ * @param {number[]} solution - Cell numbers in visiting order
+ * @param {{correctSteps: number, offPath: number[]}} progress - Current board
+ * @param {Object} report - Move report (recoveries are counted)
+ * @param {Object} input - Input strategy (see createInput)
+ * @param {SolveRun} run - Current run
+ * @returns {Promise<number>} Step to continue from
+ * @throws {Error} If the board cannot be brought back onto the solution
+ */
+async function recoverPath(solution, progress, report, input, run) {
+  report.recoveries++;
+  if (report.recoveries > CONFIG.MOVES.MAX_RECOVERIES) {
+    throw new Error(`The board kept diverging from the solution (${CONFIG.MOVES.MAX_RECOVERIES} recoveries)`);
   }
   
-  if (!solutionMatch || !solutionMatch[1]) {
-    throw new Error('Solution data not found. LinkedIn game structure may have changed.');
+  // Nothing matches yet: restart from the first cell
+  const anchorStep = Math.max(progress.correctSteps, 1);
+  const anchor = solution[anchorStep - 1];
+  logger.warn(`↩️ Board diverged after step ${progress.correctSteps}, going back to ${anchor}`, progress.offPath);
+  
+  input.restart(anchor);
+  await waitForBoard(() => readPlayerProgress(solution).offPath.length === 0, run);
+  await paceMove(Date.now(), run);
+  
+  return readPlayerProgress(solution).correctSteps;
+}
+
+/**
+ * @typedef {Object} MoveReport
+ * @property {number} accepted - Moves the board confirmed
+ * @property {number} rejected - Moves or presses the board ignored
+ * @property {number} unconfirmed - Moves made without confirmation
+ * @property {number} recoveries - Repairs (path cut back, or a wrong queen removed)
+ * @property {number} durationMs - Time from the first move to the last confirmation
+ */
+
+/**
+ * Logs and shows the final move report
+ * @param {MoveReport} report - Move report
+ */
+function reportMoves(report) {
+  const summary = `${report.accepted} accepted, ${report.rejected} rejected` +
+    (report.unconfirmed > 0 ? `, ${report.unconfirmed} unconfirmed` : '') +
+    (report.recoveries > 0 ? `, ${report.recoveries} recoveries` : '');
+  const moves = report.accepted + report.unconfirmed;
+  const time = formatSeconds(report.durationMs);
+  logger.info(`🎉 Moves applied in ${time} (${summary}${moves > 0 ? `, ${Math.round(report.durationMs / moves)} ms per move` : ''})`);
+  
+  if (report.unconfirmed > 0) {
+    showNotification(`Game finished in ${time}, but ${report.unconfirmed} moves could not be confirmed`, 'warning');
+  } else if (report.rejected > 0 || report.recoveries > 0) {
+    showNotification(`Game solved in ${time}! (${summary})`, 'success');
+  } else {
+    showNotification(`Game successfully solved in ${time}! 🎉`, 'success');
   }
+}
+
+/**
+ * Formats a duration for the user
+ * @param {number} ms - Duration
+ * @returns {string} e.g. "1.4 s"
+ */
+function formatSeconds(ms) {
+  return `${(ms / 1000).toFixed(1)} s`;
+}
+
+/**
+ * Waits until the board satisfies a condition: checked after every DOM change
+ * (once per animation frame), with the moveTimeoutMs setting as a safety timeout
+ * @param {Function} condition - Returns true once the board is as expected
+ * @param {SolveRun} run - Current run (stops waiting when it is cancelled)
+ * @returns {Promise<boolean>} False if the timeout passed first
+ * @throws {Error} If the run is cancelled
+ */
+function waitForBoard(condition, run) {
+  throwIfCancelled(run);
+  if (condition()) return Promise.resolve(true);
   
-  // Safe JSON parsing
-  try {
-    let solutionData = solutionMatch[1];
-    
-    // check for undefined or empty string
-    if (!solutionData || solutionData === 'undefined' || solutionData.trim() === '') {
-      throw new Error('Solution data is empty or invalid');
-    }
-    
-    // Trim excess whitespace
-    solutionData = solutionData.trim();
-    
-    // Parse it
-    const solution = JSON.parse('[' + solutionData + ']');
+  return new Promise((resolve, reject) => {
+    let frame = null;
+    let timeoutId = null;
     
-    // Validation
-    if (!Array.isArray(solution)) {
-      throw new Error('Solution is not a valid array');
-    }
+    const finish = (settle) => {
+      observer.disconnect();
+      clearTimeout(timeoutId);
+      if (frame !== null) cancelAnimationFrame(frame);
+      run.wake = null;
+      
+      try {
+        throwIfCancelled(run);
+        settle();
+      } catch (error) {
+        reject(error);
+      }
+    };
     
-    if (solution.some(cell => typeof cell !== 'number' || cell < 0)) {
-      throw new Error('Solution contains invalid cell numbers');
-    }
+    const check = () => {
+      frame = null;
+      if (run.cancelled || condition()) finish(() => resolve(true));
+    };
     
-    return solution;
+    // A burst of mutations is checked once, when the frame is rendered
+    const observer = new MutationObserver(() => {
+      if (frame === null) frame = requestAnimationFrame(check);
+    });
+    observer.observe(document.documentElement, CONFIG.MOVES.OBSERVE);
     
-  } catch (parseError) {
-    throw new Error(`Could not parse solution: ${parseError.message}`);
+    timeoutId = addTimeout(() => finish(() => resolve(condition())), settings.moveTimeoutMs);
+    run.wake = () => finish(() => resolve(false));
+  });
+}
+
+/**
+ * Waits between two moves. Fast mode only waits for the next frame (the
+ * board has already shown the last move); steady mode keeps moves
+ * clickDelayMs apart.
+ * @param {number} moveStartedAt - When the last move was made (ms since epoch)
+ * @param {SolveRun} run - Current run (stops waiting when it is cancelled)
+ * @returns {Promise<void>}
+ * @throws {Error} If the run is cancelled
+ */
+function paceMove(moveStartedAt, run) {
+  if (settings.speed === 'fast') {
+    return nextFrame();
   }
+  
+  return wait(Math.max(0, settings.clickDelayMs - (Date.now() - moveStartedAt)), run);
+}
+
+/**
+ * Waits for the next animation frame (or CONFIG.MOVES.FRAME_TIMEOUT_MS when
+ * the tab renders none)
+ * @returns {Promise<void>}
+ */
+function nextFrame() {
+  return new Promise(resolve => {
+    const frame = requestAnimationFrame(() => {
+      clearTimeout(timeoutId);
+      resolve();
+    });
+    // Not addTimeout(): a solve that clears those must not leave this wait hanging
+    const timeoutId = setTimeout(() => {
+      cancelAnimationFrame(frame);
+      resolve();
+    }, CONFIG.MOVES.FRAME_TIMEOUT_MS);
+  });
 }
 
 /**
- * Applies the solution (clicks on cells)
- * @param {number[]} solution - Cell numbers to click
+ * Waits for the given time. A run's wait ends as soon as the run is
+ * cancelled, even if its timeout is cleared with the other timeouts.
+ * @param {number} delay - Delay (ms)
+ * @param {SolveRun} [run] - Run the wait belongs to
  * @returns {Promise<void>}
+ * @throws {Error} If the run is cancelled
  */
-async function applySolution(solution) {
+function wait(delay, run = null) {
   return new Promise((resolve, reject) => {
-    let completedClicks = 0;
-    let failedClicks = 0;
+    const finish = () => {
+      clearTimeout(timeoutId);
+      if (!run) return resolve();
+      
+      run.wake = null;
+      try {
+        throwIfCancelled(run);
+        resolve();
+      } catch (error) {
+        reject(error);
+      }
+    };
     
-    solution.forEach((cellNumber, index) => {
-      addTimeout(() => {
-        const success = clickCell(cellNumber);
-        
-        if (success) {
-          completedClicks++;
-        } else {
-          failedClicks++;
-        }
-        
-        // Last move
-        if (index === solution.length - 1) {
-          addTimeout(() => {
-            console.log(`🎉 Game solved! (${completedClicks} successful, ${failedClicks} failed)`);
-            
-            if (failedClicks > 0) {
-              showNotification(
-                `Game solved! (with ${failedClicks} errors)`,
-                'warning'
-              );
-            } else {
-              showNotification('Game successfully solved! 🎉', 'success');
-            }
-            
-            resolve();
-          }, CONFIG.CLICK_DELAY_MS);
-        }
-      }, index * CONFIG.CLICK_DELAY_MS);
-    });
+    const timeoutId = addTimeout(finish, delay);
+    if (run) run.wake = finish;
   });
 }
 
@@ -213,7 +559,7 @@ function clickCell(cellNumber) {
   const cell = document.querySelector(CONFIG.SELECTORS.CELL(cellNumber));
   
   if (!cell) {
-    console.warn(`⚠️ Cell not found: ${cellNumber}`);
+    logger.warn(`⚠️ Cell not found: ${cellNumber}`);
     return false;
   }
   
@@ -241,219 +587,2114 @@ function clickCell(cellNumber) {
     
     pointerEvents.forEach(event => cell.dispatchEvent(event));
     
-    console.log(`✓ Cell clicked: ${cellNumber}`);
+    logger.debug(`✓ Cell clicked: ${cellNumber}`);
     return true;
     
   } catch (error) {
-    console.error(`❌ Could not click on cell (${cellNumber}):`, error);
+    logger.error(`❌ Could not click on cell (${cellNumber}):`, error);
     return false;
   }
 }
 
 // ============================================================================ 
-// NOTIFICATION SYSTEM
+// SOLVE CONTROL
 // ============================================================================ 
 
 /**
- * Shows a notification to the user
- * @param {string} message - Message to display
- * @param {string} type - Notification type (success, error, info, warning)
+ * @typedef {Object} SolveRun
+ * @property {number} step - Moves of the solution already on the board
+ * @property {number} total - Moves in the solution
+ * @property {boolean} paused - Waiting for resumeSolve() before the next move
+ * @property {boolean} cancelled - Stopped with stopSolve() (or replaced by a new solve)
+ * @property {Function|null} resume - Wakes a paused run
+ * @property {Function|null} wake - Ends the current wait (see waitForBoard and wait)
+ * @property {number} startedAt - Start time (ms since epoch)
+ * @property {ZipPuzzle|null} puzzle - Puzzle being solved, once loaded
+ * @property {Object|null} report - Move report of applySolution(), once started
  */
-function showNotification(message, type = 'info') {
-  // Input validation
-  if (!message || typeof message !== 'string') {
-    console.warn('Invalid notification message');
-    return;
+
+/**
+ * Starts a new run (a solve that is still running is cancelled)
+ * @returns {SolveRun}
+ */
+function beginSolveRun() {
+  if (solveRun) {
+    cancelSolveRun(solveRun);
   }
   
-  if (typeof type !== 'string') {
-    console.warn('Invalid notification type, using info');
-    type = 'info';
+  solveRun = {
+    step: 0,
+    total: 0,
+    paused: false,
+    cancelled: false,
+    resume: null,
+    wake: null,
+    startedAt: Date.now(),
+    puzzle: null,
+    report: null
+  };
+  return solveRun;
+}
+
+/**
+ * Forgets a run once it is over
+ * @param {SolveRun} run - Finished run
+ */
+function endSolveRun(run) {
+  if (solveRun === run) {
+    solveRun = null;
   }
-  
-  // Inject animation styles only once (performance optimization)
-  if (!animationStyleInjected) {
-    injectAnimationStyles();
-    animationStyleInjected = true;
+}
+
+/**
+ * Marks a run as cancelled and wakes it if it is paused or waiting
+ * @param {SolveRun} run - Run to cancel
+ */
+function cancelSolveRun(run) {
+  run.cancelled = true;
+  if (run.resume) {
+    run.resume();
+  }
+  if (run.wake) {
+    run.wake();
   }
+}
+
+/**
+ * Called before every move: waits while the run is paused
+ * @param {SolveRun} run - Current run
+ * @param {number} step - Moves already on the board
+ * @returns {Promise<void>}
+ * @throws {Error} If the run is cancelled
+ */
+async function solveCheckpoint(run, step) {
+  throwIfCancelled(run);
+  if (!run.paused) return;
   
-  // Remove existing notification
-  removeExistingNotification();
+  logger.info(`⏸️ Paused at step ${step} of ${run.total}`);
+  reportSolveProgress(run, 'paused');
   
-  // Create new notification
-  const notification = createNotificationElement(message, type);
+  await new Promise(resolve => {
+    run.resume = resolve;
+  });
+  run.resume = null;
   
-  // Add to DOM
-  if (document.body) {
-    document.body.appendChild(notification);
-    
-    // Auto-remove
-    addTimeout(() => {
-      hideNotification(notification);
-    }, CONFIG.NOTIFICATION_DURATION_MS);
-  } else {
-    console.warn('document.body not found, notification could not be shown');
-  }
+  throwIfCancelled(run);
+  logger.info('▶️ Resumed');
+  reportSolveProgress(run, 'running');
 }
 
 /**
- * Removes the existing notification from the DOM
+ * Throws the cancellation error if the run was stopped
+ * @param {SolveRun} run - Current run
+ * @throws {Error} Error with `cancelled: true`
  */
-function removeExistingNotification() {
-  const existingNotification = document.getElementById(CONFIG.SELECTORS.NOTIFICATION);
-  if (existingNotification) {
-    existingNotification.remove();
+function throwIfCancelled(run) {
+  if (run.cancelled) {
+    const error = new Error('Solve cancelled');
+    error.cancelled = true;
+    throw error;
   }
 }
 
 /**
- * Creates the notification element
- * @param {string} message - Message
- * @param {string} type - Type
- * @returns {HTMLDivElement}
+ * Stops the running solve (the current move is finished first)
+ * @returns {boolean} True if a solve was running
  */
-function createNotificationElement(message, type) {
-  const notification = document.createElement('div');
-  notification.id = CONFIG.SELECTORS.NOTIFICATION;
-  
-  // Security: Use textContent for XSS protection
-  const safeType = (type && typeof type === 'string') ? type.toLowerCase() : 'info';
-  const notificationConfig = CONFIG.NOTIFICATION_TYPES[safeType] || CONFIG.NOTIFICATION_TYPES.info;
-  const icon = notificationConfig?.icon || 'ℹ️';
-  notification.textContent = `${icon} ${message}`;
+function stopSolve() {
+  if (!solveRun) return false;
   
-  // Apply style
-  Object.assign(notification.style, {
-    position: 'fixed',
-    top: '20px',
-    right: '20px',
-    backgroundColor: notificationConfig.color,
-    color: 'white',
-    padding: '16px 24px',
-    borderRadius: '8px',
-    boxShadow: '0 4px 6px rgba(0, 0, 0, 0.1), 0 10px 15px -3px rgba(0, 0, 0, 0.1)',
-    zIndex: '2147483647', // Maximum z-index
-    fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif',
-    fontSize: '14px',
-    fontWeight: '500',
-    maxWidth: '300px',
-    wordWrap: 'break-word',
-    animation: 'zipSolverSlideIn 0.3s ease-out',
-    cursor: 'pointer',
-    userSelect: 'none',
-    transition: 'transform 0.2s ease, opacity 0.2s ease'
-  });
+  cancelSolveRun(solveRun);
+  return true;
+}
+
+/**
+ * Pauses the running solve before its next move
+ * @returns {boolean} True if a solve was running
+ */
+function pauseSolve() {
+  if (!solveRun || solveRun.paused) return false;
   
-  // Close on click
-  notification.addEventListener('click', () => {
-    hideNotification(notification);
-  });
+  solveRun.paused = true;
+  showNotification('Paused', 'info');
+  return true;
+}
+
+/**
+ * Resumes a paused solve
+ * @returns {boolean} True if a solve was paused
+ */
+function resumeSolve() {
+  if (!solveRun || !solveRun.paused) return false;
   
-  // Hover effect
-  notification.addEventListener('mouseenter', () => {
-    notification.style.transform = 'translateY(-2px)';
-    notification.style.boxShadow = '0 6px 8px rgba(0, 0, 0, 0.15), 0 12px 20px -3px rgba(0, 0, 0, 0.15)';
+  solveRun.paused = false;
+  if (solveRun.resume) {
+    solveRun.resume();
+  }
+  showNotification('Resuming...', 'info');
+  return true;
+}
+
+/**
+ * Sends the run's progress, with the time since it started, to the service
+ * worker (badge) and open extension pages
+ * @param {SolveRun} run - Current run
+ * @param {string} state - running, paused, cancelled, finished or error
+ * @param {string} [error] - Error message (error state)
+ */
+function reportSolveProgress(run, state, error) {
+  chrome.runtime.sendMessage({
+    action: 'solveProgress',
+    state,
+    step: run.step,
+    total: run.total,
+    elapsedMs: Date.now() - run.startedAt,
+    error
+  }).catch(() => {
+    // Nobody is listening (e.g. the extension was reloaded)
   });
+}
+
+// ============================================================================ 
+// INPUT STRATEGIES
+// ============================================================================ 
+
+/**
+ * Creates an input strategy: an object that makes moves on the board
+ *
+ * - move(cellNumber, head): moves the path from head (null before the first
+ *   move) to the cell; returns false if the cell could not be reached
+ * - restart(cellNumber): starts again from a drawn cell (the game cuts the path there)
+ * - finish(): releases anything still held down
+ * @param {string} strategy - One of CONFIG.INPUT.STRATEGIES
+ * @returns {{name: string, move: Function, restart: Function, finish: Function}}
+ */
+function createInput(strategy) {
+  return strategy === CONFIG.INPUT.STRATEGIES.DRAG ? createDragInput() : createClickInput();
+}
+
+/**
+ * Input strategy that clicks every cell separately
+ * @returns {{name: string, move: Function, restart: Function, finish: Function}}
+ */
+function createClickInput() {
+  return {
+    name: CONFIG.INPUT.STRATEGIES.CLICK,
+    move: (cellNumber) => clickCell(cellNumber),
+    restart: (cellNumber) => clickCell(cellNumber),
+    finish: () => {}
+  };
+}
+
+/**
+ * Input strategy that draws the whole path as one pointer drag:
+ * pointerdown on the first cell, pointermove through every cell centre
+ * and pointerup when finished
+ * @returns {{name: string, move: Function, restart: Function, finish: Function}}
+ */
+function createDragInput() {
+  // Pointer position while the button is held down
+  let pointer = null;
   
-  notification.addEventListener('mouseleave', () => {
-    notification.style.transform = 'translateY(0)';
-    notification.style.boxShadow = '0 4px 6px rgba(0, 0, 0, 0.1), 0 10px 15px -3px rgba(0, 0, 0, 0.1)';
-  });
+  const drag = {
+    name: CONFIG.INPUT.STRATEGIES.DRAG,
+    
+    move(cellNumber, head) {
+      // The path starts here: pressing is the move
+      if (head === null) return drag.restart(cellNumber);
+      
+      const target = getCellCentre(cellNumber);
+      const from = getCellCentre(head);
+      if (!target || !from) return false;
+      
+      if (!pointer && !drag.restart(head)) return false;
+      
+      // Glide from the head so that retries cross the cell border again
+      for (let i = 1; i <= CONFIG.INPUT.DRAG_STEPS; i++) {
+        const ratio = i / CONFIG.INPUT.DRAG_STEPS;
+        dispatchPointerEvent('pointermove', {
+          x: from.x + (target.x - from.x) * ratio,
+          y: from.y + (target.y - from.y) * ratio,
+          element: ratio < 0.5 ? from.element : target.element
+        });
+      }
+      
+      pointer = target;
+      logger.debug(`✓ Dragged to cell: ${cellNumber}`);
+      return true;
+    },
+    
+    restart(cellNumber) {
+      drag.finish();
+      
+      const point = getCellCentre(cellNumber);
+      if (!point) return false;
+      
+      dispatchPointerEvent('pointerdown', point);
+      pointer = point;
+      logger.debug(`✓ Drag started on cell: ${cellNumber}`);
+      return true;
+    },
+    
+    finish() {
+      if (!pointer) return;
+      dispatchPointerEvent('pointerup', pointer);
+      pointer = null;
+    }
+  };
   
-  return notification;
+  return drag;
 }
 
 /**
- * Hides and removes the notification
- * @param {HTMLElement} notification - Notification element
+ * Returns the viewport coordinates of a cell's centre
+ * @param {number} cellNumber - Cell number
+ * @returns {{x: number, y: number, element: HTMLElement}|null} Null if the cell is missing
  */
-function hideNotification(notification) {
-  if (!notification || !notification.parentNode) return;
+function getCellCentre(cellNumber) {
+  const element = document.querySelector(CONFIG.SELECTORS.CELL(cellNumber));
   
-  notification.style.animation = `zipSolverSlideOut ${CONFIG.NOTIFICATION_ANIMATION_MS}ms ease-out forwards`;
+  if (!element) {
+    logger.warn(`⚠️ Cell not found: ${cellNumber}`);
+    return null;
+  }
   
-  addTimeout(() => {
-    if (notification.parentNode) {
-      notification.remove();
-    }
-  }, CONFIG.NOTIFICATION_ANIMATION_MS);
+  const rect = element.getBoundingClientRect();
+  return { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2, element };
 }
 
 /**
- * Injects animation styles into the page (once)
+ * Dispatches a pointer event (and its mouse counterpart) at a point,
+ * on the element under the point like a real pointer would
+ * @param {string} type - pointerdown, pointermove or pointerup
+ * @param {{x: number, y: number, element: HTMLElement}} point - Position and fallback target
  */
-function injectAnimationStyles() {
-  // Don't inject again if already injected
-  if (document.getElementById(CONFIG.SELECTORS.ANIMATION_STYLE)) {
-    return;
+function dispatchPointerEvent(type, point) {
+  const target = (document.elementFromPoint && document.elementFromPoint(point.x, point.y)) || point.element;
+  const init = {
+    bubbles: true,
+    cancelable: true,
+    composed: true,
+    view: window,
+    clientX: point.x,
+    clientY: point.y,
+    button: type === 'pointermove' ? -1 : 0,
+    buttons: type === 'pointerup' ? 0 : 1
+  };
+  
+  target.dispatchEvent(new PointerEvent(type, {
+    ...init,
+    pointerId: CONFIG.INPUT.POINTER_ID,
+    pointerType: 'mouse',
+    isPrimary: true
+  }));
+  target.dispatchEvent(new MouseEvent(CONFIG.INPUT.MOUSE_EVENTS[type], init));
+}
+
+/**
+ * Picks the input strategy to start with: the one set in the settings,
+ * otherwise the one remembered from an earlier game
+ * @returns {Promise<string>} One of CONFIG.INPUT.STRATEGIES
+ */
+async function chooseInputStrategy() {
+  if (settings.inputStrategy !== 'auto') {
+    return settings.inputStrategy;
   }
   
-  const style = document.createElement('style');
-  style.id = CONFIG.SELECTORS.ANIMATION_STYLE;
-  style.textContent = "\n    @keyframes zipSolverSlideIn {\n      from {\n        transform: translateX(400px);\n        opacity: 0;\n      }\n      to {\n        transform: translateX(0);\n        opacity: 1;\n      }\n    }\n    \n    @keyframes zipSolverSlideOut {\n      from {\n        transform: translateX(0);\n        opacity: 1;\n      }\n      to {\n        transform: translateX(400px);\n        opacity: 0;\n      }\n    }\n  ";
+  try {
+    const stored = await chrome.storage.local.get(CONFIG.INPUT.STORAGE_KEY);
+    const remembered = stored[CONFIG.INPUT.STORAGE_KEY];
+    
+    if (Object.values(CONFIG.INPUT.STRATEGIES).includes(remembered)) {
+      return remembered;
+    }
+  } catch (error) {
+    logger.warn('⚠️ Could not read the remembered input strategy:', error);
+  }
+  
+  return CONFIG.INPUT.STRATEGIES.CLICK;
+}
+
+/**
+ * Remembers the input strategy the board responded to (automatic mode only)
+ * @param {string} strategy - One of CONFIG.INPUT.STRATEGIES
+ */
+function rememberInputStrategy(strategy) {
+  if (settings.inputStrategy !== 'auto') return;
   
-  document.head.appendChild(style);
+  logger.info(`🖱️ Board responds to ${strategy} input`);
+  chrome.storage.local.set({ [CONFIG.INPUT.STORAGE_KEY]: strategy }).catch(error => {
+    logger.warn('⚠️ Could not remember the input strategy:', error);
+  });
 }
 
 // ============================================================================ 
-// MESSAGE HANDLING
+// HINT MODE
 // ============================================================================ 
 
 /**
- * Checks if the page is ready to solve the game
- * @returns {boolean} True if ready
+ * Reveals only the next few moves after the player's current path
+ * @param {number} [count] - Number of moves to reveal (defaults to the hintMoves setting)
+ * @returns {Promise<void>}
  */
-function isPageReady() {
-  const scriptElement = document.getElementById('rehydrate-data');
-  return !!(scriptElement && scriptElement.textContent && scriptElement.textContent.length > 100);
+async function showHint(count = settings.hintMoves) {
+  const startedAt = Date.now();
+  let puzzle = null;
+  
+  try {
+    logger.info('💡 Looking for a hint...');
+    
+    puzzle = loadZipPuzzle();
+    const { solution } = resolveSolution(puzzle, logger);
+    const progress = readPlayerProgress(solution);
+    const moves = Math.max(1, parseInt(count, 10) || settings.hintMoves);
+    
+    if (progress.offPath.length > 0) {
+      const lastGood = progress.correctSteps > 0
+        ? `after step ${progress.correctSteps} (${describeCell(puzzle, solution[progress.correctSteps - 1])})`
+        : 'at the start';
+      logger.info(`↩️ Path diverged ${lastGood}; off-path cells:`, progress.offPath);
+      highlightCells(progress.offPath, CONFIG.HINT.WRONG_COLOR);
+      showNotification(
+        `Your path leaves the solution ${lastGood}. Undo back to there and go to ${describeCell(puzzle, solution[progress.correctSteps])}.`,
+        'warning'
+      );
+      recordRun({ game: 'zip', mode: 'hint', puzzle, startedAt, result: 'finished' }, logger);
+      return;
+    }
+    
+    if (progress.correctSteps >= solution.length) {
+      showNotification('The puzzle is already complete! 🎉', 'success');
+      return;
+    }
+    
+    const nextCells = solution.slice(progress.correctSteps, progress.correctSteps + moves);
+    
+    if (settings.hintStyle === 'click') {
+      nextCells.forEach((cellNumber, index) => {
+        addTimeout(() => clickCell(cellNumber), index * settings.clickDelayMs);
+      });
+    } else {
+      highlightCells(nextCells, CONFIG.HINT.COLOR);
+    }
+    
+    const description = nextCells.map(cellNumber => describeCell(puzzle, cellNumber)).join(' → ');
+    logger.info(`💡 Hint (step ${progress.correctSteps + 1}):`, nextCells);
+    showNotification(`Next: ${description}`, 'info', {
+      actions: [{ label: 'Show path', run: () => togglePathPreview() }]
+    });
+    recordRun({ game: 'zip', mode: 'hint', puzzle, startedAt, result: 'finished' }, logger);
+    
+  } catch (error) {
+    logger.error('❌ Error occurred:', error);
+    showNotification(`Error: ${error.message}`, 'error');
+    recordRun({ game: 'zip', mode: 'hint', puzzle, startedAt, result: 'error', error: error.message }, logger);
+  }
 }
 
 /**
- * Listens for messages from the background script
+ * Compares the cells the player has drawn with the solution
+ * @param {number[]} solution - Cell numbers in visiting order
+ * @returns {{correctSteps: number, offPath: number[]}} Length of the drawn
+ *   solution prefix and the drawn cells outside of it
  */
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  if (request.action === 'checkReady') {
-    // Check if the page is ready
-    const ready = isPageReady();
-    console.log(ready ? '✅ Page is ready!' : '⏳ Page is not ready yet...');
-    sendResponse({ ready: ready });
-    return false; // Synchronous response
-  }
-  
-  if (request.action === 'solvePuzzle') {
-    // Use a Promise because this is an asynchronous operation
-    solveZipGame()
-      .then(() => {
-        sendResponse({ success: true });
-      })
-      .catch((error) => {
-        sendResponse({ success: false, error: error.message });
-      });
-    
-    // Return true for asynchronous response
-    return true;
+function readPlayerProgress(solution) {
+  const drawn = readDrawnCells();
+  
+  let correctSteps = 0;
+  while (correctSteps < solution.length && drawn.has(solution[correctSteps])) {
+    correctSteps++;
   }
   
-  return false;
-});
+  const prefix = new Set(solution.slice(0, correctSteps));
+  const offPath = Array.from(drawn).filter(cellNumber => !prefix.has(cellNumber));
+  
+  return { correctSteps, offPath };
+}
 
-// ============================================================================ 
-// CLEANUP ON UNLOAD
-// ============================================================================ 
+/**
+ * Reads the cells the player's path currently covers
+ * @returns {Set<number>} Drawn cell numbers
+ */
+function readDrawnCells() {
+  return new Set(
+    Array.from(document.querySelectorAll(CONFIG.SELECTORS.ALL_CELLS))
+      .filter(isCellFilled)
+      .map(element => parseInt(element.getAttribute('data-cell-idx'), 10))
+  );
+}
 
 /**
- * Clean up when the page is closed
+ * Checks whether a cell is part of the player's drawn path
+ * @param {HTMLElement} element - Cell element
+ * @returns {boolean}
  */
-window.addEventListener('beforeunload', () => {
-  clearAllTimeouts();
-});
+function isCellFilled(element) {
+  return element.matches(CONFIG.SELECTORS.FILLED_CELL) ||
+    element.querySelector(CONFIG.SELECTORS.FILLED_CELL) !== null;
+}
 
-// ============================================================================ 
-// INITIALIZATION
-// ============================================================================ 
+const hintOutlines = new Map(); // Cell element -> its own outline, while a hint outlines it
+let hintTimeout = null; // Clears the outlines of the latest hint
+
+/**
+ * Temporarily outlines cells on the board. A new hint replaces the outlines
+ * of the previous one and restarts the timer, so an older timer never
+ * strips the newer outlines.
+ * @param {number[]} cellNumbers - Cells to outline
+ * @param {string} color - Outline colour
+ */
+function highlightCells(cellNumbers, color) {
+  cancelTimeout(hintTimeout);
+  clearHighlights();
+  
+  cellNumbers.forEach(cellNumber => {
+    const cell = document.querySelector(CONFIG.SELECTORS.CELL(cellNumber));
+    if (!cell) {
+      logger.warn(`⚠️ Cell not found: ${cellNumber}`);
+      return;
+    }
+    
+    if (!hintOutlines.has(cell)) {
+      hintOutlines.set(cell, { outline: cell.style.outline, offset: cell.style.outlineOffset });
+    }
+    cell.style.outline = `3px solid ${color}`;
+    cell.style.outlineOffset = '-3px';
+  });
+  
+  hintTimeout = addTimeout(() => {
+    hintTimeout = null;
+    clearHighlights();
+  }, CONFIG.HINT.HIGHLIGHT_MS);
+}
+
+/**
+ * Gives outlined cells their own outline back. Called directly wherever the
+ * timeouts are cleared, since that also drops the timer of a hint.
+ * @param {Element[]} [cells] - Cells to restore (defaults to every outlined cell)
+ */
+function clearHighlights(cells = Array.from(hintOutlines.keys())) {
+  cells.forEach(cell => {
+    const own = hintOutlines.get(cell);
+    if (!own) return;
+    
+    cell.style.outline = own.outline;
+    cell.style.outlineOffset = own.offset;
+    hintOutlines.delete(cell);
+  });
+}
+
+/**
+ * Describes a cell for the user (1-based row and column)
+ * @param {ZipPuzzle} puzzle - Puzzle
+ * @param {number} cellNumber - Cell number
+ * @returns {string}
+ */
+function describeCell(puzzle, cellNumber) {
+  const row = Math.floor(cellNumber / puzzle.cols) + 1;
+  const col = (cellNumber % puzzle.cols) + 1;
+  return `row ${row}, column ${col}`;
+}
+
+// ============================================================================ 
+// PATH PREVIEW
+// ============================================================================ 
+
+let previewState = null;
+
+/**
+ * Shows the solution path as an overlay, or hides it if the same preview is
+ * already visible. Nothing is clicked: the game state is left untouched.
+ * @param {string} [mode] - 'full', 'next-waypoint' or 'animate' (defaults to the previewMode setting)
+ * @returns {Promise<void>}
+ */
+async function togglePathPreview(mode = settings.previewMode) {
+  const sameMode = previewState && previewState.mode === mode;
+  hidePathPreview();
+  
+  if (sameMode) {
+    logger.info('🙈 Path preview hidden');
+    return;
+  }
+  
+  const startedAt = Date.now();
+  let puzzle = null;
+  
+  try {
+    if (!Object.values(CONFIG.PREVIEW.MODES).includes(mode)) {
+      throw new Error(`Unknown preview mode: ${mode}`);
+    }
+    
+    puzzle = loadZipPuzzle();
+    const { solution } = resolveSolution(puzzle, logger);
+    let steps = solution.length;
+    
+    if (mode === CONFIG.PREVIEW.MODES.NEXT_WAYPOINT) {
+      // Up to the first numbered cell after number 1 the player has not reached yet
+      const firstOpenStep = Math.max(readPlayerProgress(solution).correctSteps, 1);
+      const waypointSet = new Set(puzzle.waypoints);
+      const nextIndex = solution.findIndex((cell, index) => index >= firstOpenStep && waypointSet.has(cell));
+      steps = nextIndex === -1 ? solution.length : nextIndex + 1;
+    }
+    
+    previewState = {
+      mode,
+      solution: solution.slice(0, steps),
+      visibleSteps: mode === CONFIG.PREVIEW.MODES.ANIMATE ? 1 : steps,
+      overlay: createPreviewOverlay(),
+      frameRequest: null,
+      onViewportChange: null
+    };
+    
+    // Follow resizes and scrolling (capture also sees scrollable containers)
+    previewState.onViewportChange = () => {
+      if (!previewState || previewState.frameRequest !== null) return;
+      previewState.frameRequest = requestAnimationFrame(() => {
+        if (!previewState) return;
+        previewState.frameRequest = null;
+        drawPathPreview();
+      });
+    };
+    window.addEventListener('resize', previewState.onViewportChange);
+    window.addEventListener('scroll', previewState.onViewportChange, true);
+    
+    document.body.appendChild(previewState.overlay);
+    drawPathPreview();
+    
+    if (mode === CONFIG.PREVIEW.MODES.ANIMATE) {
+      scheduleNextPreviewStep(previewState);
+    }
+    
+    logger.info(`👀 Path preview shown (${mode}, ${steps} steps)`);
+    recordRun({ game: 'zip', mode: 'preview', puzzle, startedAt, result: 'finished' }, logger);
+    
+  } catch (error) {
+    logger.error('❌ Error occurred:', error);
+    showNotification(`Error: ${error.message}`, 'error');
+    recordRun({ game: 'zip', mode: 'preview', puzzle, startedAt, result: 'error', error: error.message }, logger);
+  }
+}
+
+/**
+ * Removes the path preview overlay and its listeners
+ */
+function hidePathPreview() {
+  if (!previewState) return;
+  
+  window.removeEventListener('resize', previewState.onViewportChange);
+  window.removeEventListener('scroll', previewState.onViewportChange, true);
+  if (previewState.frameRequest !== null) {
+    cancelAnimationFrame(previewState.frameRequest);
+  }
+  previewState.overlay.remove();
+  previewState = null;
+}
+
+/**
+ * Reveals one more step of an animated preview
+ * @param {Object} state - Preview state the timer belongs to
+ */
+function scheduleNextPreviewStep(state) {
+  addTimeout(() => {
+    // Ignore timers of a preview that has been replaced or hidden
+    if (previewState !== state || state.visibleSteps >= state.solution.length) return;
+    
+    state.visibleSteps++;
+    drawPathPreview();
+    scheduleNextPreviewStep(state);
+  }, CONFIG.PREVIEW.STEP_MS);
+}
+
+/**
+ * Creates the full-viewport SVG overlay (ignores pointer events)
+ * @returns {SVGSVGElement}
+ */
+function createPreviewOverlay() {
+  const svg = document.createElementNS(CONFIG.PREVIEW.SVG_NS, 'svg');
+  svg.id = CONFIG.SELECTORS.PREVIEW_OVERLAY;
+  
+  Object.assign(svg.style, {
+    position: 'fixed',
+    left: '0',
+    top: '0',
+    width: '100vw',
+    height: '100vh',
+    pointerEvents: 'none',
+    zIndex: '2147483646' // Just below notifications
+  });
+  
+  const polyline = document.createElementNS(CONFIG.PREVIEW.SVG_NS, 'polyline');
+  polyline.setAttribute('fill', 'none');
+  polyline.setAttribute('stroke', CONFIG.PREVIEW.COLOR);
+  polyline.setAttribute('stroke-linecap', 'round');
+  polyline.setAttribute('stroke-linejoin', 'round');
+  polyline.setAttribute('opacity', String(CONFIG.PREVIEW.OPACITY));
+  
+  const head = document.createElementNS(CONFIG.PREVIEW.SVG_NS, 'circle');
+  head.setAttribute('fill', CONFIG.PREVIEW.COLOR);
+  head.style.transition = `opacity ${CONFIG.PREVIEW.STEP_MS}ms ease-in`;
+  
+  svg.appendChild(polyline);
+  svg.appendChild(head);
+  return svg;
+}
+
+/**
+ * Redraws the preview from the current cell positions
+ */
+function drawPathPreview() {
+  if (!previewState) return;
+  
+  const points = [];
+  let cellSize = 0;
+  
+  previewState.solution.slice(0, previewState.visibleSteps).forEach(cellNumber => {
+    const cell = document.querySelector(CONFIG.SELECTORS.CELL(cellNumber));
+    if (!cell) return;
+    
+    const rect = cell.getBoundingClientRect();
+    points.push(`${rect.left + rect.width / 2},${rect.top + rect.height / 2}`);
+    cellSize = Math.max(cellSize, Math.min(rect.width, rect.height));
+  });
+  
+  const [polyline, head] = previewState.overlay.children;
+  polyline.setAttribute('points', points.join(' '));
+  polyline.setAttribute('stroke-width', String(cellSize * CONFIG.PREVIEW.STROKE_RATIO));
+  
+  // Head marker: fades in on every new step of an animated preview
+  const last = points[points.length - 1];
+  if (last) {
+    const [x, y] = last.split(',');
+    head.setAttribute('cx', x);
+    head.setAttribute('cy', y);
+    head.setAttribute('r', String(cellSize * CONFIG.PREVIEW.STROKE_RATIO));
+    
+    if (previewState.mode === CONFIG.PREVIEW.MODES.ANIMATE) {
+      head.style.opacity = '0';
+      requestAnimationFrame(() => {
+        head.style.opacity = String(CONFIG.PREVIEW.OPACITY);
+      });
+    } else {
+      head.style.opacity = String(CONFIG.PREVIEW.OPACITY);
+    }
+  }
+}
+
+// ============================================================================ 
+// PUZZLE MODEL
+// ============================================================================ 
+
+// ZipPuzzle, the payload parser, the path solver and validation are in puzzle.js
+
+/**
+ * Loads the puzzle from the game data (see readZipPuzzle), falling back to
+ * the rendered board. When both are available they are cross-checked.
+ * @returns {ZipPuzzle} Puzzle, with the source it was read from
+ * @throws {Error} If neither can be read
+ */
+function loadZipPuzzle() {
+  let embedded = null;
+  let scraped = null;
+  
+  try {
+    embedded = readZipPuzzle();
+    logger.info(`📦 Game data read from ${embedded.source}`);
+  } catch (parseError) {
+    logger.warn('⚠️ Game data unavailable, reading the board:', parseError.message);
+  }
+  
+  try {
+    scraped = { ...scrapeBoardPuzzle(), source: 'board' };
+  } catch (scrapeError) {
+    if (!embedded) throw scrapeError;
+    logger.warn('⚠️ Could not read the board:', scrapeError.message);
+  }
+  
+  if (embedded) {
+    archivePuzzle(embedded, logger);
+  }
+  
+  if (embedded && scraped) {
+    const differences = comparePuzzles(embedded, scraped);
+    if (differences.length > 0) {
+      logger.warn('⚠️ Game data and board disagree:', differences);
+    }
+  }
+  
+  return embedded || scraped;
+}
+
+// ============================================================================ 
+// GAME DATA SOURCES
+// ============================================================================ 
+
+let networkPayloads = []; // Puzzle responses seen by interceptor.js, newest last
+
+// Readers of each game data source (see CONFIG.SOURCES.ORDER)
+const ZIP_DATA_SOURCES = {
+  'rehydrate-data': parseZipPuzzle,
+  'client-state': () => parseFirstPayload(
+    Array.from(document.querySelectorAll(CONFIG.SOURCES.CLIENT_STATE), element => element.textContent),
+    'No client state with game data'
+  ),
+  network: () => parseFirstPayload(
+    networkPayloads.map(payload => payload.body).reverse(),
+    'No game data intercepted from the network'
+  )
+};
+
+/**
+ * Reads the puzzle from the first game data source that has a valid one:
+ * the rehydrate data, LinkedIn's in-page client state, then the API
+ * responses interceptor.js has seen
+ * @returns {ZipPuzzle} Puzzle, with the source it was read from
+ * @throws {Error} Listing why every source failed
+ */
+function readZipPuzzle() {
+  const failures = [];
+  
+  for (const source of CONFIG.SOURCES.ORDER) {
+    try {
+      return { ...ZIP_DATA_SOURCES[source](), source };
+    } catch (error) {
+      failures.push(`${source}: ${error.message}`);
+    }
+  }
+  
+  throw new Error(`No valid game data. ${failures.join('; ')}`);
+}
+
+/**
+ * Parses the first payload that holds a valid puzzle
+ * @param {string[]} texts - Candidate payloads, best first
+ * @param {string} emptyMessage - Error when no candidate mentions a puzzle
+ * @returns {ZipPuzzle}
+ * @throws {Error} The last candidate's error, or emptyMessage
+ */
+function parseFirstPayload(texts, emptyMessage) {
+  const candidates = texts.filter(text => text && text.includes(PUZZLE.PAYLOAD.GRID_SIZE_KEY));
+  let lastError = new Error(emptyMessage);
+  
+  for (const text of candidates) {
+    try {
+      return parseZipPayload(unescapeRehydrateData(text));
+    } catch (error) {
+      lastError = error;
+    }
+  }
+  
+  throw lastError;
+}
+
+/**
+ * Keeps the puzzle responses interceptor.js reports (a board waiting for
+ * its data is checked again)
+ * @param {CustomEvent} event - Payload event; detail is the JSON of { url, body }
+ */
+function handleNetworkPayload(event) {
+  try {
+    const payload = JSON.parse(event.detail);
+    if (!payload || typeof payload.body !== 'string') return;
+    
+    networkPayloads = [...networkPayloads, payload].slice(-CONFIG.SOURCES.MAX_NETWORK_PAYLOADS);
+    logger.info(`📡 Game data intercepted from ${payload.url}`);
+    checkReadinessSoon();
+  } catch (error) {
+    logger.warn('⚠️ Unreadable intercepted game data:', error.message);
+  }
+}
+
+/**
+ * Parses the Zip puzzle from the page's rehydrate data
+ * @returns {ZipPuzzle}
+ * @throws {Error} If the game data is missing or a required field is invalid
+ */
+function parseZipPuzzle() {
+  const scriptElement = document.getElementById(CONFIG.SELECTORS.REHYDRATE_DATA);
+  
+  if (!scriptElement) {
+    throw new Error('Game data not found. Make sure the page is fully loaded.');
+  }
+  
+  const scriptContent = scriptElement.textContent;
+  
+  if (!scriptContent || scriptContent.trim().length === 0) {
+    throw new Error('Game data is empty');
+  }
+  
+  return parseZipPayload(unescapeRehydrateData(scriptContent));
+}
+
+/**
+ * Checks if the Zip board is ready: the game data parses and every cell of
+ * its grid is rendered
+ * @returns {boolean} True if ready
+ */
+function isZipPageReady() {
+  let puzzle;
+  try {
+    puzzle = readZipPuzzle();
+  } catch (error) {
+    return false;
+  }
+  
+  const cellCount = puzzle.rows * puzzle.cols;
+  const rendered = new Set(Array.from(document.querySelectorAll(CONFIG.SELECTORS.ALL_CELLS),
+    element => parseInt(element.getAttribute('data-cell-idx'), 10)));
+  
+  return rendered.size === cellCount && Array.from(rendered).every(index => index >= 0 && index < cellCount);
+}
+
+// ============================================================================ 
+// BOARD SCRAPER
+// ============================================================================ 
+
+/**
+ * Rebuilds the puzzle from the rendered [data-cell-idx] grid
+ * @returns {ZipPuzzle} Puzzle without ID, date or solution
+ * @throws {Error} If the board is missing or cannot be read
+ */
+function scrapeBoardPuzzle() {
+  const cells = Array.from(document.querySelectorAll(CONFIG.SELECTORS.ALL_CELLS))
+    .map(element => ({ element, idx: parseInt(element.getAttribute('data-cell-idx'), 10) }))
+    .filter(cell => Number.isInteger(cell.idx))
+    .sort((a, b) => a.idx - b.idx);
+  
+  if (cells.length === 0) {
+    throw new Error('Game board not found. Make sure the page is fully loaded.');
+  }
+  
+  const { rows, cols } = measureGrid(cells.map(cell => cell.element));
+  
+  if (rows * cols !== cells.length || cells.some((cell, index) => cell.idx !== index)) {
+    throw new Error(`Game board is incomplete (${cells.length} cells for a ${rows}x${cols} grid)`);
+  }
+  
+  // Numbered cells: their text is the number
+  const numbered = [];
+  cells.forEach(({ element, idx }) => {
+    const text = element.textContent.trim();
+    if (/^\d+$/.test(text)) {
+      numbered[parseInt(text, 10) - 1] = idx;
+    }
+  });
+  
+  if (numbered.length === 0) {
+    throw new Error('No numbered cells found on the game board');
+  }
+  
+  const missing = numbered.findIndex(cell => cell === undefined);
+  if (missing !== -1) {
+    throw new Error(`Numbered cell ${missing + 1} not found on the game board`);
+  }
+  
+  // Walls: from wall classes or thick borders, deduplicated by cell pair
+  const walls = new Map();
+  cells.forEach(({ element, idx }) => {
+    readCellWalls(element).forEach(direction => {
+      const edge = wallToEdge({ cellIdx: idx, direction }, rows, cols);
+      if (edge) {
+        walls.set(edgeId(edge[0], edge[1]), edge);
+      }
+    });
+  });
+  
+  return {
+    id: null,
+    date: null,
+    rows,
+    cols,
+    waypoints: numbered,
+    walls: Array.from(walls.values()),
+    solution: null
+  };
+}
+
+/**
+ * Measures the grid dimensions from the cell layout
+ * @param {HTMLElement[]} elements - Cell elements in index order
+ * @returns {{rows: number, cols: number}}
+ */
+function measureGrid(elements) {
+  const tops = new Set();
+  const lefts = new Set();
+  
+  elements.forEach(element => {
+    const rect = element.getBoundingClientRect();
+    if (rect.width > 0 && rect.height > 0) {
+      tops.add(Math.round(rect.top));
+      lefts.add(Math.round(rect.left));
+    }
+  });
+  
+  if (tops.size > 0 && tops.size * lefts.size === elements.length) {
+    return { rows: tops.size, cols: lefts.size };
+  }
+  
+  // Not laid out (hidden board): Zip boards are square
+  const size = Math.round(Math.sqrt(elements.length));
+  return { rows: size, cols: size };
+}
+
+/**
+ * Reads the walls drawn on a cell
+ * @param {HTMLElement} element - Cell element
+ * @returns {string[]} Wall directions (UP, DOWN, LEFT, RIGHT)
+ */
+function readCellWalls(element) {
+  const directions = new Set();
+  
+  // Wall classes on the cell or its children (e.g. "trail-cell-wall--right")
+  [element, ...element.querySelectorAll('*')].forEach(node => {
+    const className = typeof node.className === 'string' ? node.className : node.getAttribute('class') || '';
+    for (const match of className.matchAll(CONFIG.BOARD.WALL_CLASS_PATTERN)) {
+      directions.add(CONFIG.BOARD.SIDES[match[1].toLowerCase()]);
+    }
+  });
+  
+  // Thick borders on the cell itself
+  const style = window.getComputedStyle(element);
+  ['top', 'bottom', 'left', 'right'].forEach(side => {
+    const property = `border${side[0].toUpperCase()}${side.slice(1)}Width`;
+    if (parseFloat(style[property]) >= CONFIG.BOARD.WALL_BORDER_MIN_PX) {
+      directions.add(CONFIG.BOARD.SIDES[side]);
+    }
+  });
+  
+  return Array.from(directions);
+}
+
+/**
+ * Lists the differences between two puzzles (e.g. embedded data vs. board)
+ * @param {ZipPuzzle} expected - First puzzle
+ * @param {ZipPuzzle} actual - Second puzzle
+ * @returns {string[]} Human-readable differences (empty if they match)
+ */
+function comparePuzzles(expected, actual) {
+  const differences = [];
+  
+  if (expected.rows !== actual.rows || expected.cols !== actual.cols) {
+    differences.push(`grid size ${expected.rows}x${expected.cols} vs ${actual.rows}x${actual.cols}`);
+    return differences;
+  }
+  
+  if (expected.waypoints.join(',') !== actual.waypoints.join(',')) {
+    differences.push(`numbered cells [${expected.waypoints}] vs [${actual.waypoints}]`);
+  }
+  
+  const expectedWalls = new Set(expected.walls.map(([a, b]) => edgeId(a, b)));
+  const actualWalls = new Set(actual.walls.map(([a, b]) => edgeId(a, b)));
+  const missingWalls = [...expectedWalls].filter(wall => !actualWalls.has(wall));
+  const extraWalls = [...actualWalls].filter(wall => !expectedWalls.has(wall));
+  
+  if (missingWalls.length > 0) {
+    differences.push(`walls only in the first source: ${missingWalls.join(', ')}`);
+  }
+  if (extraWalls.length > 0) {
+    differences.push(`walls only in the second source: ${extraWalls.join(', ')}`);
+  }
+  
+  return differences;
+}
+
+// ============================================================================ 
+// SCHEMA DRIFT
+// ============================================================================ 
+
+/**
+ * @typedef {Object<string, string>} SchemaFingerprint
+ * Structure of the page, without its values: "rehydrate-data:<key path>" ->
+ * JSON type of the game data, "board:<selector>" -> what the cells have
+ * (element, attribute or class)
+ */
+
+/**
+ * @typedef {Object} SchemaDriftReport
+ * @property {string} game - Adapter ID
+ * @property {string} checkedAt - When the page was checked (ISO 8601)
+ * @property {boolean} healthy - The puzzle could still be read
+ * @property {number} changes - Number of differences
+ * @property {string[]} appeared - Paths and selectors the last working page did not have
+ * @property {string[]} disappeared - Paths and selectors that are gone
+ * @property {{path: string, from: string, to: string}[]} changed - Paths whose type changed
+ */
+
+/**
+ * Takes the structural fingerprint of the page: the key paths and types of
+ * the Zip game data, and the attributes and classes of the board cells
+ * @param {GameAdapter} adapter - Game of the page
+ * @returns {SchemaFingerprint}
+ */
+function takeSchemaFingerprint(adapter) {
+  const fingerprint = {};
+  
+  if (adapter === GAME_ADAPTERS.zip) {
+    Object.entries(fingerprintGameData()).forEach(([path, type]) => {
+      fingerprint[`rehydrate-data:${path}`] = type;
+    });
+  }
+  
+  Object.entries(fingerprintBoard()).forEach(([selector, kind]) => {
+    fingerprint[`board:${selector}`] = kind;
+  });
+  
+  return fingerprint;
+}
+
+/**
+ * Lists the key paths of the game object in the rehydrate data (the object
+ * around the puzzle, as parseZipPayload finds it) with their JSON types.
+ * The rest of the page data is left out: it would use up the path limit.
+ * Array items share the path "<array>[]"; an empty array is typed "empty".
+ * @returns {Object<string, string>} Key path -> type ({} without game data)
+ */
+function fingerprintGameData() {
+  const element = document.getElementById(CONFIG.SELECTORS.REHYDRATE_DATA);
+  const text = element ? unescapeRehydrateData(element.textContent || '') : '';
+  
+  let data;
+  try {
+    data = findEnclosingObject(text, PUZZLE.PAYLOAD.PUZZLE_KEY) ||
+      findEnclosingObject(text, PUZZLE.PAYLOAD.GRID_SIZE_KEY);
+  } catch (error) {
+    return { '': 'invalid JSON' };
+  }
+  if (!data) return {};
+  
+  const paths = {};
+  const typeOf = value => (Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value);
+  
+  const walk = (value, path, depth) => {
+    if (Object.keys(paths).length >= CONFIG.DRIFT.MAX_PATHS) return;
+    
+    const type = typeOf(value);
+    const known = paths[path];
+    paths[path] = known && known !== type && !known.split('|').includes(type)
+      ? [...known.split('|'), type].sort().join('|')
+      : known || type;
+    
+    if (depth >= CONFIG.DRIFT.MAX_DEPTH) return;
+    
+    if (type === 'array') {
+      if (value.length === 0) {
+        paths[`${path}[]`] = paths[`${path}[]`] || 'empty';
+      }
+      value.forEach(item => walk(item, `${path}[]`, depth + 1));
+    } else if (type === 'object') {
+      Object.entries(value).forEach(([key, item]) => walk(item, path ? `${path}.${key}` : key, depth + 1));
+    }
+  };
+  
+  walk(data, '', 0);
+  delete paths[''];
+  return paths;
+}
+
+/**
+ * Lists what the board cells are made of: the cell selector, the attributes
+ * and classes of the cells and the classes of their content. Class names are
+ * reduced to their block (BEM modifiers such as wall markers vary by puzzle)
+ * and numbers are masked.
+ * @returns {Object<string, string>} Selector -> element, attribute or class
+ */
+function fingerprintBoard() {
+  const cells = Array.from(document.querySelectorAll(CONFIG.SELECTORS.ALL_CELLS));
+  if (cells.length === 0) return {};
+  
+  const fingerprint = { [CONFIG.SELECTORS.ALL_CELLS]: 'element' };
+  const classesOf = element => Array.from(element.classList, name => name.split('--')[0].replace(/\d+/g, '#'));
+  
+  cells.forEach(cell => {
+    Array.from(cell.attributes).forEach(attribute => {
+      if (attribute.name !== 'class' && attribute.name !== 'style') {
+        fingerprint[`cell[${attribute.name}]`] = 'attribute';
+      }
+    });
+    classesOf(cell).forEach(name => {
+      fingerprint[`cell.${name}`] = 'class';
+    });
+    cell.querySelectorAll('[class]').forEach(child => {
+      classesOf(child).forEach(name => {
+        fingerprint[`cell .${name}`] = 'class';
+      });
+    });
+  });
+  
+  return fingerprint;
+}
+
+/**
+ * Compares a page's fingerprint with the last known-good one. Items of an
+ * array that was empty on either page are not compared, and the fields of
+ * an object that appeared or disappeared are not listed under it.
+ * @param {SchemaFingerprint} known - Last known-good fingerprint
+ * @param {SchemaFingerprint} current - This page's fingerprint
+ * @returns {{appeared: string[], disappeared: string[], changed: Object[]}}
+ */
+function compareSchemaFingerprints(known, current) {
+  const emptyArrays = Object.keys({ ...known, ...current })
+    .filter(path => known[path] === 'empty' || current[path] === 'empty');
+  const comparable = path => !emptyArrays.some(array => path.startsWith(array));
+  const outermost = (path, index, list) => {
+    const parent = path.replace(/(\.[^.[\]]+|\[\])$/, '');
+    return parent === path || !list.includes(parent);
+  };
+  
+  const paths = Object.keys({ ...known, ...current }).filter(comparable).sort();
+  
+  return {
+    appeared: paths.filter(path => !(path in known)).filter(outermost),
+    disappeared: paths.filter(path => !(path in current)).filter(outermost),
+    changed: paths
+      .filter(path => path in known && path in current && known[path] !== current[path])
+      .map(path => ({ path, from: known[path], to: current[path] }))
+  };
+}
+
+/**
+ * Compares the page with the last page of the game that could be read and
+ * reports what changed. A readable page becomes the new known-good
+ * fingerprint. Only LinkedIn's game pages are checked.
+ * @param {GameAdapter} adapter - Game of the page
+ * @returns {Promise<SchemaDriftReport|null>} Null without a known-good page to compare with
+ */
+async function checkSchemaDrift(adapter) {
+  if (!findGameAdapter(window.location.href)) return null;
+  
+  try {
+    const current = takeSchemaFingerprint(adapter);
+    const healthy = adapter.isReady();
+    const stored = await chrome.storage.local.get(CONFIG.DRIFT.FINGERPRINTS_KEY);
+    const fingerprints = stored[CONFIG.DRIFT.FINGERPRINTS_KEY] || {};
+    const known = fingerprints[adapter.id];
+    
+    if (healthy) {
+      await chrome.storage.local.set({ [CONFIG.DRIFT.FINGERPRINTS_KEY]: { ...fingerprints, [adapter.id]: current } });
+    }
+    
+    if (!known) return null;
+    
+    const differences = compareSchemaFingerprints(known, current);
+    const report = {
+      game: adapter.id,
+      checkedAt: new Date().toISOString(),
+      healthy,
+      changes: differences.appeared.length + differences.disappeared.length + differences.changed.length,
+      ...differences
+    };
+    
+    if (report.changes > 0) {
+      logger[healthy ? 'warn' : 'error'](`${healthy ? '⚠️' : '❌'} LinkedIn changed the ${adapter.name} page since the last one that worked:`, report);
+      await chrome.storage.local.set({ [CONFIG.DRIFT.REPORT_KEY]: report });
+    }
+    
+    return report;
+  } catch (error) {
+    logger.warn('⚠️ Could not check the page structure:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Summarises a drift report in one line
+ * @param {SchemaDriftReport} report - Drift report
+ * @returns {string} e.g. "LinkedIn changed: rehydrate-data:data.game.trailPuzzle disappeared, ..."
+ */
+function describeSchemaDrift(report) {
+  const items = [
+    ...report.disappeared.map(path => `${path} disappeared`),
+    ...report.changed.map(change => `${change.path} changed from ${change.from} to ${change.to}`),
+    ...report.appeared.map(path => `${path} appeared`)
+  ];
+  const more = items.length > CONFIG.DRIFT.MAX_LISTED ? ` and ${items.length - CONFIG.DRIFT.MAX_LISTED} more` : '';
+  
+  return `LinkedIn changed: ${items.slice(0, CONFIG.DRIFT.MAX_LISTED).join(', ')}${more}`;
+}
+
+// ============================================================================ 
+// QUEENS
+// ============================================================================ 
+
+// QueensPuzzle, the constraint solver and validation are in queens.js
+
+/**
+ * Reads the Queens puzzle from the rendered board (the colour of every cell)
+ * @returns {QueensPuzzle}
+ * @throws {Error} If the board is missing or its colours cannot be read
+ */
+function loadQueensPuzzle() {
+  const elements = Array.from(document.querySelectorAll(CONFIG.SELECTORS.ALL_CELLS))
+    .sort((a, b) => parseInt(a.getAttribute('data-cell-idx'), 10) - parseInt(b.getAttribute('data-cell-idx'), 10));
+  
+  if (elements.length === 0) {
+    throw new Error('Queens board not found. Make sure the page is fully loaded.');
+  }
+  
+  if (elements.some((element, position) => parseInt(element.getAttribute('data-cell-idx'), 10) !== position)) {
+    throw new Error(`The board cells are not numbered 0 to ${elements.length - 1}`);
+  }
+  
+  return { ...createQueensPuzzle({ colors: elements.map(readCellColor) }), source: 'board' };
+}
+
+/**
+ * Reads the colour region of a rendered cell: its colour class, the colour
+ * named in its label, or its background
+ * @param {HTMLElement} element - Cell element
+ * @returns {string|null} Colour label (null if none is found)
+ */
+function readCellColor(element) {
+  const classMatch = (element.getAttribute('class') || '').match(CONFIG.QUEENS.REGION_CLASS_PATTERN);
+  if (classMatch) return `class ${classMatch[1]}`;
+  
+  const labelMatch = (element.getAttribute('aria-label') || '').match(CONFIG.QUEENS.REGION_LABEL_PATTERN);
+  if (labelMatch) return `label ${labelMatch[1].trim().toLowerCase()}`;
+  
+  const background = window.getComputedStyle(element).backgroundColor;
+  return background && !CONFIG.QUEENS.NO_BACKGROUND.includes(background) ? background : null;
+}
+
+/**
+ * Checks if the Queens board is on the page and readable
+ * @returns {boolean}
+ */
+function isQueensPageReady() {
+  try {
+    loadQueensPuzzle();
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Reads the cells that show a queen
+ * @returns {Set<number>} Queen cell numbers
+ */
+function readQueenCells() {
+  return new Set(
+    Array.from(document.querySelectorAll(CONFIG.SELECTORS.ALL_CELLS))
+      .filter(element => CONFIG.QUEENS.QUEEN_LABEL_PATTERN.test(element.getAttribute('aria-label') || '') ||
+        element.querySelector(CONFIG.QUEENS.QUEEN_MARK) !== null)
+      .map(element => parseInt(element.getAttribute('data-cell-idx'), 10))
+  );
+}
+
+/**
+ * Presses a cell once, with the events of a single real click (clickCell()
+ * sends several clicks, which would cycle a Queens cell more than once)
+ * @param {number} cellNumber - Cell number
+ * @returns {boolean} True if the cell was found
+ */
+function pressQueensCell(cellNumber) {
+  const cell = document.querySelector(CONFIG.SELECTORS.CELL(cellNumber));
+  
+  if (!cell) {
+    logger.warn(`⚠️ Cell not found: ${cellNumber}`);
+    return false;
+  }
+  
+  const init = { bubbles: true, cancelable: true, view: window, button: 0 };
+  cell.dispatchEvent(new PointerEvent('pointerdown', init));
+  cell.dispatchEvent(new MouseEvent('mousedown', init));
+  cell.dispatchEvent(new PointerEvent('pointerup', init));
+  cell.dispatchEvent(new MouseEvent('mouseup', init));
+  cell.dispatchEvent(new MouseEvent('click', init));
+  return true;
+}
+
+/**
+ * Presses a cell until it is in the wanted state (each press cycles a
+ * Queens cell: empty, ✕, queen)
+ * @param {number} cellNumber - Cell number
+ * @param {Function} isDone - Returns true once the cell is as wanted
+ * @param {SolveRun} run - Current run
+ * @returns {Promise<{done: boolean, ignored: number}>} Whether the cell got
+ *   there, and how many presses left the board unchanged
+ */
+async function pressQueensCellUntil(cellNumber, isDone, run) {
+  const readCell = () => {
+    const cell = document.querySelector(CONFIG.SELECTORS.CELL(cellNumber));
+    return cell ? cell.outerHTML : '';
+  };
+  let ignored = 0;
+  
+  for (let press = 0; press < CONFIG.QUEENS.MAX_PRESSES && !isDone(); press++) {
+    const before = readCell();
+    if (!pressQueensCell(cellNumber)) break;
+    
+    if (!await waitForBoard(() => readCell() !== before, run)) {
+      ignored++;
+      logger.warn(`⚠️ Press on ${cellNumber} not confirmed (press ${press + 1}/${CONFIG.QUEENS.MAX_PRESSES})`);
+    }
+  }
+  
+  return { done: isDone(), ignored };
+}
+
+/**
+ * Places the queens one at a time, confirming each on the board
+ *
+ * Queens the player put outside the solution are removed first. If the
+ * board never shows a queen (unknown markup), the remaining cells are
+ * pressed twice without confirmation.
+ * @param {number[]} solution - Queen cells
+ * @param {SolveRun} [run] - Run to report progress to and to pause or stop through
+ * @returns {Promise<MoveReport>} Move report (recoveries are removed queens)
+ * @throws {Error} If a queen is not accepted, or the run is cancelled
+ */
+async function placeQueens(solution, run = beginSolveRun()) {
+  const report = { accepted: 0, rejected: 0, unconfirmed: 0, recoveries: 0, durationMs: 0 };
+  const startedAt = Date.now();
+  const placed = readQueenCells();
+  let confirmMoves = true;
+  
+  run.report = report;
+  run.total = solution.length;
+  run.step = solution.filter(cellNumber => placed.has(cellNumber)).length;
+  reportSolveProgress(run, 'running');
+  
+  for (const cellNumber of placed) {
+    if (solution.includes(cellNumber)) continue;
+    
+    await solveCheckpoint(run, run.step);
+    logger.warn(`↩️ Removing the queen on ${cellNumber}`);
+    report.recoveries++;
+    
+    const removed = await pressQueensCellUntil(cellNumber, () => !readQueenCells().has(cellNumber), run);
+    report.rejected += removed.ignored;
+    if (!removed.done) {
+      throw new Error(`The queen on cell ${cellNumber} could not be removed`);
+    }
+  }
+  
+  for (const cellNumber of solution) {
+    if (placed.has(cellNumber)) continue;
+    
+    await solveCheckpoint(run, run.step);
+    const moveStartedAt = Date.now();
+    
+    if (confirmMoves) {
+      const move = await pressQueensCellUntil(cellNumber, () => readQueenCells().has(cellNumber), run);
+      report.rejected += move.ignored;
+      
+      if (move.done) {
+        report.accepted++;
+      } else if (readQueenCells().size === 0) {
+        logger.warn('⚠️ The board does not show queens, continuing without confirmation');
+        confirmMoves = false;
+        report.unconfirmed++;
+      } else {
+        throw new Error(
+          `Queen ${run.step + 1} (cell ${cellNumber}) was not accepted after ${CONFIG.QUEENS.MAX_PRESSES} presses ` +
+          `(${report.accepted} accepted, ${report.rejected} rejected)`
+        );
+      }
+    } else {
+      pressQueensCell(cellNumber);
+      await nextFrame();
+      pressQueensCell(cellNumber);
+      report.unconfirmed++;
+    }
+    
+    run.step++;
+    reportSolveProgress(run, 'running');
+    await paceMove(moveStartedAt, run);
+  }
+  
+  report.durationMs = Date.now() - startedAt;
+  reportMoves(report);
+  reportSolveProgress(run, 'finished');
+  return report;
+}
+
+/**
+ * Shows where the next queens go, or which placed queens are wrong
+ * @param {number} [count] - Number of queens to reveal (defaults to the hintMoves setting)
+ * @returns {Promise<void>}
+ */
+async function showQueensHint(count = settings.hintMoves) {
+  const startedAt = Date.now();
+  let puzzle = null;
+  
+  try {
+    logger.info('💡 Looking for a hint...');
+    
+    puzzle = loadQueensPuzzle();
+    const { solution } = resolveQueensSolution(puzzle, logger);
+    const placed = readQueenCells();
+    const wrong = Array.from(placed).filter(cellNumber => !solution.includes(cellNumber));
+    const moves = Math.max(1, parseInt(count, 10) || settings.hintMoves);
+    
+    if (wrong.length > 0) {
+      logger.info('↩️ Queens outside the solution:', wrong);
+      highlightCells(wrong, CONFIG.HINT.WRONG_COLOR);
+      showNotification(`Remove the queen on ${wrong.map(cellNumber => describeCell(puzzle, cellNumber)).join(' and ')}.`, 'warning');
+      recordRun({ game: 'queens', mode: 'hint', puzzle, startedAt, result: 'finished' }, logger);
+      return;
+    }
+    
+    const nextCells = solution.filter(cellNumber => !placed.has(cellNumber)).slice(0, moves);
+    
+    if (nextCells.length === 0) {
+      showNotification('The puzzle is already complete! 🎉', 'success');
+      return;
+    }
+    
+    if (settings.hintStyle === 'click') {
+      const run = beginSolveRun();
+      try {
+        for (const cellNumber of nextCells) {
+          await pressQueensCellUntil(cellNumber, () => readQueenCells().has(cellNumber), run);
+          await wait(settings.clickDelayMs, run);
+        }
+      } finally {
+        endSolveRun(run);
+      }
+    } else {
+      highlightCells(nextCells, CONFIG.HINT.COLOR);
+    }
+    
+    const description = nextCells.map(cellNumber => describeCell(puzzle, cellNumber)).join(' and ');
+    logger.info('💡 Hint:', nextCells);
+    showNotification(`Next queen: ${description}`, 'info');
+    recordRun({ game: 'queens', mode: 'hint', puzzle, startedAt, result: 'finished' }, logger);
+    
+  } catch (error) {
+    logger.error('❌ Error occurred:', error);
+    showNotification(`Error: ${error.message}`, 'error');
+    recordRun({ game: 'queens', mode: 'hint', puzzle, startedAt, result: 'error', error: error.message }, logger);
+  }
+}
+
+// ============================================================================ 
+// NOTIFICATION CENTRE
+// ============================================================================ 
+
+/**
+ * @typedef {Object} NotificationAction
+ * @property {string} label - Button text
+ * @property {Function} run - Called when the button is pressed (the toast closes)
+ */
+
+// Styles of the notification centre. They live in its shadow root: LinkedIn's
+// CSS cannot reach them, and they cannot leak into the page. Declarations on
+// :host are !important, the only ones that win over page rules for the host.
+const NOTIFICATION_STYLES = `
+  :host {
+    all: initial !important;
+    position: fixed !important;
+    top: 20px !important;
+    right: 20px !important;
+    z-index: 2147483647 !important;
+  }
+  
+  .stack {
+    display: flex;
+    flex-direction: column;
+    gap: 8px;
+    width: 320px;
+    max-width: calc(100vw - 40px);
+    font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif;
+    font-size: 14px;
+    line-height: 1.4;
+  }
+  
+  .toast {
+    display: flex;
+    align-items: flex-start;
+    gap: 10px;
+    padding: 12px 14px;
+    border-left: 4px solid var(--accent);
+    border-radius: 8px;
+    background: #ffffff;
+    color: #1f2937;
+    box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1), 0 10px 15px -3px rgba(0, 0, 0, 0.1);
+    animation: slide-in ${CONFIG.NOTIFICATIONS.ANIMATION_MS}ms ease-out;
+  }
+  
+  .toast.leaving {
+    animation: slide-out ${CONFIG.NOTIFICATIONS.ANIMATION_MS}ms ease-out forwards;
+  }
+  
+  .body {
+    flex: 1;
+    min-width: 0;
+    overflow-wrap: break-word;
+  }
+  
+  .message {
+    font-weight: 500;
+  }
+  
+  .actions {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 8px;
+    margin-top: 8px;
+  }
+  
+  button {
+    font: inherit;
+    cursor: pointer;
+  }
+  
+  button:focus-visible {
+    outline: 2px solid var(--accent);
+    outline-offset: 2px;
+  }
+  
+  .action {
+    padding: 4px 10px;
+    border: 1px solid var(--accent);
+    border-radius: 6px;
+    background: transparent;
+    color: inherit;
+    font-weight: 600;
+  }
+  
+  .close {
+    padding: 0 2px;
+    border: none;
+    background: transparent;
+    color: inherit;
+    font-size: 16px;
+    line-height: 1;
+    opacity: 0.6;
+  }
+  
+  .close:hover {
+    opacity: 1;
+  }
+  
+  @keyframes slide-in {
+    from { transform: translateX(400px); opacity: 0; }
+    to { transform: translateX(0); opacity: 1; }
+  }
+  
+  @keyframes slide-out {
+    from { transform: translateX(0); opacity: 1; }
+    to { transform: translateX(400px); opacity: 0; }
+  }
+  
+  @media (prefers-color-scheme: dark) {
+    .toast {
+      background: #1f2937;
+      color: #f9fafb;
+      box-shadow: 0 4px 6px rgba(0, 0, 0, 0.4), 0 10px 15px -3px rgba(0, 0, 0, 0.4);
+    }
+  }
+  
+  @media (prefers-reduced-motion: reduce) {
+    .toast,
+    .toast.leaving {
+      animation: none;
+    }
+  }
+`;
+
+let notificationCentre = null; // { host, stack, queue } once on the page
+
+/**
+ * Shows a notification to the user. Up to CONFIG.NOTIFICATIONS.MAX_VISIBLE
+ * notifications are stacked; later ones wait in a queue until one closes.
+ * @param {string} message - Message to display
+ * @param {string} type - Notification type (success, error, info, warning)
+ * @param {Object} [options]
+ * @param {NotificationAction[]} [options.actions] - Buttons shown under the message
+ * @returns {HTMLElement|null} Notification element (shown or queued)
+ */
+function showNotification(message, type = 'info', { actions = [] } = {}) {
+  // Input validation
+  if (!message || typeof message !== 'string') {
+    logger.warn('Invalid notification message');
+    return null;
+  }
+  
+  if (typeof type !== 'string') {
+    logger.warn('Invalid notification type, using info');
+    type = 'info';
+  }
+  
+  const centre = getNotificationCentre();
+  if (!centre) {
+    logger.warn('document.body not found, notification could not be shown');
+    return null;
+  }
+  
+  const notification = createNotificationElement(message, type, actions);
+  
+  if (countVisibleNotifications(centre) < CONFIG.NOTIFICATIONS.MAX_VISIBLE) {
+    displayNotification(centre, notification);
+  } else {
+    centre.queue.push(notification);
+    // The oldest waiting messages are dropped first
+    centre.queue.splice(0, Math.max(0, centre.queue.length - CONFIG.NOTIFICATIONS.MAX_QUEUED));
+  }
+  
+  return notification;
+}
+
+/**
+ * Returns the notification centre, adding it to the page first if needed (a
+ * page that replaced its body loses it)
+ * @returns {{host: HTMLElement, stack: HTMLElement, queue: HTMLElement[]}|null}
+ *   null when the page has no body yet
+ */
+function getNotificationCentre() {
+  if (notificationCentre && notificationCentre.host.isConnected) {
+    return notificationCentre;
+  }
+  
+  if (!document.body) return null;
+  
+  const host = document.createElement('div');
+  host.id = CONFIG.NOTIFICATIONS.HOST_ID;
+  const shadow = host.attachShadow({ mode: 'open' });
+  
+  const style = document.createElement('style');
+  style.textContent = NOTIFICATION_STYLES;
+  
+  // The stack is the one live region: screen readers announce the
+  // notifications added to it
+  const stack = document.createElement('div');
+  stack.className = 'stack';
+  stack.setAttribute('role', 'region');
+  stack.setAttribute('aria-label', 'Zip Solver notifications');
+  stack.setAttribute('aria-live', 'polite');
+  
+  shadow.append(style, stack);
+  document.body.appendChild(host);
+  
+  notificationCentre = { host, stack, queue: [] };
+  return notificationCentre;
+}
+
+/**
+ * Counts the notifications on screen that are not closing
+ * @param {{stack: HTMLElement}} centre - Notification centre
+ * @returns {number}
+ */
+function countVisibleNotifications(centre) {
+  return centre.stack.querySelectorAll('.toast:not(.leaving)').length;
+}
+
+/**
+ * Creates the notification element
+ * @param {string} message - Message
+ * @param {string} type - Type
+ * @param {NotificationAction[]} actions - Buttons
+ * @returns {HTMLDivElement}
+ */
+function createNotificationElement(message, type, actions) {
+  const safeType = type.toLowerCase();
+  const notificationConfig = CONFIG.NOTIFICATIONS.TYPES[safeType] || CONFIG.NOTIFICATIONS.TYPES.info;
+  
+  const notification = document.createElement('div');
+  notification.className = `toast ${safeType}`;
+  notification.style.setProperty('--accent', notificationConfig.color);
+  // Errors interrupt the screen reader, the others are read by the stack
+  if (safeType === 'error') {
+    notification.setAttribute('role', 'alert');
+  }
+  
+  const icon = document.createElement('span');
+  icon.className = 'icon';
+  icon.setAttribute('aria-hidden', 'true');
+  icon.textContent = notificationConfig.icon;
+  
+  const body = document.createElement('div');
+  body.className = 'body';
+  
+  // Security: Use textContent for XSS protection
+  const text = document.createElement('div');
+  text.className = 'message';
+  text.textContent = message;
+  body.appendChild(text);
+  
+  if (actions.length > 0) {
+    const buttons = document.createElement('div');
+    buttons.className = 'actions';
+    
+    actions.forEach(action => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'action';
+      button.textContent = action.label;
+      button.addEventListener('click', () => {
+        hideNotification(notification);
+        Promise.resolve()
+          .then(action.run)
+          .catch(error => logger.error(`❌ Notification action "${action.label}" failed:`, error));
+      });
+      buttons.appendChild(button);
+    });
+    
+    body.appendChild(buttons);
+  }
+  
+  const close = document.createElement('button');
+  close.type = 'button';
+  close.className = 'close';
+  close.setAttribute('aria-label', 'Dismiss notification');
+  close.textContent = '×';
+  close.addEventListener('click', () => {
+    hideNotification(notification);
+  });
+  
+  notification.append(icon, body, close);
+  return notification;
+}
+
+/**
+ * Adds a notification to the stack and closes it after the notification
+ * duration setting. The countdown pauses while the pointer or the keyboard
+ * focus is on the notification, so its buttons stay reachable.
+ * @param {{stack: HTMLElement}} centre - Notification centre
+ * @param {HTMLElement} notification - Notification element
+ */
+function displayNotification(centre, notification) {
+  // Not addTimeout(): a new solve clears those, and its notifications must still close
+  let hideTimeout = null;
+  const startCountdown = () => {
+    clearTimeout(hideTimeout);
+    hideTimeout = setTimeout(() => hideNotification(notification), settings.notificationDurationMs);
+  };
+  const pauseCountdown = () => clearTimeout(hideTimeout);
+  
+  notification.addEventListener('mouseenter', pauseCountdown);
+  notification.addEventListener('focusin', pauseCountdown);
+  notification.addEventListener('mouseleave', () => {
+    if (!notification.contains(notification.getRootNode().activeElement)) startCountdown();
+  });
+  notification.addEventListener('focusout', (event) => {
+    if (!notification.contains(event.relatedTarget) && !notification.matches(':hover')) startCountdown();
+  });
+  
+  centre.stack.appendChild(notification);
+  startCountdown();
+}
+
+/**
+ * Hides and removes a notification, then shows the next queued one
+ * @param {HTMLElement} notification - Notification element
+ */
+function hideNotification(notification) {
+  if (!notification || !notificationCentre) return;
+  
+  const { queue } = notificationCentre;
+  if (queue.includes(notification)) {
+    queue.splice(queue.indexOf(notification), 1);
+    return;
+  }
+  
+  if (!notification.isConnected || notification.classList.contains('leaving')) return;
+  
+  notification.classList.add('leaving');
+  
+  const remove = () => {
+    notification.remove();
+    showQueuedNotifications();
+  };
+  
+  // Without the slide-out animation there is nothing to wait for
+  if (prefersReducedMotion()) {
+    remove();
+  } else {
+    setTimeout(remove, CONFIG.NOTIFICATIONS.ANIMATION_MS);
+  }
+}
+
+/**
+ * Moves queued notifications to the stack while it has room
+ */
+function showQueuedNotifications() {
+  const centre = getNotificationCentre();
+  if (!centre) return;
+  
+  while (centre.queue.length > 0 && countVisibleNotifications(centre) < CONFIG.NOTIFICATIONS.MAX_VISIBLE) {
+    displayNotification(centre, centre.queue.shift());
+  }
+}
+
+/**
+ * Checks if the user asked the system for less motion
+ * @returns {boolean}
+ */
+function prefersReducedMotion() {
+  return typeof window.matchMedia === 'function' && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
+/**
+ * Copies the diagnostic bundle (see collectDiagnostics in logger.js) to the
+ * clipboard, for a bug report. The service worker collects it: content
+ * scripts cannot read the session log buffer.
+ * @returns {Promise<void>}
+ */
+async function copyDiagnostics() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: LOGGER.DIAGNOSTICS.MESSAGE });
+    if (!response || !response.success) {
+      throw new Error((response && response.error) || 'The extension did not answer');
+    }
+    
+    await navigator.clipboard.writeText(JSON.stringify(response.diagnostics, null, 2));
+    showNotification('Diagnostics copied to the clipboard', 'success');
+  } catch (error) {
+    logger.warn('⚠️ Could not copy diagnostics:', error);
+    showNotification(`Could not copy diagnostics: ${error.message}`, 'error');
+  }
+}
+
+// ============================================================================ 
+// GAME ADAPTERS
+// ============================================================================ 
+
+/**
+ * Returns the game a message is for
+ * @param {string} [gameId] - Game chosen by the service worker
+ * @returns {GameAdapter} That game, else the game of the page's URL, else
+ *   Zip (extension pages such as the playground host a Zip board)
+ */
+function getPageGameAdapter(gameId) {
+  return (gameId && GAME_ADAPTERS[gameId]) || findGameAdapter(window.location.href) || GAME_ADAPTERS[DEFAULT_GAME];
+}
+
+registerGameAdapter('zip', {
+  isReady: isZipPageReady,
+  loadPuzzle: loadZipPuzzle,
+  describePuzzle: puzzle => `${puzzle.rows}x${puzzle.cols}, ${puzzle.waypoints.length} numbers, ${puzzle.walls.length} walls`,
+  solve: resolveSolution,
+  applySolution,
+  showHint,
+  togglePreview: togglePathPreview
+});
+
+registerGameAdapter('queens', {
+  isReady: isQueensPageReady,
+  loadPuzzle: loadQueensPuzzle,
+  describePuzzle: puzzle => `${puzzle.rows}x${puzzle.cols}, ${puzzle.rows} colour regions`,
+  solve: resolveQueensSolution,
+  applySolution: placeQueens,
+  showHint: showQueensHint
+});
+
+// ============================================================================ 
+// READINESS
+// ============================================================================ 
+
+let readinessWatch = null; // { observer, schedule, driftTimeout } while the page is watched for its board
+let watchedView = null; // URL path of the game view the board was last watched on
+let watchedBoard = null; // A cell of the board last reported ready (a view shown again gets a new board)
+
+/**
+ * Watches the page until the game's board is ready (see the adapters'
+ * isReady), then reports it. A MutationObserver watches the page while the
+ * board loads, and it is checked once per frame after it changes. Starting a
+ * new watch (LinkedIn showed another game view without reloading) ends the
+ * previous one.
+ * @param {GameAdapter} adapter - Game of the page
+ */
+function watchBoardReadiness(adapter) {
+  stopWatchingReadiness();
+  watchedView = window.location.pathname;
+  watchedBoard = null;
+  
+  let checkPending = false;
+  
+  // A burst of changes is checked once
+  const schedule = () => {
+    if (checkPending) return;
+    checkPending = true;
+    nextFrame().then(check);
+  };
+  
+  const watch = {
+    observer: new MutationObserver(schedule),
+    schedule,
+    // A board that never gets ready is compared with the last working page too
+    driftTimeout: addTimeout(() => checkSchemaDrift(adapter), CONFIG.DRIFT.CHECK_AFTER_MS)
+  };
+  
+  const check = () => {
+    checkPending = false;
+    if (readinessWatch !== watch || !adapter.isReady()) return;
+    
+    stopWatchingReadiness();
+    watchedBoard = document.querySelector(CONFIG.SELECTORS.ALL_CELLS);
+    reportBoardReady(adapter);
+    checkSchemaDrift(adapter);
+  };
+  
+  watch.observer.observe(document.documentElement, CONFIG.READY_OBSERVE);
+  readinessWatch = watch;
+  
+  check();
+}
+
+/**
+ * Stops watching the page for the board
+ */
+function stopWatchingReadiness() {
+  if (!readinessWatch) return;
+  
+  readinessWatch.observer.disconnect();
+  clearTimeout(readinessWatch.driftTimeout);
+  readinessWatch = null;
+}
+
+/**
+ * Checks the watched board again on the next frame (for changes the
+ * MutationObserver does not see, such as intercepted game data)
+ */
+function checkReadinessSoon() {
+  if (readinessWatch) {
+    readinessWatch.schedule();
+  }
+}
+
+/**
+ * Tells the service worker that the board is ready, with its puzzle ID, so
+ * that a run waiting for the page can start (reading the puzzle also saves
+ * Zip puzzles to the archive)
+ * @param {GameAdapter} adapter - Game of the page
+ */
+function reportBoardReady(adapter) {
+  let puzzleId = null;
+  try {
+    puzzleId = adapter.loadPuzzle().id;
+  } catch (error) {
+    logger.warn('⚠️ Could not read the puzzle:', error.message);
+  }
+  
+  logger.info(`✅ ${adapter.name} board is ready (puzzle ${puzzleId})`);
+  
+  chrome.runtime.sendMessage({ action: 'boardReady', game: adapter.id, puzzleId }).catch(() => {
+    // Nobody is listening (e.g. the extension was reloaded)
+  });
+}
+
+// ============================================================================ 
+// MESSAGE HANDLING
+// ============================================================================ 
+
+/**
+ * Message handlers by action. Each receives the message and returns the
+ * response (or a promise of it); thrown errors become { success: false, error }.
+ * Messages name their game (request.game); see getPageGameAdapter().
+ */
+const MESSAGE_HANDLERS = {
+  checkReady: (request) => {
+    const ready = getPageGameAdapter(request.game).isReady();
+    logger.debug(ready ? '✅ Page is ready!' : '⏳ Page is not ready yet...');
+    return { ready };
+  },
+  
+  // LinkedIn showed a game view without reloading the page (the service
+  // worker saw the route change): watch for its board
+  pageChanged: (request) => {
+    // Same view with the same board, still loading or still on the page (a
+    // round trip through another page renders the board again)
+    const sameBoard = readinessWatch !== null || (watchedBoard !== null && watchedBoard.isConnected);
+    if (window.location.pathname === watchedView && sameBoard) {
+      return { success: true, changed: false };
+    }
+    
+    logger.info('🧭 Game view changed');
+    stopSolve();
+    clearHighlights();
+    hidePathPreview();
+    watchBoardReadiness(getPageGameAdapter(request.game));
+    return { success: true, changed: true };
+  },
+  
+  // Answers once the solve has started: it can take longer than the
+  // sender waits, and its outcome is sent with the progress messages
+  solvePuzzle: (request) => {
+    solveGame(getPageGameAdapter(request.game));
+    return { success: true, started: true };
+  },
+  
+  stopSolve: () => ({ success: stopSolve() }),
+  pauseSolve: () => ({ success: pauseSolve() }),
+  resumeSolve: () => ({ success: resumeSolve() }),
+  
+  togglePreview: async (request) => {
+    const adapter = getPageGameAdapter(request.game);
+    if (!adapter.togglePreview) {
+      showNotification(`${adapter.name} has no path preview`, 'warning');
+      return { success: false, error: `${adapter.name} has no path preview` };
+    }
+    
+    await adapter.togglePreview(request.mode);
+    return { success: true };
+  },
+  
+  showHint: async (request) => {
+    await getPageGameAdapter(request.game).showHint(request.count);
+    return { success: true };
+  }
+};
+
+/**
+ * Listens for messages from the background script
+ */
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (!request || !Object.prototype.hasOwnProperty.call(MESSAGE_HANDLERS, request.action)) {
+    return false;
+  }
+  
+  const handler = MESSAGE_HANDLERS[request.action];
+  
+  Promise.resolve()
+    .then(() => handler(request))
+    .then((response) => {
+      sendResponse(response);
+    })
+    .catch((error) => {
+      sendResponse({ success: false, error: error.message });
+    });
+  
+  // Return true for asynchronous response
+  return true;
+});
+
+// ============================================================================ 
+// CLEANUP ON UNLOAD
+// ============================================================================ 
+
+/**
+ * Clean up when the page is closed
+ */
+window.addEventListener('beforeunload', () => {
+  stopSolve();
+  clearAllTimeouts();
+  clearHighlights();
+  hidePathPreview();
+});
+
+// ============================================================================ 
+// INITIALIZATION
+// ============================================================================ 
+
+logger.info(`🔧 LinkedIn Zip Solver extension loaded and ready! (${getPageGameAdapter().name})`);
+logger.info('📌 Usage: Click the extension icon or run solveGame() / showHint() in the console');
+
+// Game data from interceptor.js, including responses from before this script loaded
+document.addEventListener(CONFIG.SOURCES.EVENTS.PAYLOAD, handleNetworkPayload);
+document.dispatchEvent(new CustomEvent(CONFIG.SOURCES.EVENTS.REPLAY));
+
+// Report the board as soon as it is ready
+watchBoardReadiness(getPageGameAdapter());
 
-console.log('🔧 LinkedIn Zip Solver extension loaded and ready!');
-console.log('📌 Usage: Click the extension icon or run solveZipGame() in the console');
+// Add the notification stack while it is empty: screen readers only
+// announce changes to a live region that was already on the page
+getNotificationCentre();
 
 // Add to global scope (for debugging)
-window.solveZipGame = solveZipGame;
\ No newline at end of file
+window.solveGame = solveGame;
+window.showHint = showHint;
+window.togglePathPreview = togglePathPreview;
+window.stopSolve = stopSolve;
+window.pauseSolve = pauseSolve;
+window.resumeSolve = resumeSolve;
\ No newline at end of file
@@ -0,0 +1,119 @@
+/**
+ * LinkedIn Zip Solver - ESLint Configuration
+ * @description Lints the extension scripts, the CLI and the tests
+ */
+
+const fs = require('fs');
+const path = require('path');
+const js = require('@eslint/js');
+const globals = require('globals');
+
+// ============================================================================
+// SHARED SCRIPTS
+// ============================================================================
+
+/**
+ * Lists the top-level declarations of a classic script: every page that
+ * loads it before its own script sees them as globals
+ * @param {string[]} files - Scripts, in loading order
+ * @returns {Object<string, string>} ESLint globals (read-only)
+ */
+function sharedGlobals(files) {
+  const names = files.flatMap(file => {
+    const source = fs.readFileSync(path.join(__dirname, file), 'utf8');
+    return Array.from(source.matchAll(/^(?:async function|function|const|let)\s+(\w+)/gm), match => match[1]);
+  });
+  return Object.fromEntries(names.map(name => [name, 'readonly']));
+}
+
+// Scripts loaded before the content script (manifest "content_scripts")
+const CONTENT_SCRIPT_DEPENDENCIES = ['settings.js', 'logger.js', 'history.js', 'archive.js', 'games.js', 'puzzle.js', 'queens.js'];
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+module.exports = [
+  {
+    ignores: ['node_modules/**']
+  },
+  js.configs.recommended,
+  {
+    languageOptions: {
+      ecmaVersion: 2022,
+      sourceType: 'script',
+      globals: { ...globals.browser, ...globals.webextensions }
+    },
+    rules: {
+      // Top-level declarations are used by the scripts loaded after them
+      'no-unused-vars': ['error', { vars: 'local', args: 'none', caughtErrors: 'none' }]
+    }
+  },
+  {
+    files: ['background.js'],
+    languageOptions: {
+      globals: { ...globals.serviceworker, ...sharedGlobals(['settings.js', 'games.js', 'logger.js', 'history.js']) }
+    }
+  },
+  {
+    files: ['content.js'],
+    languageOptions: {
+      globals: sharedGlobals(CONTENT_SCRIPT_DEPENDENCIES)
+    }
+  },
+  {
+    files: ['playground.js'],
+    languageOptions: {
+      globals: sharedGlobals([...CONTENT_SCRIPT_DEPENDENCIES, 'content.js'])
+    }
+  },
+  {
+    files: ['popup.js'],
+    languageOptions: {
+      globals: sharedGlobals(['settings.js', 'logger.js'])
+    }
+  },
+  {
+    files: ['options.js'],
+    languageOptions: {
+      globals: sharedGlobals(['settings.js', 'logger.js', 'history.js'])
+    }
+  },
+  {
+    files: ['stats.js'],
+    languageOptions: {
+      globals: sharedGlobals(['settings.js', 'games.js', 'history.js'])
+    }
+  },
+  {
+    files: ['puzzles.js'],
+    languageOptions: {
+      globals: sharedGlobals(['settings.js', 'logger.js', 'archive.js'])
+    }
+  },
+  {
+    files: ['history.js', 'archive.js'],
+    languageOptions: {
+      globals: sharedGlobals(['settings.js'])
+    }
+  },
+  {
+    files: ['logger.js'],
+    languageOptions: {
+      globals: sharedGlobals(['settings.js', 'history.js'])
+    }
+  },
+  {
+    files: ['puzzle.js', 'queens.js'],
+    languageOptions: {
+      globals: { module: 'writable' }
+    }
+  },
+  {
+    files: ['eslint.config.js', 'bin/**/*.js', 'test/**/*.js'],
+    languageOptions: {
+      sourceType: 'commonjs',
+      globals: globals.node
+    }
+  }
+];
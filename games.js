@@ -0,0 +1,77 @@
+/**
+ * LinkedIn Zip Solver - Game Adapters
+ * @description Registry of the supported LinkedIn games, shared by the service worker,
+ *   the content scripts and the stats page
+ * @version 1.0.0
+ */
+
+// ============================================================================
+// ADAPTERS
+// ============================================================================
+
+/**
+ * @typedef {Object} GameAdapter
+ * @property {string} id - Adapter ID (sent with content-script messages, stored with runs)
+ * @property {string} name - Game name shown to the user
+ * @property {string} url - Game page
+ * @property {RegExp} urlPattern - Matches the game page's URLs
+ *
+ * The page side is added by the content script with registerGameAdapter():
+ * @property {Function} [isReady] - () => boolean: the puzzle can be read and every cell is rendered
+ * @property {Function} [loadPuzzle] - () => puzzle (id, date, rows and cols are recorded)
+ * @property {Function} [describePuzzle] - (puzzle) => one-line summary for the log
+ * @property {Function} [solve] - (puzzle, logger) => {solution, embeddedCheck}: the validated
+ *   solution, and the ValidationResult of the solution the page embeds (null if none)
+ * @property {Function} [applySolution] - (solution, run) => Promise of the move report:
+ *   the input strategy
+ * @property {Function} [showHint] - (count) => Promise<void>
+ * @property {Function} [togglePreview] - (mode) => Promise<void>, if the game has a preview
+ */
+
+const GAME_ADAPTERS = {
+  zip: {
+    id: 'zip',
+    name: 'Zip',
+    url: 'https://www.linkedin.com/games/zip/',
+    urlPattern: /^https:\/\/www\.linkedin\.com\/games\/zip\b/
+  },
+  queens: {
+    id: 'queens',
+    name: 'Queens',
+    url: 'https://www.linkedin.com/games/queens/',
+    urlPattern: /^https:\/\/www\.linkedin\.com\/games\/queens\b/
+  }
+};
+
+// Opened by the popup's run button from any other page
+const DEFAULT_GAME = 'zip';
+
+// ============================================================================
+// LOOKUP
+// ============================================================================
+
+/**
+ * Finds the game whose page the URL belongs to
+ * @param {string} url - Page URL
+ * @returns {GameAdapter|null}
+ */
+function findGameAdapter(url) {
+  if (!url) return null;
+  return Object.values(GAME_ADAPTERS).find(adapter => adapter.urlPattern.test(url)) || null;
+}
+
+/**
+ * Adds the page side (puzzle model, solver, input strategy) to a game
+ * @param {string} id - Adapter ID
+ * @param {Object} implementation - Functions listed in GameAdapter
+ * @returns {GameAdapter}
+ * @throws {Error} If the game is not in GAME_ADAPTERS
+ */
+function registerGameAdapter(id, implementation) {
+  const adapter = GAME_ADAPTERS[id];
+  if (!adapter) {
+    throw new Error(`Unknown game: ${id}`);
+  }
+  
+  return Object.assign(adapter, implementation);
+}
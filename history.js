@@ -0,0 +1,116 @@
+/**
+ * LinkedIn Zip Solver - Solve History
+ * @description Record of every run in chrome.storage.local, shared by the content script and the stats page
+ * @version 1.0.0
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const HISTORY = {
+  STORAGE_KEY: 'solveHistory',
+  MAX_ENTRIES: 1000,             // Oldest runs are dropped beyond this
+  MODES: ['solve', 'hint', 'preview'],
+  RESULTS: ['finished', 'cancelled', 'error']
+};
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {string} timestamp - When the run started (ISO 8601)
+ * @property {string} game - Game ID (see games.js; runs recorded before it are Zip)
+ * @property {string|null} puzzleId - Puzzle ID from the game data
+ * @property {string|null} puzzleDate - Puzzle date from the game data
+ * @property {number|null} rows - Grid rows
+ * @property {number|null} cols - Grid columns
+ * @property {string|null} source - Where the puzzle was read from (e.g. rehydrate-data, network or board)
+ * @property {string} mode - solve, hint or preview
+ * @property {number} hints - Hints taken on this puzzle (a hint run counts itself)
+ * @property {number} durationMs - Run duration
+ * @property {string} result - finished, cancelled or error
+ * @property {number} accepted - Moves the board accepted (solves)
+ * @property {number} rejected - Clicks the board ignored (solves)
+ * @property {number} unconfirmed - Moves made without confirmation (solves)
+ * @property {number} recoveries - Path repairs (solves)
+ * @property {string|null} error - Error message (error result)
+ */
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+/**
+ * Loads every recorded run, oldest first
+ * @returns {Promise<HistoryEntry[]>}
+ */
+async function loadHistory() {
+  const stored = await chrome.storage.local.get(HISTORY.STORAGE_KEY);
+  const entries = stored[HISTORY.STORAGE_KEY];
+  return Array.isArray(entries) ? entries : [];
+}
+
+// Writes run one after the other: each one reads and replaces the history
+const historyWrites = createWriteQueue();
+
+/**
+ * Records a run
+ * @param {Object} run - Run details
+ * @param {string} run.game - Game ID
+ * @param {string} run.mode - solve, hint or preview
+ * @param {ZipPuzzle|QueensPuzzle|null} run.puzzle - Puzzle (null if it could not be loaded)
+ * @param {number} run.startedAt - Start time (ms since epoch)
+ * @param {string} run.result - finished, cancelled or error
+ * @param {Object} [run.report] - Move report from applySolution()
+ * @param {string} [run.error] - Error message
+ * @param {Object} [logger] - Logger that reports a failed save (see createLogger in logger.js)
+ * @returns {Promise<HistoryEntry|null>} The stored entry (null if it could not be saved)
+ */
+function recordRun({ game, mode, puzzle, startedAt, result, report, error }, logger = null) {
+  // Measured now: the write may wait for earlier ones
+  const durationMs = Date.now() - startedAt;
+  
+  return historyWrites(async () => {
+    try {
+      const entries = await loadHistory();
+      const entry = {
+        timestamp: new Date(startedAt).toISOString(),
+        game,
+        puzzleId: puzzle && puzzle.id ? String(puzzle.id) : null,
+        puzzleDate: puzzle && puzzle.date ? String(puzzle.date) : null,
+        rows: puzzle ? puzzle.rows : null,
+        cols: puzzle ? puzzle.cols : null,
+        source: puzzle && puzzle.source ? puzzle.source : null,
+        mode,
+        hints: 0,
+        durationMs,
+        result,
+        accepted: report ? report.accepted : 0,
+        rejected: report ? report.rejected : 0,
+        unconfirmed: report ? report.unconfirmed : 0,
+        recoveries: report ? report.recoveries : 0,
+        error: error || null
+      };
+      
+      // Hints count per puzzle, so a solve shows how much help came before it
+      const samePuzzle = other => entry.puzzleId !== null && (other.game || 'zip') === game &&
+        other.puzzleId === entry.puzzleId && other.puzzleDate === entry.puzzleDate;
+      const earlierHints = entries.filter(other => other.mode === 'hint' && other.result === 'finished' && samePuzzle(other)).length;
+      entry.hints = earlierHints + (mode === 'hint' && result === 'finished' ? 1 : 0);
+      
+      entries.push(entry);
+      await chrome.storage.local.set({ [HISTORY.STORAGE_KEY]: entries.slice(-HISTORY.MAX_ENTRIES) });
+      return entry;
+    } catch (storageError) {
+      if (logger) logger.warn('⚠️ Could not record the run:', storageError);
+      return null;
+    }
+  });
+}
+
+/**
+ * Deletes every recorded run
+ * @returns {Promise<void>}
+ */
+async function clearHistory() {
+  await chrome.storage.local.remove(HISTORY.STORAGE_KEY);
+}
@@ -0,0 +1,112 @@
+/**
+ * LinkedIn Zip Solver - Network Interceptor
+ * @description Runs in the page's main world (manifest "world": "MAIN"): watches the
+ *   fetch and XHR responses that carry puzzle data and hands them to the content
+ *   script, which reads them when the page has no embedded game data
+ * @version 1.0.0
+ */
+
+// Wrapped in a function: top-level names would be globals of LinkedIn's own scripts
+(() => {
+  // ==========================================================================
+  // CONSTANTS
+  // ==========================================================================
+  
+  const INTERCEPTOR = {
+    INSTALLED_KEY: Symbol.for('zipSolverInterceptor'), // Set on window (the script can be injected twice)
+    URL_PATTERN: /\/voyager\/api\//,   // LinkedIn API requests
+    GAME_PATH: /^\/games\//,          // Game pages (LinkedIn routes between pages without a reload)
+    // Responses that carry a puzzle (PUZZLE.PAYLOAD keys in puzzle.js)
+    PAYLOAD_MARKERS: ['trailPuzzle', 'gridSize'],
+    MAX_PAYLOADS: 5,                   // Latest payloads kept for a content script that loads later
+    // DOM events shared with the content script (CONFIG.SOURCES.EVENTS in content.js)
+    EVENTS: {
+      PAYLOAD: 'zip-solver:network-payload',
+      REPLAY: 'zip-solver:replay-payloads'
+    }
+  };
+  
+  if (window[INTERCEPTOR.INSTALLED_KEY]) return;
+  window[INTERCEPTOR.INSTALLED_KEY] = true;
+  
+  const payloads = [];
+  
+  // ==========================================================================
+  // CAPTURE
+  // ==========================================================================
+  
+  /**
+   * Keeps a response body that carries a puzzle and passes it to the content script
+   * @param {string} url - Request URL
+   * @param {string} body - Response text
+   */
+  function capturePayload(url, body) {
+    if (!INTERCEPTOR.GAME_PATH.test(window.location.pathname)) return;
+    if (typeof body !== 'string' || !INTERCEPTOR.PAYLOAD_MARKERS.every(marker => body.includes(marker))) return;
+    
+    payloads.push({ url, body });
+    payloads.splice(0, Math.max(0, payloads.length - INTERCEPTOR.MAX_PAYLOADS));
+    announcePayload({ url, body });
+  }
+  
+  /**
+   * Sends a payload to the content script. Events on the document cross from
+   * the main world to the content script's isolated world (a string detail
+   * is readable on both sides).
+   * @param {{url: string, body: string}} payload - Captured response
+   */
+  function announcePayload(payload) {
+    document.dispatchEvent(new CustomEvent(INTERCEPTOR.EVENTS.PAYLOAD, { detail: JSON.stringify(payload) }));
+  }
+  
+  /**
+   * Checks if a request goes to LinkedIn's API
+   * @param {string} url - Request URL
+   * @returns {boolean}
+   */
+  function isApiRequest(url) {
+    return INTERCEPTOR.URL_PATTERN.test(String(url || ''));
+  }
+  
+  // ==========================================================================
+  // FETCH AND XHR
+  // ==========================================================================
+  
+  const originalFetch = window.fetch;
+  if (typeof originalFetch === 'function') {
+    window.fetch = function (...args) {
+      const request = originalFetch.apply(this, args);
+      
+      // The page gets its response untouched; a copy is read on the side
+      request.then((response) => {
+        if (!isApiRequest(response.url)) return;
+        response.clone().text()
+          .then(body => capturePayload(response.url, body))
+          .catch(() => {});
+      }).catch(() => {});
+      
+      return request;
+    };
+  }
+  
+  const originalOpen = XMLHttpRequest.prototype.open;
+  XMLHttpRequest.prototype.open = function (method, url, ...rest) {
+    if (isApiRequest(url)) {
+      this.addEventListener('load', () => {
+        try {
+          const body = this.responseType === 'json' ? JSON.stringify(this.response) : this.responseText;
+          capturePayload(String(url), body);
+        } catch (error) {
+          // Binary or unreadable response
+        }
+      });
+    }
+    
+    return originalOpen.call(this, method, url, ...rest);
+  };
+  
+  // A content script injected after the responses asks for them again
+  document.addEventListener(INTERCEPTOR.EVENTS.REPLAY, () => {
+    payloads.forEach(announcePayload);
+  });
+})();
@@ -0,0 +1,203 @@
+/**
+ * LinkedIn Zip Solver - Logger
+ * @description Leveled logger shared by the service worker, the content script and the
+ *   extension pages. Entries are printed to the console and kept in a ring buffer in
+ *   chrome.storage.session, which outlives the service worker and is included in the
+ *   diagnostic bundle (exported from the options page, copied from error notifications).
+ * @version 1.0.0
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const LOGGER = {
+  STORAGE_KEY: 'diagnosticLogs', // chrome.storage.session
+  MAX_ENTRIES: 500,              // Oldest entries are dropped beyond this
+  MAX_MESSAGE_LENGTH: 2000,      // Longer messages are cut
+  LEVELS: ['debug', 'info', 'warn', 'error'],
+  DEFAULT_LEVEL: 'info',
+  // Console method per level
+  CONSOLE_METHODS: { debug: 'debug', info: 'log', warn: 'warn', error: 'error' },
+  // Content scripts cannot write chrome.storage.session: they send their
+  // entries to the service worker in batches
+  MESSAGE: 'logEntries',
+  FLUSH_DELAY_MS: 500,
+  DIAGNOSTICS: {
+    MESSAGE: 'getDiagnostics',   // Asks the service worker for the bundle
+    // Page structure kept by the content script (CONFIG.DRIFT in content.js)
+    SCHEMA_KEYS: {
+      FINGERPRINTS: 'schemaFingerprints',
+      DRIFT: 'schemaDrift'
+    }
+  }
+};
+
+/**
+ * @typedef {Object} LogEntry
+ * @property {string} time - When the entry was logged (ISO 8601)
+ * @property {string} level - debug, info, warn or error
+ * @property {string} context - Script that logged it (background, content or an extension
+ *   page: popup, puzzles or playground)
+ * @property {string} message - Logged values as text
+ * @property {number} [tabId] - Tab of a content script entry
+ */
+
+// ============================================================================
+// LOGGER
+// ============================================================================
+
+/**
+ * Creates a logger with one method per level. Entries below the logger's
+ * level are dropped; the others are printed and passed to `write`.
+ * @param {string} context - Name recorded with every entry
+ * @param {Function} write - Receives every LogEntry (may return a promise)
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function, setLevel: Function}}
+ */
+function createLogger(context, write) {
+  let minLevel = LOGGER.LEVELS.indexOf(LOGGER.DEFAULT_LEVEL);
+  
+  const logger = {
+    /**
+     * Changes the lowest level that is logged
+     * @param {string} level - debug, info, warn or error (others are ignored)
+     */
+    setLevel(level) {
+      if (LOGGER.LEVELS.includes(level)) {
+        minLevel = LOGGER.LEVELS.indexOf(level);
+      }
+    }
+  };
+  
+  LOGGER.LEVELS.forEach((level, index) => {
+    logger[level] = (...args) => {
+      if (index < minLevel) return;
+      
+      console[LOGGER.CONSOLE_METHODS[level]](...args);
+      
+      // Logging never breaks the caller
+      try {
+        Promise.resolve(write({ time: new Date().toISOString(), level, context, message: formatLogMessage(args) }))
+          .catch(() => {});
+      } catch (error) {
+        // The entry is only lost
+      }
+    };
+  });
+  
+  return logger;
+}
+
+/**
+ * Turns logged values into one line of text
+ * @param {Array} args - Values passed to the logger
+ * @returns {string}
+ */
+function formatLogMessage(args) {
+  const message = args.map(value => {
+    if (typeof value === 'string') return value;
+    if (value instanceof Error) return `${value.name}: ${value.message}`;
+    
+    try {
+      return JSON.stringify(value) ?? String(value);
+    } catch (error) {
+      return String(value);
+    }
+  }).join(' ');
+  
+  return message.length > LOGGER.MAX_MESSAGE_LENGTH ? `${message.slice(0, LOGGER.MAX_MESSAGE_LENGTH)}…` : message;
+}
+
+/**
+ * Collects entries and passes them on in batches, at most one call per
+ * LOGGER.FLUSH_DELAY_MS
+ * @param {Function} send - Receives a LogEntry[] batch
+ * @returns {Function} Write function for createLogger()
+ */
+function batchLogEntries(send) {
+  let pending = [];
+  
+  return (entry) => {
+    pending.push(entry);
+    if (pending.length > 1) return;
+    
+    setTimeout(() => {
+      const entries = pending;
+      pending = [];
+      send(entries);
+    }, LOGGER.FLUSH_DELAY_MS);
+  };
+}
+
+// ============================================================================
+// RING BUFFER
+// ============================================================================
+
+// Writes run one after the other: each one reads and replaces the buffer
+const logWrites = createWriteQueue();
+
+/**
+ * Appends entries to the ring buffer in chrome.storage.session
+ * @param {LogEntry[]} entries - Entries, oldest first
+ * @returns {Promise<void>}
+ */
+function storeLogEntries(entries) {
+  return logWrites(async () => {
+    const buffer = await loadLogEntries();
+    await chrome.storage.session.set({ [LOGGER.STORAGE_KEY]: [...buffer, ...entries].slice(-LOGGER.MAX_ENTRIES) });
+  }).catch(() => {
+    // Storage is unavailable: the entries are only in the console
+  });
+}
+
+/**
+ * Loads the buffered entries, oldest first
+ * @returns {Promise<LogEntry[]>}
+ */
+async function loadLogEntries() {
+  const stored = await chrome.storage.session.get(LOGGER.STORAGE_KEY);
+  const entries = stored[LOGGER.STORAGE_KEY];
+  return Array.isArray(entries) ? entries : [];
+}
+
+// ============================================================================
+// DIAGNOSTICS
+// ============================================================================
+
+/**
+ * Collects what a bug report needs: the recent logs, the versions, the
+ * settings, the last run and the structure of the last game page. Needs
+ * settings.js and history.js, and access to chrome.storage.session (the
+ * content script asks the service worker for it).
+ * @returns {Promise<Object>} Diagnostic bundle
+ */
+async function collectDiagnostics() {
+  const manifest = chrome.runtime.getManifest();
+  const [logs, settings, history, schema] = await Promise.all([
+    loadLogEntries().catch(() => []),
+    loadSettings(),
+    loadHistory(),
+    chrome.storage.local.get([LOGGER.DIAGNOSTICS.SCHEMA_KEYS.FINGERPRINTS, LOGGER.DIAGNOSTICS.SCHEMA_KEYS.DRIFT])
+  ]);
+  const lastRun = history.at(-1) || null;
+  
+  return {
+    generatedAt: new Date().toISOString(),
+    extension: {
+      name: manifest.name,
+      version: manifest.version,
+      manifestVersion: manifest.manifest_version
+    },
+    browser: navigator.userAgent,
+    settings,
+    // Where the last puzzle was read from (rehydrate-data, network, board, ...)
+    source: lastRun ? lastRun.source : null,
+    lastRun,
+    lastSolve: history.filter(entry => entry.mode === 'solve').at(-1) || null,
+    schema: {
+      fingerprints: schema[LOGGER.DIAGNOSTICS.SCHEMA_KEYS.FINGERPRINTS] || {},
+      drift: schema[LOGGER.DIAGNOSTICS.SCHEMA_KEYS.DRIFT] || null
+    },
+    logs
+  };
+}
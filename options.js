@@ -0,0 +1,172 @@
+/**
+ * LinkedIn Zip Solver - Options Page
+ * @description Edits the settings stored in chrome.storage.sync and exports the diagnostics
+ * @version 1.0.0
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const CONFIG = {
+  STATUS_DURATION_MS: 2000,
+  SHORTCUTS_URL: 'chrome://extensions/shortcuts',
+  DIAGNOSTICS_FILE_PREFIX: 'zip-solver-diagnostics'
+};
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Fills the form with the given settings
+ * @param {HTMLFormElement} form - Settings form
+ * @param {Object} settings - Settings
+ */
+function fillForm(form, settings) {
+  Object.entries(settings).forEach(([key, value]) => {
+    const field = form.elements.namedItem(key);
+    if (field) {
+      field.value = String(value);
+    }
+  });
+}
+
+/**
+ * Reads the settings from the form
+ * @param {HTMLFormElement} form - Settings form
+ * @returns {Object} Raw values (normalized when saved)
+ */
+function readForm(form) {
+  const values = {};
+  Object.keys(SETTINGS_DEFAULTS).forEach(key => {
+    const field = form.elements.namedItem(key);
+    if (field) {
+      values[key] = field.type === 'number' ? Number(field.value) : field.value;
+    }
+  });
+  return values;
+}
+
+/**
+ * Applies the allowed ranges to the number inputs
+ * @param {HTMLFormElement} form - Settings form
+ */
+function applyRules(form) {
+  Object.entries(SETTINGS_RULES).forEach(([key, rule]) => {
+    const field = form.elements.namedItem(key);
+    if (field && !Array.isArray(rule)) {
+      field.min = String(rule.min);
+      field.max = String(rule.max);
+    }
+  });
+}
+
+/**
+ * Lists the keyboard shortcuts (they are changed on Chrome's shortcuts page)
+ * @returns {Promise<void>}
+ */
+async function renderShortcuts() {
+  const container = document.getElementById('shortcuts');
+  const commands = await chrome.commands.getAll();
+  
+  container.replaceChildren(...commands
+    .filter(command => command.description)
+    .map(command => {
+      const row = document.createElement('div');
+      row.className = 'field';
+      
+      const label = document.createElement('span');
+      label.textContent = command.description;
+      
+      const keys = document.createElement('kbd');
+      keys.textContent = command.shortcut || 'Not set';
+      
+      row.append(label, keys);
+      return row;
+    }));
+}
+
+/**
+ * Shows a short status message next to the buttons
+ * @param {string} text - Status text
+ * @param {boolean} [isError] - Show as an error
+ */
+function setStatus(text, isError = false) {
+  const status = document.getElementById('status');
+  status.textContent = text;
+  status.classList.toggle('error', isError);
+  
+  setTimeout(() => {
+    if (status.textContent === text) {
+      status.textContent = '';
+    }
+  }, CONFIG.STATUS_DURATION_MS);
+}
+
+// ============================================================================
+// DIAGNOSTICS
+// ============================================================================
+
+/**
+ * Downloads the diagnostic bundle as a JSON file
+ * @returns {Promise<void>}
+ */
+async function downloadDiagnostics() {
+  const day = new Date().toISOString().slice(0, 10);
+  const content = JSON.stringify(await collectDiagnostics(), null, 2);
+  const url = URL.createObjectURL(new Blob([content], { type: 'application/json' }));
+  
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${CONFIG.DIAGNOSTICS_FILE_PREFIX}-${day}.json`;
+  link.click();
+  
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const form = document.getElementById('settings-form');
+  
+  applyRules(form);
+  fillForm(form, await loadSettings());
+  renderShortcuts();
+  
+  document.getElementById('edit-shortcuts').addEventListener('click', () => {
+    chrome.tabs.create({ url: CONFIG.SHORTCUTS_URL });
+  });
+  
+  document.getElementById('export-diagnostics').addEventListener('click', async () => {
+    try {
+      await downloadDiagnostics();
+      setStatus('Diagnostics exported');
+    } catch (error) {
+      setStatus(`Could not export diagnostics: ${error.message}`, true);
+    }
+  });
+  
+  form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    
+    try {
+      // Saved values are clamped to the allowed ranges: show what was stored
+      fillForm(form, await saveSettings(readForm(form)));
+      setStatus('Settings saved');
+    } catch (error) {
+      setStatus(`Could not save settings: ${error.message}`, true);
+    }
+  });
+  
+  document.getElementById('reset').addEventListener('click', async () => {
+    try {
+      fillForm(form, await saveSettings(SETTINGS_DEFAULTS));
+      setStatus('Defaults restored');
+    } catch (error) {
+      setStatus(`Could not reset settings: ${error.message}`, true);
+    }
+  });
+});
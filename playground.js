@@ -0,0 +1,461 @@
+/**
+ * LinkedIn Zip Solver - Playground Page
+ * @description Plays archived or imported Zip puzzles offline. The content
+ *   script is loaded on this page too, so solve, hint and preview act on
+ *   this board exactly as they do on LinkedIn.
+ * @version 1.0.0
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+// Named PLAYGROUND: CONFIG belongs to the content script on this page
+const PLAYGROUND = {
+  URL_PARAM: 'puzzle',           // ?puzzle=<archive key> opens that puzzle
+  FILE_OPTION: '__file__',       // Select value of a puzzle loaded from a file
+  FILLED_CLASS: 'cell--filled',  // Matched by the content script's FILLED_CELL selector
+  HEAD_CLASS: 'cell--head',
+  // Arrow keys and the direction they move the path in
+  KEYS: {
+    ArrowUp: 'UP',
+    ArrowDown: 'DOWN',
+    ArrowLeft: 'LEFT',
+    ArrowRight: 'RIGHT'
+  }
+};
+
+// ============================================================================
+// STATE MANAGEMENT
+// ============================================================================
+
+const playground = {
+  puzzles: [],                   // Archived puzzles, newest first
+  filePuzzles: [],               // Puzzles from the last loaded file
+  puzzle: null,                  // Puzzle on the board
+  neighbours: [],                // Open neighbours of every cell
+  path: [],                      // Drawn cells in order
+  pressed: false,                // Pointer held down on the board
+  startedAt: null,               // First move of the current game
+  won: false
+};
+
+// Leveled logger (see logger.js) of this page: `logger` is the content script's
+const playgroundLogger = createLogger('playground', entry => storeLogEntries([entry]));
+loadSettings(playgroundLogger).then(settings => playgroundLogger.setLevel(settings.logLevel));
+
+// ============================================================================
+// GAME RULES
+// ============================================================================
+
+/**
+ * Checks whether the path can be extended to a cell: it must be an open
+ * neighbour of the head, not drawn yet, and the next number if it is one
+ * @param {number} cell - Cell number
+ * @returns {boolean}
+ */
+function canExtendTo(cell) {
+  const { puzzle, path, neighbours } = playground;
+  
+  if (path.length === 0) return cell === puzzle.waypoints[0];
+  if (path.includes(cell) || !neighbours[path[path.length - 1]].includes(cell)) return false;
+  
+  const waypoint = puzzle.waypoints.indexOf(cell);
+  if (waypoint === -1) return true;
+  
+  const reached = path.filter(drawn => puzzle.waypoints.includes(drawn)).length;
+  return waypoint === reached;
+}
+
+/**
+ * Presses a cell: a drawn cell cuts the path back to it, any other cell
+ * extends the path if the rules allow it
+ * @param {number} cell - Cell number
+ */
+function pressCell(cell) {
+  const index = playground.path.indexOf(cell);
+  
+  if (index !== -1) {
+    playground.path = playground.path.slice(0, index + 1);
+  } else if (canExtendTo(cell)) {
+    playground.path.push(cell);
+  } else {
+    return;
+  }
+  
+  updateGame();
+}
+
+/**
+ * Drags into a cell: steps back onto the previous cell or extends the path
+ * @param {number} cell - Cell number
+ */
+function dragToCell(cell) {
+  const { path } = playground;
+  
+  if (cell === path[path.length - 1]) return;
+  
+  if (cell === path[path.length - 2]) {
+    path.pop();
+  } else if (canExtendTo(cell)) {
+    path.push(cell);
+  } else {
+    return;
+  }
+  
+  updateGame();
+}
+
+/**
+ * Moves the head one cell in a direction (stepping back if that is the previous cell)
+ * @param {string} direction - Key of PUZZLE.DIRECTIONS
+ */
+function moveHead(direction) {
+  const { puzzle, path } = playground;
+  
+  if (path.length === 0) {
+    pressCell(puzzle.waypoints[0]);
+    return;
+  }
+  
+  const head = path[path.length - 1];
+  const offset = PUZZLE.DIRECTIONS[direction];
+  const row = Math.floor(head / puzzle.cols) + offset.row;
+  const col = (head % puzzle.cols) + offset.col;
+  
+  if (row < 0 || row >= puzzle.rows || col < 0 || col >= puzzle.cols) return;
+  dragToCell(row * puzzle.cols + col);
+}
+
+/**
+ * Removes the last drawn cell
+ */
+function undoMove() {
+  if (playground.path.length === 0) return;
+  
+  playground.path.pop();
+  updateGame();
+}
+
+/**
+ * Clears the board
+ */
+function resetGame() {
+  playground.path = [];
+  playground.startedAt = null;
+  playground.won = false;
+  updateGame();
+}
+
+/**
+ * Records the first move and the win after every change, then redraws the path
+ */
+function updateGame() {
+  const { puzzle, path } = playground;
+  
+  if (path.length > 0 && playground.startedAt === null) {
+    playground.startedAt = Date.now();
+  }
+  
+  const wasWon = playground.won;
+  playground.won = path.length === puzzle.rows * puzzle.cols && validateSolution(puzzle, path).valid;
+  
+  renderPath();
+  
+  if (playground.won && !wasWon) {
+    const seconds = ((Date.now() - playground.startedAt) / 1000).toFixed(1);
+    setGameStatus(`🎉 Solved in ${seconds} s`, true);
+    playgroundLogger.info(`🎉 Playground puzzle solved in ${seconds} s`);
+  } else if (!playground.won) {
+    setGameStatus(`${path.length} / ${puzzle.rows * puzzle.cols} cells`);
+  }
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+/**
+ * Shows the game status above the board
+ * @param {string} text - Status text
+ * @param {boolean} [won] - Highlight as a win
+ */
+function setGameStatus(text, won = false) {
+  const status = document.getElementById('game-status');
+  status.textContent = text;
+  status.classList.toggle('won', won);
+}
+
+/**
+ * Builds the board cells for the current puzzle, with the same
+ * [data-cell-idx] markup the content script reads on LinkedIn
+ */
+function renderBoard() {
+  const { puzzle } = playground;
+  const board = document.getElementById('board');
+  
+  if (!puzzle) {
+    board.replaceChildren();
+    return;
+  }
+  
+  const walls = new Set(puzzle.walls.map(([a, b]) => edgeId(a, b)));
+  board.style.gridTemplateColumns = `repeat(${puzzle.cols}, auto)`;
+  
+  const cells = [];
+  for (let cell = 0; cell < puzzle.rows * puzzle.cols; cell++) {
+    const element = document.createElement('div');
+    element.dataset.cellIdx = String(cell);
+    
+    const waypoint = puzzle.waypoints.indexOf(cell);
+    if (waypoint !== -1) {
+      const label = document.createElement('span');
+      label.className = 'waypoint';
+      label.textContent = String(waypoint + 1);
+      element.append(label);
+    }
+    
+    if (walls.has(edgeId(cell, cell + 1)) && (cell + 1) % puzzle.cols !== 0) {
+      element.classList.add('wall-right');
+    }
+    if (walls.has(edgeId(cell, cell + puzzle.cols))) {
+      element.classList.add('wall-bottom');
+    }
+    
+    cells.push(element);
+  }
+  board.replaceChildren(...cells);
+}
+
+/**
+ * Marks the drawn cells and the head on the board
+ */
+function renderPath() {
+  const { path } = playground;
+  const drawn = new Set(path);
+  
+  document.querySelectorAll('#board [data-cell-idx]').forEach(element => {
+    const cell = Number(element.dataset.cellIdx);
+    element.classList.toggle(PLAYGROUND.FILLED_CLASS, drawn.has(cell));
+    element.classList.toggle(PLAYGROUND.HEAD_CLASS, cell === path[path.length - 1]);
+  });
+}
+
+/**
+ * Fills the puzzle picker with the archive and the puzzles of a loaded file
+ * @param {string|null} selected - Value to select
+ */
+function renderPicker(selected) {
+  const select = document.getElementById('puzzle-select');
+  const option = (value, text) => {
+    const element = document.createElement('option');
+    element.value = value;
+    element.textContent = text;
+    return element;
+  };
+  
+  const options = [
+    ...playground.filePuzzles.map((puzzle, index) => option(`${PLAYGROUND.FILE_OPTION}${index}`,
+      `File: ${puzzle.id || '(no id)'} - ${puzzle.date || 'undated'} (${puzzle.rows}x${puzzle.cols})`)),
+    ...playground.puzzles.map(puzzle => option(puzzle.key,
+      `${puzzle.date || 'undated'} - ${puzzle.id || '(no id)'} (${puzzle.rows}x${puzzle.cols})`))
+  ];
+  
+  if (options.length === 0) {
+    options.push(option('', 'No puzzles yet - open a Zip puzzle on LinkedIn or load a file'));
+  }
+  
+  select.replaceChildren(...options);
+  if (selected !== null) {
+    select.value = selected;
+  }
+}
+
+// ============================================================================
+// PUZZLE LOADING
+// ============================================================================
+
+/**
+ * Encodes a puzzle as LinkedIn's game data so the content script reads it
+ * like the real page
+ * @param {ArchivedPuzzle} puzzle - Square puzzle
+ * @returns {string} JSON for the rehydrate-data element
+ */
+function buildGamePayload(puzzle) {
+  // Walls are stored as neighbouring cell pairs, LinkedIn names the side instead
+  const walls = puzzle.walls.map(([a, b]) => ({
+    cellIdx: a,
+    direction: b === a + 1 ? 'RIGHT' : b === a - 1 ? 'LEFT' : b > a ? 'DOWN' : 'UP'
+  }));
+  
+  return JSON.stringify({
+    game: {
+      puzzleId: puzzle.id,
+      puzzleDate: puzzle.date,
+      [PUZZLE.PAYLOAD.PUZZLE_KEY]: {
+        [PUZZLE.PAYLOAD.GRID_SIZE_KEY]: puzzle.rows,
+        [PUZZLE.PAYLOAD.WAYPOINTS_KEY]: puzzle.waypoints,
+        [PUZZLE.PAYLOAD.WALLS_KEY]: walls,
+        [PUZZLE.PAYLOAD.SOLUTION_KEY]: puzzle.solution
+      }
+    }
+  });
+}
+
+/**
+ * Puts a puzzle on the board and starts a new game
+ * @param {ArchivedPuzzle|null} puzzle - Puzzle to play
+ */
+function loadPuzzle(puzzle) {
+  stopSolve();
+  hidePathPreview();
+  
+  if (puzzle && puzzle.rows !== puzzle.cols) {
+    setGameStatus(`Only square boards can be played (this one is ${puzzle.rows}x${puzzle.cols})`);
+    puzzle = null;
+  }
+  
+  playground.puzzle = puzzle;
+  document.getElementById(CONFIG.SELECTORS.REHYDRATE_DATA).textContent = puzzle ? buildGamePayload(puzzle) : '';
+  renderBoard();
+  
+  if (puzzle) {
+    playground.neighbours = buildNeighbours(puzzle.rows, puzzle.cols, puzzle.walls);
+    resetGame();
+    playgroundLogger.info(`🧩 Playground puzzle loaded: ${puzzle.key}`);
+  }
+}
+
+/**
+ * Loads the puzzle chosen in the picker
+ */
+function loadSelectedPuzzle() {
+  const value = document.getElementById('puzzle-select').value;
+  
+  if (value.startsWith(PLAYGROUND.FILE_OPTION)) {
+    loadPuzzle(playground.filePuzzles[Number(value.slice(PLAYGROUND.FILE_OPTION.length))] || null);
+  } else {
+    loadPuzzle(playground.puzzles.find(puzzle => puzzle.key === value) || null);
+  }
+}
+
+/**
+ * Reads puzzles from a file: an archive export, a list of puzzles or a
+ * single puzzle
+ * @param {File} file - JSON file
+ * @returns {Promise<void>}
+ */
+async function handleLoadFile(file) {
+  try {
+    const data = JSON.parse(await file.text());
+    const list = Array.isArray(data) ? data : data && Array.isArray(data.puzzles) ? data.puzzles : [data];
+    const valid = list.filter(puzzle => !checkArchivedPuzzle(puzzle));
+    
+    if (valid.length === 0) {
+      throw new Error(checkArchivedPuzzle(list[0]) || 'no puzzles in the file');
+    }
+    
+    playground.filePuzzles = valid.map(puzzle => toArchivedPuzzle(puzzle, puzzle.savedAt || new Date().toISOString()));
+    renderPicker(`${PLAYGROUND.FILE_OPTION}0`);
+    loadSelectedPuzzle();
+  } catch (error) {
+    setGameStatus(`Could not load the file: ${error.message}`);
+  }
+}
+
+// ============================================================================
+// EVENT HANDLERS
+// ============================================================================
+
+/**
+ * Returns the board cell under a pointer event
+ * @param {PointerEvent} event - Pointer event
+ * @returns {number|null} Cell number, or null outside the board
+ */
+function cellFromEvent(event) {
+  // Touch pointers stay captured by the first cell, so look under the pointer
+  const target = (document.elementFromPoint && document.elementFromPoint(event.clientX, event.clientY)) || event.target;
+  const element = target instanceof Element ? target.closest('#board [data-cell-idx]') : null;
+  return element ? Number(element.dataset.cellIdx) : null;
+}
+
+/**
+ * Handles the keyboard on the board: arrows draw, Backspace undoes, Escape resets
+ * @param {KeyboardEvent} event - Key event
+ */
+function handleBoardKey(event) {
+  if (!playground.puzzle) return;
+  
+  if (PLAYGROUND.KEYS[event.key]) {
+    moveHead(PLAYGROUND.KEYS[event.key]);
+  } else if (event.key === 'Backspace' || (event.key === 'z' && (event.ctrlKey || event.metaKey))) {
+    undoMove();
+  } else if (event.key === 'Escape') {
+    resetGame();
+  } else {
+    return;
+  }
+  
+  event.preventDefault();
+}
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+document.addEventListener('DOMContentLoaded', async () => {
+  playground.puzzles = Object.values(await loadArchive()).sort((a, b) =>
+    String(b.date || b.savedAt).localeCompare(String(a.date || a.savedAt)));
+  
+  const requested = new URLSearchParams(location.search).get(PLAYGROUND.URL_PARAM);
+  const first = playground.puzzles.find(puzzle => puzzle.key === requested) || playground.puzzles[0];
+  renderPicker(first ? first.key : null);
+  loadPuzzle(first || null);
+  
+  if (requested && (!first || first.key !== requested)) {
+    setGameStatus(`Puzzle ${requested} is not in the archive`);
+  }
+  
+  document.getElementById('puzzle-select').addEventListener('change', loadSelectedPuzzle);
+  
+  const fileInput = document.getElementById('load-file');
+  document.getElementById('load').addEventListener('click', () => fileInput.click());
+  fileInput.addEventListener('change', async () => {
+    if (fileInput.files.length > 0) {
+      await handleLoadFile(fileInput.files[0]);
+    }
+    fileInput.value = '';
+  });
+  
+  const board = document.getElementById('board');
+  board.addEventListener('pointerdown', (event) => {
+    const cell = cellFromEvent(event);
+    if (!playground.puzzle || cell === null) return;
+    
+    playground.pressed = true;
+    pressCell(cell);
+  });
+  board.addEventListener('pointermove', (event) => {
+    if (!playground.pressed) return;
+    
+    const cell = cellFromEvent(event);
+    if (cell !== null) {
+      dragToCell(cell);
+    }
+  });
+  window.addEventListener('pointerup', () => {
+    playground.pressed = false;
+  });
+  board.addEventListener('keydown', handleBoardKey);
+  
+  document.getElementById('undo').addEventListener('click', undoMove);
+  document.getElementById('reset').addEventListener('click', () => {
+    if (playground.puzzle) resetGame();
+  });
+  
+  // The same entry points the popup uses on LinkedIn
+  document.getElementById('solve').addEventListener('click', () => solveGame());
+  document.getElementById('hint').addEventListener('click', () => showHint());
+  document.getElementById('preview').addEventListener('click', () => togglePathPreview());
+  document.getElementById('stop').addEventListener('click', () => stopSolve());
+});
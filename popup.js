@@ -0,0 +1,193 @@
+/**
+ * LinkedIn Zip Solver - Popup
+ * @description Picks the mode and runs it on the active tab
+ * @version 1.0.0
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const CONFIG = {
+  HISTORY_PAGE: 'stats.html',
+  ARCHIVE_PAGE: 'puzzles.html',
+  PLAYGROUND_PAGE: 'playground.html',
+  MESSAGES: {
+    RUN_MODE: 'runMode',
+    CONTROL_SOLVE: 'controlSolve',
+    GET_SOLVE_STATE: 'getSolveState',
+    SOLVE_PROGRESS: 'solveProgress'
+  }
+};
+
+// Leveled logger (see logger.js): extension pages keep their entries in the
+// same buffer as the service worker
+const logger = createLogger('popup', entry => storeLogEntries([entry]));
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Shows a status line under the run button
+ * @param {string} text - Status text
+ * @param {boolean} [isError] - Show as an error
+ */
+function setStatus(text, isError = false) {
+  const status = document.getElementById('status');
+  status.textContent = text;
+  status.classList.toggle('error', isError);
+}
+
+/**
+ * Returns the selected mode
+ * @returns {string}
+ */
+function getSelectedMode() {
+  const checked = document.querySelector('input[name="mode"]:checked');
+  return checked ? checked.value : SETTINGS_DEFAULTS.mode;
+}
+
+/**
+ * Shows the pause/resume and stop buttons while a solve is running
+ * @param {Object|null} progress - Latest solve progress (null when idle)
+ */
+function showSolveProgress(progress) {
+  const active = !!progress && (progress.state === 'running' || progress.state === 'paused');
+  document.getElementById('controls').classList.toggle('visible', active);
+  document.getElementById('run').disabled = active;
+  
+  if (!progress) return;
+  
+  const pauseButton = document.getElementById('pause');
+  pauseButton.textContent = progress.state === 'paused' ? 'Resume' : 'Pause';
+  pauseButton.dataset.command = progress.state === 'paused' ? 'resume' : 'pause';
+  
+  const stateText = {
+    running: 'Solving',
+    paused: 'Paused',
+    cancelled: 'Stopped',
+    finished: 'Finished',
+    error: 'Failed'
+  }[progress.state];
+  const elapsed = progress.elapsedMs !== undefined ? ` (${(progress.elapsedMs / 1000).toFixed(1)} s)` : '';
+  setStatus(`${stateText}: step ${progress.step} of ${progress.total}${elapsed}`, progress.state === 'error');
+}
+
+// ============================================================================
+// EVENT HANDLERS
+// ============================================================================
+
+/**
+ * Saves the mode as soon as it is changed
+ */
+async function handleModeChange() {
+  try {
+    await saveSettings({ mode: getSelectedMode() });
+  } catch (error) {
+    setStatus(`Could not save mode: ${error.message}`, true);
+  }
+}
+
+/**
+ * Asks the service worker to run the selected mode on the active tab
+ */
+async function handleRunClick() {
+  const runButton = document.getElementById('run');
+  runButton.disabled = true;
+  setStatus('Running...');
+  
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: CONFIG.MESSAGES.RUN_MODE,
+      mode: getSelectedMode()
+    });
+    
+    if (response && response.success) {
+      window.close();
+      return;
+    }
+    
+    setStatus(`Error: ${(response && response.error) || 'No response'}`, true);
+  } catch (error) {
+    setStatus(`Error: ${error.message}`, true);
+  }
+  
+  runButton.disabled = false;
+}
+
+/**
+ * Sends a pause, resume or stop command for the active tab's solve
+ * @param {string} command - pause, resume or stop
+ */
+async function handleControlClick(command) {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: CONFIG.MESSAGES.CONTROL_SOLVE,
+      command
+    });
+    
+    if (!response || !response.success) {
+      setStatus((response && response.error) || 'No solve is running', true);
+    }
+  } catch (error) {
+    setStatus(`Error: ${error.message}`, true);
+  }
+}
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const settings = await loadSettings(logger);
+  logger.setLevel(settings.logLevel);
+  
+  document.querySelectorAll('input[name="mode"]').forEach(input => {
+    input.checked = input.value === settings.mode;
+    input.addEventListener('change', handleModeChange);
+  });
+  
+  document.getElementById('run').addEventListener('click', handleRunClick);
+  document.getElementById('pause').addEventListener('click', (event) => {
+    handleControlClick(event.currentTarget.dataset.command || 'pause');
+  });
+  document.getElementById('stop').addEventListener('click', () => handleControlClick('stop'));
+  
+  // Live progress of the active tab's solve
+  const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  chrome.runtime.onMessage.addListener((message, sender) => {
+    if (message.action === CONFIG.MESSAGES.SOLVE_PROGRESS && sender.tab && activeTab && sender.tab.id === activeTab.id) {
+      showSolveProgress(message);
+    }
+  });
+  
+  try {
+    const response = await chrome.runtime.sendMessage({ action: CONFIG.MESSAGES.GET_SOLVE_STATE });
+    if (response && response.progress) {
+      showSolveProgress(response.progress);
+    }
+  } catch (error) {
+    logger.warn('⚠️ Could not read the solve state:', error);
+  }
+  
+  document.getElementById('open-options').addEventListener('click', (event) => {
+    event.preventDefault();
+    chrome.runtime.openOptionsPage();
+  });
+  
+  document.getElementById('open-history').addEventListener('click', (event) => {
+    event.preventDefault();
+    chrome.tabs.create({ url: chrome.runtime.getURL(CONFIG.HISTORY_PAGE) });
+  });
+  
+  document.getElementById('open-archive').addEventListener('click', (event) => {
+    event.preventDefault();
+    chrome.tabs.create({ url: chrome.runtime.getURL(CONFIG.ARCHIVE_PAGE) });
+  });
+  
+  document.getElementById('open-playground').addEventListener('click', (event) => {
+    event.preventDefault();
+    chrome.tabs.create({ url: chrome.runtime.getURL(CONFIG.PLAYGROUND_PAGE) });
+  });
+});
@@ -0,0 +1,1121 @@
+/**
+ * LinkedIn Zip Solver - Puzzle Model
+ * @description Game data parsing, the path solver and solution validation. No
+ *   DOM or chrome.* access: shared by the content script and the Node CLI.
+ * @version 1.0.0
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const PUZZLE = {
+  SOLVER_TIMEOUT_MS: 5000,       // Upper bound for the built-in path search
+  SOLVER_RESTART_NODES: 200,     // Search nodes per solver restart (scaled by the Luby sequence)
+  PAYLOAD: {
+    // Keys of LinkedIn's game data (inside #rehydrate-data)
+    PUZZLE_KEY: 'trailPuzzle',
+    GRID_SIZE_KEY: 'gridSize',
+    WAYPOINTS_KEY: 'orderedSequence',
+    WALLS_KEY: 'walls',
+    SOLUTION_KEY: 'solution',
+    ID_KEYS: ['puzzleId', 'gamePuzzleId', 'id'],
+    DATE_KEYS: ['puzzleDate', 'date', 'dayOfGame']
+  },
+  DIRECTIONS: {
+    UP: { row: -1, col: 0 },
+    DOWN: { row: 1, col: 0 },
+    LEFT: { row: 0, col: -1 },
+    RIGHT: { row: 0, col: 1 }
+  }
+};
+
+// ============================================================================
+// PUZZLE MODEL
+// ============================================================================
+
+/**
+ * @typedef {Object} ZipPuzzle
+ * @property {string|null} id - LinkedIn puzzle ID
+ * @property {string|null} date - Puzzle date
+ * @property {number} rows - Number of rows
+ * @property {number} cols - Number of columns
+ * @property {number[]} waypoints - Numbered cells in order (cell numbers)
+ * @property {number[][]} walls - Pairs of neighbouring cells separated by a wall
+ * @property {number[]|null} solution - Embedded solution, if LinkedIn ships one
+ * @property {string} [source] - Where the content script read it: rehydrate-data,
+ *   client-state, network or board
+ */
+
+/**
+ * Builds a ZipPuzzle from the (unescaped) rehydrate payload text
+ * @param {string} payload - Unescaped rehydrate data
+ * @returns {ZipPuzzle}
+ * @throws {Error} If a required field is missing or invalid
+ */
+function parseZipPayload(payload) {
+  // The game object wraps the puzzle together with its ID and date
+  const game = findEnclosingObject(payload, PUZZLE.PAYLOAD.PUZZLE_KEY);
+  const puzzleData = game
+    ? game[PUZZLE.PAYLOAD.PUZZLE_KEY]
+    : findEnclosingObject(payload, PUZZLE.PAYLOAD.GRID_SIZE_KEY);
+  
+  if (!puzzleData || typeof puzzleData !== 'object') {
+    throw new Error('Puzzle data not found. LinkedIn game structure may have changed.');
+  }
+  
+  const size = puzzleData[PUZZLE.PAYLOAD.GRID_SIZE_KEY];
+  if (!Number.isInteger(size) || size < 1) {
+    throw new Error(`Puzzle field "${PUZZLE.PAYLOAD.GRID_SIZE_KEY}" is missing or not a positive integer`);
+  }
+  
+  const totalCells = size * size;
+  const isCell = value => Number.isInteger(value) && value >= 0 && value < totalCells;
+  
+  const waypoints = puzzleData[PUZZLE.PAYLOAD.WAYPOINTS_KEY];
+  if (!Array.isArray(waypoints) || waypoints.length === 0) {
+    throw new Error(`Puzzle field "${PUZZLE.PAYLOAD.WAYPOINTS_KEY}" is missing or empty`);
+  }
+  if (!waypoints.every(isCell)) {
+    throw new Error(`Puzzle field "${PUZZLE.PAYLOAD.WAYPOINTS_KEY}" contains invalid cell numbers`);
+  }
+  
+  // Walls are optional: many boards have none
+  const rawWalls = puzzleData[PUZZLE.PAYLOAD.WALLS_KEY] || [];
+  if (!Array.isArray(rawWalls)) {
+    throw new Error(`Puzzle field "${PUZZLE.PAYLOAD.WALLS_KEY}" is not an array`);
+  }
+  const walls = rawWalls
+    .map(wall => wallToEdge(wall, size, size))
+    .filter(edge => edge !== null);
+  
+  // The solution is optional: the built-in solver covers its absence
+  let solution = puzzleData[PUZZLE.PAYLOAD.SOLUTION_KEY];
+  if (solution === undefined || solution === null) {
+    solution = null;
+  } else if (!Array.isArray(solution) || !solution.every(isCell)) {
+    throw new Error(`Puzzle field "${PUZZLE.PAYLOAD.SOLUTION_KEY}" contains invalid cell numbers`);
+  }
+  
+  return {
+    id: pickField(game || puzzleData, PUZZLE.PAYLOAD.ID_KEYS),
+    date: pickField(game || puzzleData, PUZZLE.PAYLOAD.DATE_KEYS),
+    rows: size,
+    cols: size,
+    waypoints,
+    walls,
+    solution: solution && solution.length > 0 ? solution : null
+  };
+}
+
+/**
+ * Removes the string escaping LinkedIn applies to the embedded JSON
+ * (plain JSON is returned unchanged)
+ * @param {string} text - Raw rehydrate data
+ * @returns {string} Text with \" and \\ unescaped
+ */
+function unescapeRehydrateData(text) {
+  const isEscaped = text.includes(`\\"${PUZZLE.PAYLOAD.GRID_SIZE_KEY}\\"`);
+  return isEscaped ? text.replace(/\\(["\\/])/g, '$1') : text;
+}
+
+/**
+ * Finds and parses the innermost JSON object that contains the given key
+ * @param {string} text - Text with embedded JSON
+ * @param {string} key - Key to look for
+ * @returns {Object|null} Parsed object, or null if the key is not found
+ * @throws {Error} If the enclosing object is not valid JSON
+ */
+function findEnclosingObject(text, key) {
+  const keyToken = `"${key}"`;
+  const openBraces = [];
+  let inString = false;
+  let start = -1;
+  
+  // Walk the text once, tracking open braces outside of strings
+  for (let index = 0; index < text.length && start === -1; index++) {
+    const char = text[index];
+    
+    if (inString) {
+      if (char === '\\') {
+        index++;
+      } else if (char === '"') {
+        inString = false;
+      }
+      continue;
+    }
+    
+    if (char === '"') {
+      const isKey = text.startsWith(keyToken, index) &&
+        text.slice(index + keyToken.length, index + keyToken.length + 8).trimStart().startsWith(':');
+      
+      if (isKey && openBraces.length > 0) {
+        start = openBraces[openBraces.length - 1];
+      } else {
+        inString = true;
+      }
+    } else if (char === '{') {
+      openBraces.push(index);
+    } else if (char === '}') {
+      openBraces.pop();
+    }
+  }
+  
+  if (start === -1) {
+    return null;
+  }
+  
+  const end = findClosingBrace(text, start);
+  if (end === -1) {
+    throw new Error(`Game data around "${key}" is truncated`);
+  }
+  
+  try {
+    return JSON.parse(text.slice(start, end + 1));
+  } catch (parseError) {
+    throw new Error(`Game data around "${key}" is not valid JSON: ${parseError.message}`);
+  }
+}
+
+/**
+ * Finds the brace that closes the object opened at the given position
+ * @param {string} text - Text with embedded JSON
+ * @param {number} start - Index of the opening brace
+ * @returns {number} Index of the closing brace, or -1 if it is missing
+ */
+function findClosingBrace(text, start) {
+  let depth = 0;
+  let inString = false;
+  
+  for (let index = start; index < text.length; index++) {
+    const char = text[index];
+    
+    if (inString) {
+      if (char === '\\') {
+        index++;
+      } else if (char === '"') {
+        inString = false;
+      }
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}' && --depth === 0) {
+      return index;
+    }
+  }
+  
+  return -1;
+}
+
+/**
+ * Returns the first present field from a list of candidate keys
+ * @param {Object} source - Object to read from
+ * @param {string[]} keys - Candidate keys, in priority order
+ * @returns {string|null}
+ */
+function pickField(source, keys) {
+  const key = keys.find(candidate => source[candidate] !== undefined && source[candidate] !== null);
+  return key ? String(source[key]) : null;
+}
+
+/**
+ * Converts a LinkedIn wall ({ cellIdx, direction }) into a pair of cells
+ * @param {{cellIdx: number, direction: string}} wall - Wall entry
+ * @param {number} rows - Number of rows
+ * @param {number} cols - Number of columns
+ * @returns {number[]|null} [cellA, cellB], or null for walls on the outer border
+ */
+function wallToEdge(wall, rows, cols) {
+  const offset = wall && PUZZLE.DIRECTIONS[String(wall.direction).toUpperCase()];
+  if (!offset || typeof wall.cellIdx !== 'number') {
+    return null;
+  }
+  
+  const row = Math.floor(wall.cellIdx / cols) + offset.row;
+  const col = (wall.cellIdx % cols) + offset.col;
+  
+  if (row < 0 || row >= rows || col < 0 || col >= cols) {
+    return null;
+  }
+  
+  return [wall.cellIdx, row * cols + col];
+}
+
+/**
+ * Builds an order-independent key for a pair of cells
+ * @param {number} a - First cell
+ * @param {number} b - Second cell
+ * @returns {string}
+ */
+function edgeId(a, b) {
+  return a < b ? `${a}-${b}` : `${b}-${a}`;
+}
+
+// ============================================================================
+// SOLUTION
+// ============================================================================
+
+/**
+ * Returns a validated solution for the puzzle: the embedded one if it passes
+ * validation, otherwise the built-in solver's path
+ * @param {ZipPuzzle} puzzle - Puzzle
+ * @param {Object} [logger] - Logger for the solution used (see createLogger in logger.js)
+ * @returns {{solution: number[], embeddedCheck: ValidationResult|null}} Cell
+ *   numbers in visiting order, and the validation of the embedded solution
+ *   (null if the page has none)
+ * @throws {Error} If no valid solution can be produced
+ */
+function resolveSolution(puzzle, logger = null) {
+  let solution = puzzle.solution;
+  let embeddedCheck = null;
+  if (!solution) {
+    if (logger) logger.warn('⚠️ Embedded solution unavailable, using built-in solver');
+  } else {
+    embeddedCheck = validateSolution(puzzle, solution);
+    if (!embeddedCheck.valid) {
+      if (logger) logger.warn(`⚠️ Embedded solution rejected (${embeddedCheck.message}), using built-in solver`);
+      solution = null;
+    }
+  }
+  
+  if (!solution) {
+    const startTime = Date.now();
+    solution = solveZipPath(puzzle);
+    if (logger) logger.info(`🧩 Path solved by built-in solver in ${Date.now() - startTime}ms`);
+  }
+  
+  // Pre-flight check: never click a path that breaks the rules
+  const validation = validateSolution(puzzle, solution);
+  if (!validation.valid) {
+    throw new Error(`Solution failed validation. ${validation.message}`);
+  }
+  
+  return { solution, embeddedCheck };
+}
+
+// ============================================================================
+// PATH SOLVER
+// ============================================================================
+
+/**
+ * Finds the path that visits every cell exactly once and the numbered
+ * cells in order. The board is searched as a set of path edges: every cell
+ * takes two (the first and last numbered cells one), and each pass of
+ * constraint propagation forces or rules out edges until nothing changes.
+ * Every open end of a chain must still reach the chain of the neighbouring
+ * number, and every region of undecided cells must be coverable by the
+ * segments that can pass through it. The search then decides one edge of
+ * the most constrained cell, anywhere on the board, with shuffled choices
+ * and short restarts so that one bad early decision cannot stall it.
+ * @param {ZipPuzzle} puzzle - Puzzle (only rows, cols, waypoints and walls are used)
+ * @returns {number[]} Cell numbers in visiting order
+ * @throws {Error} If the puzzle is invalid or has no solution
+ */
+function solveZipPath(puzzle) {
+  const { rows, cols, waypoints, walls = [] } = puzzle || {};
+  
+  // Input validation
+  if (!Number.isInteger(rows) || !Number.isInteger(cols) || rows < 1 || cols < 1) {
+    throw new Error('Invalid grid size');
+  }
+  
+  const totalCells = rows * cols;
+  
+  if (!Array.isArray(waypoints) || waypoints.length === 0) {
+    throw new Error('Puzzle has no numbered cells');
+  }
+  
+  if (waypoints.some(cell => !Number.isInteger(cell) || cell < 0 || cell >= totalCells)) {
+    throw new Error('Puzzle contains invalid numbered cells');
+  }
+  
+  const startTime = Date.now();
+  const neighbours = buildNeighbours(rows, cols, walls);
+  const startCell = waypoints[0];
+  const endCell = waypoints[waypoints.length - 1];
+  
+  if (totalCells === 1) {
+    return [startCell];
+  }
+  
+  // Waypoint order of each cell (-1 for unnumbered cells)
+  const waypointOrder = new Int32Array(totalCells).fill(-1);
+  waypoints.forEach((cell, index) => {
+    waypointOrder[cell] = index;
+  });
+  
+  // Two numbered cells can only be joined directly if their numbers are consecutive
+  neighbours.forEach((cellNeighbours, cell) => {
+    if (waypointOrder[cell] === -1) return;
+    neighbours[cell] = cellNeighbours.filter(next =>
+      waypointOrder[next] === -1 || Math.abs(waypointOrder[next] - waypointOrder[cell]) === 1
+    );
+  });
+  
+  // Checkerboard colour of each cell: a path always alternates colours, so
+  // the colour of the first cell covers half the board, rounded up
+  const cellColours = Uint8Array.from({ length: totalCells }, (value, cell) => (Math.floor(cell / cols) + (cell % cols)) % 2);
+  const colourOf = cell => cellColours[cell];
+  let startColourCells = 0;
+  for (let cell = 0; cell < totalCells; cell++) {
+    if (colourOf(cell) === colourOf(startCell)) startColourCells++;
+  }
+  
+  if (startCell === endCell || startColourCells !== Math.ceil(totalCells / 2)) {
+    throw new Error('No valid path exists for this puzzle');
+  }
+  
+  // Path edges each cell takes: the ends of the path one, the others two
+  const neededEdges = new Uint8Array(totalCells).fill(2);
+  neededEdges[startCell] = neededEdges[endCell] = 1;
+  
+  // State of each edge, stored per cell and neighbour slot
+  const EDGE_OPEN = 0;
+  const EDGE_FORCED = 1;
+  const EDGE_CLOSED = 2;
+  const SLOTS = Object.keys(PUZZLE.DIRECTIONS).length;
+  
+  // Slot of each edge as seen from its other cell
+  const reverseSlot = neighbours.map((cellNeighbours, cell) => cellNeighbours.map(next => neighbours[next].indexOf(cell)));
+  
+  // Board state: the search saves it before each decision and restores it
+  // when the decision fails
+  const edgeState = new Uint8Array(totalCells * SLOTS);
+  const usableEdges = new Uint8Array(totalCells);
+  const forcedEdges = new Uint8Array(totalCells);
+  const chainRoot = new Int32Array(totalCells);
+  const chainSize = new Int32Array(totalCells);
+  // Per chain: its two end cells, and the numbered cell met first from each end (-1 if none)
+  const chainEnds = new Int32Array(totalCells * 2);
+  const chainNearest = new Int32Array(totalCells * 2);
+  const boardState = [edgeState, usableEdges, forcedEdges, chainRoot, chainSize, chainEnds, chainNearest];
+  const savedStates = [];
+  
+  // Scratch buffers reused by every pruning pass
+  const discovery = new Int32Array(totalCells);
+  const low = new Int32Array(totalCells);
+  const pocketWaypoints = new Int32Array(totalCells);
+  const pocketFirstOrder = new Int32Array(totalCells);
+  const pocketBalance = new Int32Array(totalCells);
+  const visitStack = new Int32Array(totalCells);
+  const visitSlot = new Uint8Array(totalCells);
+  // Partner check: regions of cells outside numbered chains, and the open
+  // ends of numbered chains with the numbers the path can go on to from them
+  const region = new Int32Array(totalCells);
+  const stack = new Int32Array(totalCells);
+  const openEndCell = new Int32Array(totalCells);
+  const endOrder = new Int32Array(totalCells);
+  const openEndRoot = new Int32Array(totalCells);
+  const endGoesUp = new Uint8Array(totalCells);
+  const endGoesDown = new Uint8Array(totalCells);
+  const endIsAlone = new Uint8Array(totalCells);
+  let openEnds = 0;
+  let regions = 0;
+  // Balance check: per region, its colour balance and the bounds the
+  // segments that can pass through it put on that balance
+  const regionBalance = new Int32Array(totalCells);
+  const regionLowest = new Int32Array(totalCells);
+  const regionHighest = new Int32Array(totalCells);
+  const regionSegments = new Int32Array(totalCells);
+  // Regions a segment can pass through: up to two ends on either side, each
+  // with up to SLOTS edges
+  const segmentRegions = new Int32Array(4 * SLOTS);
+  const segmentShares = new Int32Array(4 * SLOTS);
+  // Cells whose edges the propagation has to look at again
+  const pending = new Int32Array(totalCells);
+  const isPending = new Uint8Array(totalCells);
+  let pendingCount = 0;
+  
+  const markPending = (cell) => {
+    if (isPending[cell]) return;
+    isPending[cell] = 1;
+    pending[pendingCount++] = cell;
+  };
+  
+  const findRoot = (cell) => {
+    while (chainRoot[cell] !== cell) {
+      chainRoot[cell] = chainRoot[chainRoot[cell]];
+      cell = chainRoot[cell];
+    }
+    return cell;
+  };
+  
+  // Index in chainEnds and chainNearest of the side of a chain that ends at a cell
+  const chainSide = (root, cell) => (chainEnds[root * 2] === cell ? root * 2 : root * 2 + 1);
+  // Whether a cell's chain holds a numbered cell
+  const isNumbered = cell => chainNearest[findRoot(cell) * 2] !== -1;
+  
+  /**
+   * Checks whether an edge can join the chains of forced edges at its two
+   * cells: it may not close a loop, the numbered cells along the joined
+   * chain must stay consecutive, and the chain from the first numbered cell
+   * may only reach the last one once it covers every cell
+   * @param {number} cell - Cell at one end of the edge
+   * @param {number} next - Cell at the other end
+   * @returns {boolean}
+   */
+  function canJoin(cell, next) {
+    if (forcedEdges[cell] >= neededEdges[cell] || forcedEdges[next] >= neededEdges[next]) return false;
+    
+    const rootA = findRoot(cell);
+    const rootB = findRoot(next);
+    if (rootA === rootB) return false;
+    
+    const nearestA = chainNearest[chainSide(rootA, cell)];
+    const nearestB = chainNearest[chainSide(rootB, next)];
+    if (nearestA !== -1 && nearestB !== -1 && Math.abs(nearestA - nearestB) !== 1) return false;
+    
+    const startRoot = findRoot(startCell);
+    const endRoot = findRoot(endCell);
+    const joinsEnds = (rootA === startRoot && rootB === endRoot) || (rootA === endRoot && rootB === startRoot);
+    return !joinsEnds || chainSize[rootA] + chainSize[rootB] === totalCells;
+  }
+  
+  /**
+   * Makes an edge part of the path (canJoin() must allow it)
+   * @param {number} cell - Cell at one end of the edge
+   * @param {number} slot - Neighbour slot of the edge
+   */
+  function forceEdge(cell, slot) {
+    const next = neighbours[cell][slot];
+    edgeState[cell * SLOTS + slot] = EDGE_FORCED;
+    edgeState[next * SLOTS + reverseSlot[cell][slot]] = EDGE_FORCED;
+    forcedEdges[cell]++;
+    forcedEdges[next]++;
+    
+    // The joined chain ends where the two chains did not meet
+    const rootA = findRoot(cell);
+    const rootB = findRoot(next);
+    const sideA = chainSide(rootA, cell);
+    const sideB = chainSide(rootB, next);
+    const outerA = sideA ^ 1;
+    const outerB = sideB ^ 1;
+    const endA = chainEnds[outerA];
+    const endB = chainEnds[outerB];
+    const nearestA = chainNearest[outerA] !== -1 ? chainNearest[outerA] : chainNearest[sideB];
+    const nearestB = chainNearest[outerB] !== -1 ? chainNearest[outerB] : chainNearest[sideA];
+    
+    chainRoot[rootB] = rootA;
+    chainSize[rootA] += chainSize[rootB];
+    chainEnds[rootA * 2] = endA;
+    chainEnds[rootA * 2 + 1] = endB;
+    chainNearest[rootA * 2] = nearestA;
+    chainNearest[rootA * 2 + 1] = nearestB;
+    
+    // Edges at the ends of the joined chain may no longer join it
+    markPending(cell);
+    markPending(next);
+    markPending(endA);
+    markPending(endB);
+  }
+  
+  /**
+   * Closes an edge
+   * @param {number} cell - Cell at one end of the edge
+   * @param {number} slot - Neighbour slot of the edge
+   * @returns {boolean} False if either cell is left with too few edges
+   */
+  function closeEdge(cell, slot) {
+    const next = neighbours[cell][slot];
+    edgeState[cell * SLOTS + slot] = EDGE_CLOSED;
+    edgeState[next * SLOTS + reverseSlot[cell][slot]] = EDGE_CLOSED;
+    usableEdges[cell]--;
+    usableEdges[next]--;
+    markPending(cell);
+    markPending(next);
+    return usableEdges[cell] >= neededEdges[cell] && usableEdges[next] >= neededEdges[next];
+  }
+  
+  /**
+   * Propagates the changes marked as pending until nothing changes: an edge
+   * that cannot join its two chains is closed, a cell with as many usable
+   * edges as it needs forces them all, and a cell whose edges are all
+   * forced closes the others. Only the cells next to a change are looked at.
+   * @returns {boolean} False if a cell is left with too few edges
+   */
+  function propagate() {
+    while (pendingCount > 0) {
+      const cell = pending[--pendingCount];
+      isPending[cell] = 0;
+      if (usableEdges[cell] === forcedEdges[cell]) continue;
+      
+      const needed = neededEdges[cell];
+      for (let slot = 0; slot < neighbours[cell].length; slot++) {
+        if (edgeState[cell * SLOTS + slot] !== EDGE_OPEN) continue;
+        
+        if (!canJoin(cell, neighbours[cell][slot])) {
+          if (!closeEdge(cell, slot)) {
+            while (pendingCount > 0) isPending[pending[--pendingCount]] = 0;
+            return false;
+          }
+        } else if (usableEdges[cell] === needed) {
+          forceEdge(cell, slot);
+        }
+      }
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Sets up the board with every edge open and propagates from every cell
+   * @returns {boolean} False if the board can never be completed
+   */
+  function setUpBoard() {
+    for (let cell = 0; cell < totalCells; cell++) {
+      chainRoot[cell] = cell;
+      chainSize[cell] = 1;
+      chainEnds[cell * 2] = chainEnds[cell * 2 + 1] = cell;
+      chainNearest[cell * 2] = chainNearest[cell * 2 + 1] = waypointOrder[cell];
+      usableEdges[cell] = neighbours[cell].length;
+      if (usableEdges[cell] < neededEdges[cell]) return false;
+      markPending(cell);
+    }
+    
+    return propagate() && hasPartners() && isBalanced() && isCoverable();
+  }
+  
+  /**
+   * Forces or closes one edge and propagates the change
+   * @param {{cell: number, slot: number}} branch - Edge to decide
+   * @param {number} decision - EDGE_FORCED or EDGE_CLOSED
+   * @returns {boolean} False if the board can no longer be completed
+   */
+  function decide(branch, decision) {
+    if (decision === EDGE_CLOSED) {
+      if (!closeEdge(branch.cell, branch.slot)) {
+        while (pendingCount > 0) isPending[pending[--pendingCount]] = 0;
+        return false;
+      }
+    } else {
+      if (!canJoin(branch.cell, neighbours[branch.cell][branch.slot])) return false;
+      forceEdge(branch.cell, branch.slot);
+    }
+    
+    return propagate() && hasPartners() && isBalanced() && isCoverable();
+  }
+  
+  /**
+   * Partner check (reachability of the unvisited region): the open end of a
+   * chain holding numbered cells must still meet the chain of the next (or
+   * previous) number along the path, directly or through cells of chains
+   * without numbers.
+   * @returns {boolean} False if an end can no longer reach its partner
+   */
+  function hasPartners() {
+    // Regions of the cells that belong to no numbered chain (-2 for the others)
+    for (let cell = 0; cell < totalCells; cell++) {
+      region[cell] = isNumbered(cell) ? -2 : -1;
+    }
+    
+    regions = 0;
+    for (let cell = 0; cell < totalCells; cell++) {
+      if (region[cell] !== -1) continue;
+      
+      let stackSize = 0;
+      stack[stackSize++] = cell;
+      region[cell] = regions;
+      regionBalance[regions] = 0;
+      while (stackSize > 0) {
+        const current = stack[--stackSize];
+        regionBalance[regions] += colourOf(current) === 0 ? 1 : -1;
+        for (let slot = 0; slot < neighbours[current].length; slot++) {
+          const next = neighbours[current][slot];
+          if (edgeState[current * SLOTS + slot] === EDGE_CLOSED || region[next] !== -1) continue;
+          region[next] = regions;
+          stack[stackSize++] = next;
+        }
+      }
+      regions++;
+    }
+    
+    // Open ends of numbered chains: the path leaves one towards the next
+    // number if the numbers grow towards it, the previous one if they shrink
+    openEnds = 0;
+    for (let cell = 0; cell < totalCells; cell++) {
+      if (forcedEdges[cell] === neededEdges[cell] || region[cell] !== -2) continue;
+      
+      const root = findRoot(cell);
+      const side = chainSide(root, cell);
+      if (chainEnds[side] !== cell) continue;
+      
+      const label = chainNearest[side];
+      const other = chainNearest[side ^ 1];
+      const alone = chainEnds[side ^ 1] === cell;
+      openEndCell[openEnds] = cell;
+      endOrder[openEnds] = label;
+      openEndRoot[openEnds] = root;
+      endGoesUp[openEnds] = (alone || other <= label) && label < waypoints.length - 1 ? 1 : 0;
+      endGoesDown[openEnds] = (alone || other >= label) && label > 0 ? 1 : 0;
+      endIsAlone[openEnds] = alone ? 1 : 0;
+      openEnds++;
+    }
+    
+    // Two open ends meet over an edge, or through one region
+    const reaches = (a, b) => {
+      const cellA = openEndCell[a];
+      const cellB = openEndCell[b];
+      for (let slot = 0; slot < neighbours[cellA].length; slot++) {
+        if (edgeState[cellA * SLOTS + slot] === EDGE_CLOSED) continue;
+        
+        const next = neighbours[cellA][slot];
+        if (next === cellB) return true;
+        if (region[next] < 0) continue;
+        
+        for (let slotB = 0; slotB < neighbours[cellB].length; slotB++) {
+          if (edgeState[cellB * SLOTS + slotB] !== EDGE_CLOSED && region[neighbours[cellB][slotB]] === region[next]) return true;
+        }
+      }
+      return false;
+    };
+    
+    const hasPartner = (end, up) => {
+      for (let other = 0; other < openEnds; other++) {
+        if (openEndRoot[other] === openEndRoot[end] || endOrder[other] !== endOrder[end] + (up ? 1 : -1)) continue;
+        if ((up ? endGoesDown[other] : endGoesUp[other]) && reaches(end, other)) return true;
+      }
+      return false;
+    };
+    
+    // A numbered cell on its own needs both of its partners, any other end one
+    for (let end = 0; end < openEnds; end++) {
+      const up = endGoesUp[end] && hasPartner(end, true);
+      const down = endGoesDown[end] && hasPartner(end, false);
+      if (endIsAlone[end] ? (endGoesUp[end] && !up) || (endGoesDown[end] && !down) : !up && !down) return false;
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Balance check (run after the partner check, on its regions): the path
+   * between two consecutive numbers runs from one open end to the other
+   * through a single region, or over the edge between them. Inside the
+   * region it alternates colours, so it covers one more cell of a colour
+   * than of the other if both ends have the same colour, and as many of
+   * each otherwise. Every region needs such a segment, and its colour
+   * balance must lie within what the segments that can pass through it add
+   * up to.
+   * @returns {boolean} False if a region can no longer be covered
+   */
+  function isBalanced() {
+    regionLowest.fill(0, 0, regions);
+    regionHighest.fill(0, 0, regions);
+    regionSegments.fill(0, 0, regions);
+    
+    for (let order = 0; order < waypoints.length - 1; order++) {
+      let options = 0;
+      let direct = false;
+      
+      // Either end of a chain holding one number can still lead up, so
+      // every pair of ends the segment can join is looked at
+      for (let up = 0; up < openEnds; up++) {
+        if (!endGoesUp[up] || endOrder[up] !== order) continue;
+        
+        for (let down = 0; down < openEnds; down++) {
+          if (!endGoesDown[down] || endOrder[down] !== order + 1 || openEndRoot[down] === openEndRoot[up]) continue;
+          
+          const cellA = openEndCell[up];
+          const cellB = openEndCell[down];
+          // Colour balance the segment adds: black cells count +1, white -1
+          const share = colourOf(cellA) !== colourOf(cellB) ? 0 : (colourOf(cellA) === 0 ? -1 : 1);
+          for (let slot = 0; slot < neighbours[cellA].length; slot++) {
+            if (edgeState[cellA * SLOTS + slot] === EDGE_CLOSED) continue;
+            
+            const next = neighbours[cellA][slot];
+            if (next === cellB) {
+              direct = true;
+            } else if (region[next] >= 0 && touchesRegion(cellB, region[next])) {
+              segmentRegions[options] = region[next];
+              segmentShares[options++] = share;
+            }
+          }
+        }
+      }
+      
+      // A segment with a single region to go through must go through it
+      let onlyRegion = !direct && options > 0;
+      let lowest = 1;
+      let highest = -1;
+      for (let option = 0; option < options; option++) {
+        onlyRegion = onlyRegion && segmentRegions[option] === segmentRegions[0];
+        lowest = Math.min(lowest, segmentShares[option]);
+        highest = Math.max(highest, segmentShares[option]);
+      }
+      
+      if (onlyRegion) {
+        regionSegments[segmentRegions[0]]++;
+        regionLowest[segmentRegions[0]] += lowest;
+        regionHighest[segmentRegions[0]] += highest;
+        continue;
+      }
+      
+      for (let option = 0; option < options; option++) {
+        const index = segmentRegions[option];
+        regionSegments[index]++;
+        regionLowest[index] += Math.min(0, segmentShares[option]);
+        regionHighest[index] += Math.max(0, segmentShares[option]);
+      }
+    }
+    
+    for (let index = 0; index < regions; index++) {
+      if (regionSegments[index] === 0) return false;
+      if (regionBalance[index] < regionLowest[index] || regionBalance[index] > regionHighest[index]) return false;
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Tells whether a cell has a usable edge into a region
+   * @param {number} cell - Cell number
+   * @param {number} index - Region index
+   * @returns {boolean}
+   */
+  function touchesRegion(cell, index) {
+    for (let slot = 0; slot < neighbours[cell].length; slot++) {
+      if (edgeState[cell * SLOTS + slot] !== EDGE_CLOSED && region[neighbours[cell][slot]] === index) return true;
+    }
+    return false;
+  }
+  
+  /**
+   * Connectivity check over the usable edges (articulation-point search
+   * rooted at the first numbered cell). Every cell must be reachable, and a
+   * pocket of cells hanging off a single cell can be entered but never
+   * left: it must hold the end of the path and exactly the numbered cells
+   * that come last.
+   * @returns {boolean} False if the cells can no longer all be covered
+   */
+  function isCoverable() {
+    let time = 0;
+    let depth = 0;
+    let startBranches = 0;
+    discovery.fill(-1);
+    
+    const enter = (cell) => {
+      discovery[cell] = low[cell] = time++;
+      pocketWaypoints[cell] = waypointOrder[cell] === -1 ? 0 : 1;
+      pocketFirstOrder[cell] = waypointOrder[cell] === -1 ? waypoints.length : waypointOrder[cell];
+      pocketBalance[cell] = colourOf(cell) === 0 ? 1 : -1;
+      visitStack[depth] = cell;
+      visitSlot[depth] = 0;
+    };
+    
+    // Depth-first walk with an explicit stack (a recursive one is slower)
+    enter(startCell);
+    while (depth >= 0) {
+      const cell = visitStack[depth];
+      const slot = visitSlot[depth]++;
+      
+      if (slot < neighbours[cell].length) {
+        if (edgeState[cell * SLOTS + slot] === EDGE_CLOSED) continue;
+        
+        const next = neighbours[cell][slot];
+        if (discovery[next] !== -1) {
+          low[cell] = Math.min(low[cell], discovery[next]);
+          continue;
+        }
+        
+        depth++;
+        enter(next);
+        continue;
+      }
+      
+      // Every edge of the cell is done: fold its subtree into its parent
+      if (--depth < 0) break;
+      
+      const parent = visitStack[depth];
+      low[parent] = Math.min(low[parent], low[cell]);
+      pocketWaypoints[parent] += pocketWaypoints[cell];
+      pocketFirstOrder[parent] = Math.min(pocketFirstOrder[parent], pocketFirstOrder[cell]);
+      pocketBalance[parent] += pocketBalance[cell];
+      
+      if (parent === startCell) {
+        // The path can only leave the first cell into one of its branches
+        if (++startBranches > 1) return false;
+      } else if (low[cell] >= discovery[parent]) {
+        // Pocket separated by the parent: every numbered cell from the
+        // first one inside it up to the end must lie inside it, and its
+        // colours must alternate starting from the entry cell
+        const inside = pocketWaypoints[cell];
+        const first = pocketFirstOrder[cell];
+        const size = time - discovery[cell];
+        const balance = colourOf(parent) === 0 ? -pocketBalance[cell] : pocketBalance[cell];
+        if (inside === 0 || first + inside !== waypoints.length || balance !== size % 2) {
+          return false;
+        }
+      }
+    }
+    
+    return time === totalCells;
+  }
+  
+  // Restart state: a wrong early decision can hide a very deep dead branch,
+  // so the search restarts with shuffled choices. The node budget of each
+  // run follows the Luby sequence (1, 1, 2, 1, 1, 2, 4, ...): mostly short
+  // runs, with ever longer ones in between so that a board without a path
+  // is still searched in full.
+  let nodeBudget = PUZZLE.SOLVER_RESTART_NODES;
+  let nodesVisited = 0;
+  let totalNodes = 0;
+  let randomSeed = 1;
+  const nextRandom = () => {
+    randomSeed = (Math.imul(randomSeed, 1664525) + 1013904223) >>> 0;
+    return randomSeed / 4294967296;
+  };
+  const lubyFactor = (run) => {
+    let size = 1;
+    while (size * 2 - 1 < run) size *= 2;
+    return size * 2 - 1 === run ? size : lubyFactor(run - size + 1);
+  };
+  
+  /**
+   * Picks the next edge to decide: a random undecided edge of the cell with
+   * the fewest of them (first fail), ties broken randomly. The two orders
+   * stall on different boards, so restarts take turns between them.
+   * @param {boolean} numberedFirst - Prefer the ends of numbered chains
+   * @returns {{cell: number, slot: number}|null} null once every cell has its edges
+   */
+  function chooseBranch(numberedFirst) {
+    let branchCell = -1;
+    let fewest = Infinity;
+    
+    for (let cell = 0; cell < totalCells; cell++) {
+      if (forcedEdges[cell] === neededEdges[cell]) continue;
+      
+      let undecided = usableEdges[cell] - forcedEdges[cell] + nextRandom();
+      if (numberedFirst && isNumbered(cell)) undecided -= SLOTS;
+      if (undecided < fewest) {
+        fewest = undecided;
+        branchCell = cell;
+      }
+    }
+    
+    if (branchCell === -1) return null;
+    
+    const openSlots = [];
+    neighbours[branchCell].forEach((next, slot) => {
+      if (edgeState[branchCell * SLOTS + slot] === EDGE_OPEN) openSlots.push(slot);
+    });
+    
+    return { cell: branchCell, slot: openSlots[Math.floor(nextRandom() * openSlots.length)] };
+  }
+  
+  /**
+   * Decides edges recursively: the chosen edge is closed, then forced. The
+   * board state is saved per depth and restored after a failed decision.
+   * @param {number} depth - Number of decisions above this one
+   * @param {boolean} numberedFirst - Prefer the ends of numbered chains
+   * @returns {boolean|null} True once every cell has its edges, null if the
+   *   node budget ran out
+   */
+  function search(depth, numberedFirst) {
+    if (++nodesVisited > nodeBudget) {
+      return null;
+    }
+    
+    if (++totalNodes % 256 === 0 && Date.now() - startTime > PUZZLE.SOLVER_TIMEOUT_MS) {
+      throw new Error('Solver timed out');
+    }
+    
+    const branch = chooseBranch(numberedFirst);
+    if (!branch) {
+      return true;
+    }
+    
+    if (!savedStates[depth]) {
+      savedStates[depth] = boardState.map(values => values.slice());
+    } else {
+      boardState.forEach((values, index) => savedStates[depth][index].set(values));
+    }
+    
+    for (const decision of [EDGE_CLOSED, EDGE_FORCED]) {
+      const result = decide(branch, decision) ? search(depth + 1, numberedFirst) : false;
+      if (result) {
+        return true;
+      }
+      
+      boardState.forEach((values, index) => values.set(savedStates[depth][index]));
+      if (result === null) {
+        return null;
+      }
+    }
+    
+    return false;
+  }
+  
+  if (!setUpBoard()) {
+    throw new Error('No valid path exists for this puzzle');
+  }
+  
+  const initialState = boardState.map(values => values.slice());
+  for (let run = 1; ; run++) {
+    nodesVisited = 0;
+    nodeBudget = PUZZLE.SOLVER_RESTART_NODES * lubyFactor(run);
+    boardState.forEach((values, index) => values.set(initialState[index]));
+    const result = search(0, run % 2 === 1);
+    
+    if (result) break;
+    
+    if (result === false) {
+      throw new Error('No valid path exists for this puzzle');
+    }
+  }
+  
+  // The last decision left the path as forced edges: walk it from the start
+  const path = [startCell];
+  for (let previous = -1, cell = startCell; cell !== endCell;) {
+    const slot = neighbours[cell].findIndex((next, index) => next !== previous && edgeState[cell * SLOTS + index] === EDGE_FORCED);
+    previous = cell;
+    cell = neighbours[cell][slot];
+    path.push(cell);
+  }
+  
+  return path;
+}
+
+/**
+ * Builds the adjacency list of the grid, leaving out walled edges
+ * @param {number} rows - Number of rows
+ * @param {number} cols - Number of columns
+ * @param {number[][]} walls - Walled cell pairs
+ * @returns {number[][]} Neighbour cells of each cell
+ */
+function buildNeighbours(rows, cols, walls) {
+  const blocked = new Set(walls.map(([a, b]) => edgeId(a, b)));
+  const neighbours = [];
+  
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      const cell = row * cols + col;
+      const cellNeighbours = [];
+      
+      Object.values(PUZZLE.DIRECTIONS).forEach(offset => {
+        const nextRow = row + offset.row;
+        const nextCol = col + offset.col;
+        
+        if (nextRow < 0 || nextRow >= rows || nextCol < 0 || nextCol >= cols) return;
+        
+        const next = nextRow * cols + nextCol;
+        if (!blocked.has(edgeId(cell, next))) {
+          cellNeighbours.push(next);
+        }
+      });
+      
+      neighbours.push(cellNeighbours);
+    }
+  }
+  
+  return neighbours;
+}
+
+// ============================================================================
+// SOLUTION VALIDATION
+// ============================================================================
+
+/**
+ * @typedef {Object} ValidationResult
+ * @property {boolean} valid - True if the solution follows every rule
+ * @property {number|null} step - 1-based step that failed
+ * @property {string|null} rule - Failed rule (range, adjacency, wall, revisit, order, coverage)
+ * @property {string} message - Human-readable description
+ */
+
+/**
+ * Checks a solution against the puzzle rules before anything is clicked
+ * @param {ZipPuzzle} puzzle - Puzzle
+ * @param {number[]} solution - Cell numbers in visiting order
+ * @returns {ValidationResult}
+ */
+function validateSolution(puzzle, solution) {
+  const { rows, cols, waypoints, walls } = puzzle;
+  const totalCells = rows * cols;
+  const fail = (step, rule, message) => ({
+    valid: false,
+    step,
+    rule,
+    message: `Step ${step}: ${message} (rule: ${rule})`
+  });
+  
+  if (!Array.isArray(solution) || solution.length === 0) {
+    return fail(1, 'coverage', 'the solution is empty');
+  }
+  
+  const blocked = new Set(walls.map(([a, b]) => edgeId(a, b)));
+  const waypointOrder = new Map(waypoints.map((cell, index) => [cell, index]));
+  const visitedCells = new Set();
+  let nextWaypoint = 0;
+  
+  for (let index = 0; index < solution.length; index++) {
+    const step = index + 1;
+    const cell = solution[index];
+    const previous = solution[index - 1];
+    
+    if (!Number.isInteger(cell) || cell < 0 || cell >= totalCells) {
+      return fail(step, 'range', `cell ${cell} is outside the ${rows}x${cols} grid`);
+    }
+    
+    if (visitedCells.has(cell)) {
+      return fail(step, 'revisit', `cell ${cell} is visited a second time`);
+    }
+    
+    if (index > 0) {
+      const rowDistance = Math.abs(Math.floor(cell / cols) - Math.floor(previous / cols));
+      const colDistance = Math.abs((cell % cols) - (previous % cols));
+      
+      if (rowDistance + colDistance !== 1) {
+        return fail(step, 'adjacency', `cell ${cell} is not next to cell ${previous}`);
+      }
+      
+      if (blocked.has(edgeId(previous, cell))) {
+        return fail(step, 'wall', `the move from cell ${previous} to cell ${cell} crosses a wall`);
+      }
+    }
+    
+    if (waypointOrder.has(cell)) {
+      const number = waypointOrder.get(cell);
+      if (number !== nextWaypoint) {
+        return fail(step, 'order', `number ${number + 1} is reached before number ${nextWaypoint + 1}`);
+      }
+      nextWaypoint++;
+    } else if (index === 0) {
+      return fail(step, 'order', `the path starts on cell ${cell} instead of number 1`);
+    }
+    
+    visitedCells.add(cell);
+  }
+  
+  const lastStep = solution.length;
+  
+  if (visitedCells.size !== totalCells) {
+    return fail(lastStep, 'coverage', `the path covers ${visitedCells.size} of ${totalCells} cells`);
+  }
+  
+  if (solution[lastStep - 1] !== waypoints[waypoints.length - 1]) {
+    return fail(lastStep, 'order', `the path ends on cell ${solution[lastStep - 1]} instead of number ${waypoints.length}`);
+  }
+  
+  return { valid: true, step: null, rule: null, message: 'Solution is valid' };
+}
+
+// ============================================================================
+// NODE EXPORTS
+// ============================================================================
+
+// The extension loads this file as a classic script; Node requires it
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    PUZZLE,
+    parseZipPayload,
+    unescapeRehydrateData,
+    findEnclosingObject,
+    wallToEdge,
+    edgeId,
+    resolveSolution,
+    solveZipPath,
+    buildNeighbours,
+    validateSolution
+  };
+}
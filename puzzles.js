@@ -0,0 +1,291 @@
+/**
+ * LinkedIn Zip Solver - Puzzle Archive Page
+ * @description Browses, deletes, exports and imports the archived puzzles
+ * @version 1.0.0
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const CONFIG = {
+  STATUS_DURATION_MS: 4000,
+  EXPORT_FILE_PREFIX: 'zip-puzzles',
+  PLAYGROUND_PAGE: 'playground.html'
+};
+
+// Leveled logger (see logger.js): extension pages keep their entries in the
+// same buffer as the service worker
+const logger = createLogger('puzzles', entry => storeLogEntries([entry]));
+loadSettings(logger).then(settings => logger.setLevel(settings.logLevel));
+
+// ============================================================================
+// STATE MANAGEMENT
+// ============================================================================
+
+let puzzles = [];              // Archived puzzles, newest first
+const selectedKeys = new Set();
+let viewedKey = null;
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Sorts the archive for display: by puzzle date, then by save time
+ * @param {Object<string, ArchivedPuzzle>} archive - Puzzles by key
+ * @returns {ArchivedPuzzle[]} Newest first
+ */
+function sortPuzzles(archive) {
+  return Object.values(archive).sort((a, b) =>
+    String(b.date || b.savedAt).localeCompare(String(a.date || a.savedAt)) ||
+    b.savedAt.localeCompare(a.savedAt));
+}
+
+/**
+ * Shows a status message next to the buttons
+ * @param {string} text - Status text
+ * @param {boolean} [isError] - Show as an error
+ */
+function setStatus(text, isError = false) {
+  const status = document.getElementById('status');
+  status.textContent = text;
+  status.classList.toggle('error', isError);
+  
+  setTimeout(() => {
+    if (status.textContent === text) {
+      status.textContent = '';
+    }
+  }, CONFIG.STATUS_DURATION_MS);
+}
+
+/**
+ * Downloads puzzles as an archive file
+ * @param {ArchivedPuzzle[]} list - Puzzles to export
+ */
+function downloadPuzzles(list) {
+  const day = new Date().toISOString().slice(0, 10);
+  const content = JSON.stringify(buildArchiveExport(list), null, 2);
+  const url = URL.createObjectURL(new Blob([content], { type: 'application/json' }));
+  
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${CONFIG.EXPORT_FILE_PREFIX}-${day}.json`;
+  link.click();
+  
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+  setStatus(`Exported ${list.length} puzzle${list.length === 1 ? '' : 's'}`);
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+/**
+ * Renders the puzzle list and the viewer
+ */
+function renderPuzzles() {
+  const body = document.getElementById('puzzles');
+  
+  if (puzzles.length === 0) {
+    const row = body.insertRow();
+    const cell = row.insertCell();
+    cell.colSpan = 8;
+    cell.className = 'empty';
+    cell.textContent = 'No puzzles yet. Open a Zip puzzle on LinkedIn and it is saved here.';
+    body.replaceChildren(row);
+  } else {
+    body.replaceChildren(...puzzles.map(renderPuzzleRow));
+  }
+  
+  document.getElementById('select-all').checked = puzzles.length > 0 && selectedKeys.size === puzzles.length;
+  document.getElementById('export-selected').disabled = selectedKeys.size === 0;
+  document.getElementById('delete-selected').disabled = selectedKeys.size === 0;
+  
+  renderViewer();
+}
+
+/**
+ * Builds one row of the puzzle list
+ * @param {ArchivedPuzzle} puzzle - Puzzle
+ * @returns {HTMLTableRowElement}
+ */
+function renderPuzzleRow(puzzle) {
+  const row = document.createElement('tr');
+  row.classList.toggle('selected', puzzle.key === viewedKey);
+  row.addEventListener('click', () => {
+    viewedKey = puzzle.key === viewedKey ? null : puzzle.key;
+    renderPuzzles();
+  });
+  
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.checked = selectedKeys.has(puzzle.key);
+  checkbox.setAttribute('aria-label', `Select ${puzzle.key}`);
+  checkbox.addEventListener('click', event => event.stopPropagation());
+  checkbox.addEventListener('change', () => {
+    if (checkbox.checked) {
+      selectedKeys.add(puzzle.key);
+    } else {
+      selectedKeys.delete(puzzle.key);
+    }
+    renderPuzzles();
+  });
+  row.insertCell().append(checkbox);
+  
+  [
+    puzzle.date || '-',
+    puzzle.id || '-',
+    `${puzzle.rows}x${puzzle.cols}`,
+    puzzle.waypoints.length,
+    puzzle.walls.length,
+    puzzle.solution ? 'Yes' : 'No',
+    new Date(puzzle.savedAt).toLocaleString()
+  ].forEach(value => {
+    row.insertCell().textContent = String(value);
+  });
+  
+  return row;
+}
+
+/**
+ * Draws the viewed puzzle: numbers, walls and optionally the solution order
+ */
+function renderViewer() {
+  const viewer = document.getElementById('viewer');
+  const puzzle = puzzles.find(entry => entry.key === viewedKey);
+  
+  viewer.hidden = !puzzle;
+  if (!puzzle) return;
+  
+  document.getElementById('viewer-title').textContent =
+    `Puzzle ${puzzle.id || '(no id)'} - ${puzzle.date || 'undated'}`;
+  
+  const showSolution = document.getElementById('show-solution');
+  showSolution.disabled = !puzzle.solution;
+  const steps = new Map(showSolution.checked && puzzle.solution
+    ? puzzle.solution.map((cell, index) => [cell, index + 1])
+    : []);
+  
+  const walls = new Set(puzzle.walls.map(([a, b]) => `${Math.min(a, b)}-${Math.max(a, b)}`));
+  const board = document.getElementById('board');
+  board.style.gridTemplateColumns = `repeat(${puzzle.cols}, auto)`;
+  
+  const cells = [];
+  for (let cell = 0; cell < puzzle.rows * puzzle.cols; cell++) {
+    const element = document.createElement('div');
+    const waypoint = puzzle.waypoints.indexOf(cell);
+    
+    if (waypoint !== -1) {
+      element.className = 'waypoint';
+      element.textContent = String(waypoint + 1);
+    } else if (steps.has(cell)) {
+      element.textContent = String(steps.get(cell));
+    }
+    
+    if (walls.has(`${cell}-${cell + 1}`) && (cell + 1) % puzzle.cols !== 0) {
+      element.classList.add('wall-right');
+    }
+    if (walls.has(`${cell}-${cell + puzzle.cols}`)) {
+      element.classList.add('wall-bottom');
+    }
+    
+    cells.push(element);
+  }
+  board.replaceChildren(...cells);
+}
+
+/**
+ * Reloads the archive from storage and renders it
+ * @returns {Promise<void>}
+ */
+async function refreshPuzzles() {
+  puzzles = sortPuzzles(await loadArchive());
+  
+  // Forget selections of puzzles that are gone
+  const keys = new Set(puzzles.map(puzzle => puzzle.key));
+  Array.from(selectedKeys).filter(key => !keys.has(key)).forEach(key => selectedKeys.delete(key));
+  if (!keys.has(viewedKey)) {
+    viewedKey = null;
+  }
+  
+  renderPuzzles();
+}
+
+// ============================================================================
+// EVENT HANDLERS
+// ============================================================================
+
+/**
+ * Imports the chosen archive file
+ * @param {File} file - JSON file
+ * @returns {Promise<void>}
+ */
+async function handleImport(file) {
+  try {
+    const result = await importArchive(JSON.parse(await file.text()));
+    const summary = `Imported: ${result.added} new, ${result.updated} updated, ${result.unchanged} unchanged`;
+    
+    if (result.invalid.length > 0) {
+      logger.warn('⚠️ Puzzles skipped during import:', result.invalid);
+      setStatus(`${summary}, ${result.invalid.length} invalid (${result.invalid[0]})`, true);
+    } else {
+      setStatus(summary);
+    }
+  } catch (error) {
+    setStatus(`Import failed: ${error.message}`, true);
+  }
+  
+  await refreshPuzzles();
+}
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+document.addEventListener('DOMContentLoaded', async () => {
+  await refreshPuzzles();
+  
+  document.getElementById('select-all').addEventListener('change', (event) => {
+    selectedKeys.clear();
+    if (event.target.checked) {
+      puzzles.forEach(puzzle => selectedKeys.add(puzzle.key));
+    }
+    renderPuzzles();
+  });
+  
+  document.getElementById('export-all').addEventListener('click', () => downloadPuzzles(puzzles));
+  document.getElementById('export-selected').addEventListener('click', () => {
+    downloadPuzzles(puzzles.filter(puzzle => selectedKeys.has(puzzle.key)));
+  });
+  
+  const fileInput = document.getElementById('import-file');
+  document.getElementById('import').addEventListener('click', () => fileInput.click());
+  fileInput.addEventListener('change', async () => {
+    if (fileInput.files.length > 0) {
+      await handleImport(fileInput.files[0]);
+    }
+    fileInput.value = '';
+  });
+  
+  document.getElementById('delete-selected').addEventListener('click', async () => {
+    if (!confirm(`Delete ${selectedKeys.size} puzzle${selectedKeys.size === 1 ? '' : 's'}?`)) return;
+    
+    await deleteArchivedPuzzles(Array.from(selectedKeys));
+    selectedKeys.clear();
+    await refreshPuzzles();
+  });
+  
+  document.getElementById('show-solution').addEventListener('change', renderViewer);
+  document.getElementById('play').addEventListener('click', () => {
+    const url = `${CONFIG.PLAYGROUND_PAGE}?puzzle=${encodeURIComponent(viewedKey)}`;
+    chrome.tabs.create({ url: chrome.runtime.getURL(url) });
+  });
+  
+  // Puzzles archived while the page is open
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[ARCHIVE.STORAGE_KEY]) {
+      refreshPuzzles();
+    }
+  });
+});
@@ -0,0 +1,255 @@
+/**
+ * LinkedIn Zip Solver - Queens Model
+ * @description Queens puzzle model, the constraint solver and solution validation.
+ *   No DOM or chrome.* access: the content script reads the board.
+ * @version 1.0.0
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const QUEENS = {
+  MIN_SIZE: 4,                   // Smallest board with a solution
+  MAX_SIZE: 16,
+  SOLVER_TIMEOUT_MS: 5000        // Upper bound for the constraint search
+};
+
+// ============================================================================
+// PUZZLE MODEL
+// ============================================================================
+
+/**
+ * @typedef {Object} QueensPuzzle
+ * @property {string} id - Puzzle ID (LinkedIn's, or derived from the regions)
+ * @property {string|null} date - Puzzle date
+ * @property {number} rows - Board size
+ * @property {number} cols - Board size (always equal to rows)
+ * @property {number[]} regions - Colour region of each cell (0 to size - 1)
+ */
+
+/**
+ * Builds a puzzle from the colour of every cell
+ * @param {Object} board
+ * @param {Array<string|number>} board.colors - Colour of each cell, row by row
+ *   (any labels: they are numbered by first appearance)
+ * @param {string} [board.id] - Puzzle ID
+ * @param {string} [board.date] - Puzzle date
+ * @returns {QueensPuzzle}
+ * @throws {Error} If the board is not square or the region count differs from its size
+ */
+function createQueensPuzzle({ colors, id, date }) {
+  const size = Math.round(Math.sqrt(colors.length));
+  
+  if (size * size !== colors.length || size < QUEENS.MIN_SIZE || size > QUEENS.MAX_SIZE) {
+    throw new Error(`The board is not a square between ${QUEENS.MIN_SIZE}x${QUEENS.MIN_SIZE} and ${QUEENS.MAX_SIZE}x${QUEENS.MAX_SIZE} (${colors.length} cells)`);
+  }
+  
+  if (colors.some(color => color === null || color === undefined || color === '')) {
+    throw new Error('Some cells have no colour');
+  }
+  
+  const numbers = new Map();
+  const regions = colors.map(color => {
+    if (!numbers.has(color)) numbers.set(color, numbers.size);
+    return numbers.get(color);
+  });
+  
+  if (numbers.size !== size) {
+    throw new Error(`A ${size}x${size} board needs ${size} colour regions, found ${numbers.size}`);
+  }
+  
+  return {
+    id: id ? String(id) : queensPuzzleKey(regions),
+    date: date ? String(date) : null,
+    rows: size,
+    cols: size,
+    regions
+  };
+}
+
+/**
+ * Derives a stable ID from the regions, for boards without one
+ * (FNV-1a hash, so that runs on the same puzzle are grouped)
+ * @param {number[]} regions - Region of each cell
+ * @returns {string}
+ */
+function queensPuzzleKey(regions) {
+  let hash = 0x811c9dc5;
+  regions.forEach(region => {
+    hash ^= region;
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  });
+  return `queens-${regions.length}-${hash.toString(16).padStart(8, '0')}`;
+}
+
+// ============================================================================
+// CONSTRAINT SOLVER
+// ============================================================================
+
+/**
+ * Places one queen per row, column and colour region, no two of them
+ * touching (diagonals included). Depth-first search that always fills the
+ * region with the fewest free cells next.
+ * @param {QueensPuzzle} puzzle - Puzzle
+ * @returns {number[]} Queen cells, by row
+ * @throws {Error} If the puzzle is invalid or has no solution
+ */
+function solveQueens(puzzle) {
+  const { rows: size, regions } = puzzle || {};
+  
+  // Input validation
+  if (!Number.isInteger(size) || !Array.isArray(regions) || regions.length !== size * size) {
+    throw new Error('Invalid Queens board');
+  }
+  
+  const startTime = Date.now();
+  const regionCells = Array.from({ length: size }, () => []);
+  regions.forEach((region, cell) => {
+    if (!regionCells[region]) throw new Error(`Cell ${cell} has an invalid region`);
+    regionCells[region].push(cell);
+  });
+  
+  const usedRows = new Array(size).fill(false);
+  const usedCols = new Array(size).fill(false);
+  const usedRegions = new Array(size).fill(false);
+  const queens = [];
+  
+  const isFree = cell => {
+    const row = Math.floor(cell / size);
+    const col = cell % size;
+    if (usedRows[row] || usedCols[col]) return false;
+    return queens.every(queen => Math.abs(Math.floor(queen / size) - row) > 1 || Math.abs((queen % size) - col) > 1);
+  };
+  
+  const search = () => {
+    if (queens.length === size) return true;
+    if (Date.now() - startTime > QUEENS.SOLVER_TIMEOUT_MS) {
+      throw new Error(`No solution found within ${QUEENS.SOLVER_TIMEOUT_MS / 1000} s`);
+    }
+    
+    // Most constrained region first; an empty one is a dead end
+    let candidates = null;
+    for (let region = 0; region < size; region++) {
+      if (usedRegions[region]) continue;
+      const free = regionCells[region].filter(isFree);
+      if (free.length === 0) return false;
+      if (!candidates || free.length < candidates.cells.length) {
+        candidates = { region, cells: free };
+      }
+    }
+    
+    for (const cell of candidates.cells) {
+      const row = Math.floor(cell / size);
+      const col = cell % size;
+      usedRows[row] = usedCols[col] = usedRegions[candidates.region] = true;
+      queens.push(cell);
+      
+      if (search()) return true;
+      
+      queens.pop();
+      usedRows[row] = usedCols[col] = usedRegions[candidates.region] = false;
+    }
+    
+    return false;
+  };
+  
+  if (!search()) {
+    throw new Error('The puzzle has no solution');
+  }
+  
+  return queens.sort((a, b) => a - b);
+}
+
+/**
+ * Solves the puzzle and checks the result before anything is placed
+ * @param {QueensPuzzle} puzzle - Puzzle
+ * @param {Object} [logger] - Logger for the solve time (see createLogger in logger.js)
+ * @returns {{solution: number[], embeddedCheck: null}} Queen cells, by row
+ *   (Queens pages embed no solution to check)
+ * @throws {Error} If no valid solution can be produced
+ */
+function resolveQueensSolution(puzzle, logger = null) {
+  const startTime = Date.now();
+  const solution = solveQueens(puzzle);
+  if (logger) logger.info(`👑 Queens placed in ${Date.now() - startTime} ms`);
+  
+  const validation = validateQueens(puzzle, solution);
+  if (!validation.valid) {
+    throw new Error(`Solution failed validation. ${validation.message}`);
+  }
+  
+  return { solution, embeddedCheck: null };
+}
+
+// ============================================================================
+// SOLUTION VALIDATION
+// ============================================================================
+
+/**
+ * Checks queen placements against the rules
+ * @param {QueensPuzzle} puzzle - Puzzle
+ * @param {number[]} queens - Queen cells
+ * @returns {ValidationResult} step is the 1-based queen that failed; rules are
+ *   range, count, row, column, region and touching
+ */
+function validateQueens(puzzle, queens) {
+  const { rows: size, regions } = puzzle;
+  const fail = (step, rule, message) => ({
+    valid: false,
+    step,
+    rule,
+    message: `Queen ${step}: ${message} (rule: ${rule})`
+  });
+  
+  if (!Array.isArray(queens) || queens.length !== size) {
+    const count = Array.isArray(queens) ? queens.length : 0;
+    return fail(Math.min(count + 1, size), 'count', `${count} queens placed, the board needs ${size}`);
+  }
+  
+  const seen = { row: new Map(), column: new Map(), region: new Map() };
+  
+  for (let index = 0; index < queens.length; index++) {
+    const step = index + 1;
+    const cell = queens[index];
+    
+    if (!Number.isInteger(cell) || cell < 0 || cell >= size * size) {
+      return fail(step, 'range', `cell ${cell} is outside the ${size}x${size} board`);
+    }
+    
+    const row = Math.floor(cell / size);
+    const col = cell % size;
+    const lines = { row, column: col, region: regions[cell] };
+    
+    for (const [rule, value] of Object.entries(lines)) {
+      if (seen[rule].has(value)) {
+        return fail(step, rule, `cell ${cell} shares its ${rule} with cell ${seen[rule].get(value)}`);
+      }
+      seen[rule].set(value, cell);
+    }
+    
+    const neighbour = queens.slice(0, index).find(other =>
+      Math.abs(Math.floor(other / size) - row) <= 1 && Math.abs((other % size) - col) <= 1);
+    if (neighbour !== undefined) {
+      return fail(step, 'touching', `cell ${cell} touches the queen on cell ${neighbour}`);
+    }
+  }
+  
+  return { valid: true, step: null, rule: null, message: 'Solution is valid' };
+}
+
+// ============================================================================
+// NODE EXPORTS
+// ============================================================================
+
+// The extension loads this file as a classic script; Node requires it
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    QUEENS,
+    createQueensPuzzle,
+    queensPuzzleKey,
+    solveQueens,
+    resolveQueensSolution,
+    validateQueens
+  };
+}
@@ -0,0 +1,133 @@
+/**
+ * LinkedIn Zip Solver - Settings
+ * @description User settings shared by the service worker, content script, popup and options page,
+ *   and the write queue used by every script that keeps state in chrome.storage
+ * @version 1.0.0
+ */
+
+// ============================================================================
+// DEFAULTS
+// ============================================================================
+
+const SETTINGS_DEFAULTS = {
+  mode: 'solve',                 // What the popup's run button does: solve, hint or preview
+  autoRun: 'off',                // Mode run as soon as a new puzzle is on the page (off, solve, hint or preview)
+  speed: 'steady',               // steady (clickDelayMs apart) or fast (next move as soon as the board shows the last one)
+  clickDelayMs: 100,             // Delay between moves in steady mode
+  moveTimeoutMs: 1000,           // How long a move may take to show on the board before it is retried
+  notificationDurationMs: 3000,  // Notification display duration
+  readyTimeoutMs: 10000,         // How long to wait for the board to load before solving anyway
+  hintMoves: 1,                  // Moves revealed per hint
+  hintStyle: 'highlight',        // highlight or click
+  previewMode: 'full',           // full, next-waypoint or animate
+  inputStrategy: 'auto',         // auto (detected and remembered), click or drag
+  logLevel: 'info'               // Lowest level logged: debug, info, warn or error (see logger.js)
+};
+
+// Allowed values: lists for choices, { min, max } for numbers
+const SETTINGS_RULES = {
+  mode: ['solve', 'hint', 'preview'],
+  autoRun: ['off', 'solve', 'hint', 'preview'],
+  speed: ['fast', 'steady'],
+  clickDelayMs: { min: 20, max: 2000 },
+  moveTimeoutMs: { min: 200, max: 10000 },
+  notificationDurationMs: { min: 1000, max: 20000 },
+  readyTimeoutMs: { min: 1000, max: 60000 },
+  hintMoves: { min: 1, max: 20 },
+  hintStyle: ['highlight', 'click'],
+  previewMode: ['full', 'next-waypoint', 'animate'],
+  inputStrategy: ['auto', 'click', 'drag'],
+  logLevel: ['debug', 'info', 'warn', 'error']
+};
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+/**
+ * Returns a complete, valid settings object (unknown keys are dropped,
+ * invalid values fall back to their defaults)
+ * @param {Object} values - Stored or submitted values
+ * @returns {Object} Settings
+ */
+function normalizeSettings(values) {
+  const settings = { ...SETTINGS_DEFAULTS };
+  
+  Object.keys(SETTINGS_DEFAULTS).forEach(key => {
+    const value = values ? values[key] : undefined;
+    const rule = SETTINGS_RULES[key];
+    
+    if (value === undefined || value === null) return;
+    
+    if (Array.isArray(rule)) {
+      if (rule.includes(value)) {
+        settings[key] = value;
+      }
+      return;
+    }
+    
+    const number = Number(value);
+    if (Number.isFinite(number)) {
+      settings[key] = Math.min(rule.max, Math.max(rule.min, Math.round(number)));
+    }
+  });
+  
+  return settings;
+}
+
+/**
+ * Loads the settings from chrome.storage.sync
+ * @param {Object} [logger] - Logger that reports a failed read (see createLogger in logger.js)
+ * @returns {Promise<Object>} Settings (defaults for anything not stored)
+ */
+async function loadSettings(logger = null) {
+  try {
+    const stored = await chrome.storage.sync.get(Object.keys(SETTINGS_DEFAULTS));
+    return normalizeSettings(stored);
+  } catch (error) {
+    if (logger) logger.warn('⚠️ Could not load settings, using defaults:', error);
+    return { ...SETTINGS_DEFAULTS };
+  }
+}
+
+/**
+ * Saves settings to chrome.storage.sync
+ * @param {Object} values - Settings to change (other keys are kept)
+ * @returns {Promise<Object>} The saved settings
+ */
+async function saveSettings(values) {
+  const settings = normalizeSettings({ ...(await loadSettings()), ...values });
+  await chrome.storage.sync.set(settings);
+  return settings;
+}
+
+/**
+ * Calls the callback whenever the stored settings change
+ * @param {Function} callback - Receives the new settings
+ * @param {Object} [logger] - Logger that reports a failed read
+ */
+function watchSettings(callback, logger = null) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'sync') return;
+    
+    const changedKeys = Object.keys(changes).filter(key => key in SETTINGS_DEFAULTS);
+    if (changedKeys.length > 0) {
+      loadSettings(logger).then(callback);
+    }
+  });
+}
+
+/**
+ * Creates a queue that runs storage writes one after the other, so that a
+ * write which reads and replaces a stored value never loses an earlier one
+ * @returns {Function} Takes an async write and returns its promise; a failed
+ *   write does not stop the next ones
+ */
+function createWriteQueue() {
+  let last = Promise.resolve();
+  return (write) => {
+    const result = last.then(write);
+    last = result.catch(() => {});
+    return result;
+  };
+}
@@ -0,0 +1,340 @@
+/**
+ * LinkedIn Zip Solver - History Page
+ * @description Shows statistics of the recorded runs and exports them as CSV or JSON
+ * @version 1.0.0
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const CONFIG = {
+  RECENT_RUNS: 50,               // Runs listed in the recent runs table
+  DAY_MS: 24 * 60 * 60 * 1000,
+  EXPORT_FILE_PREFIX: 'zip-solver-history',
+  // Columns of the CSV export, in order
+  CSV_COLUMNS: [
+    'timestamp', 'game', 'puzzleId', 'puzzleDate', 'rows', 'cols', 'source', 'mode', 'hints',
+    'durationMs', 'result', 'accepted', 'rejected', 'unconfirmed', 'recoveries', 'error'
+  ]
+};
+
+// ============================================================================
+// STATISTICS
+// ============================================================================
+
+/**
+ * Computes the statistics shown on the page
+ * @param {HistoryEntry[]} entries - Recorded runs, oldest first
+ * @param {Date} [now] - Current time (streaks end today or yesterday)
+ * @returns {Object} Totals, streaks, per-grid averages and failures
+ */
+function summarizeHistory(entries, now = new Date()) {
+  const solves = entries.filter(entry => entry.mode === 'solve');
+  const finishedSolves = solves.filter(entry => entry.result === 'finished');
+  
+  return {
+    runs: entries.length,
+    solves: solves.length,
+    finished: finishedSolves.length,
+    cancelled: entries.filter(entry => entry.result === 'cancelled').length,
+    errors: entries.filter(entry => entry.result === 'error').length,
+    hints: entries.filter(entry => entry.mode === 'hint' && entry.result === 'finished').length,
+    streaks: computeStreaks(finishedSolves, now),
+    byGrid: summarizeByGrid(entries),
+    failures: summarizeFailures(entries)
+  };
+}
+
+/**
+ * Counts consecutive days with at least one finished solve
+ * @param {HistoryEntry[]} finishedSolves - Finished solve runs
+ * @param {Date} now - Current time
+ * @returns {{current: number, longest: number}} Current streak (0 unless it
+ *   reaches today or yesterday) and the longest one
+ */
+function computeStreaks(finishedSolves, now) {
+  const days = Array.from(new Set(finishedSolves.map(entryDay)))
+    .map(day => Date.parse(`${day}T00:00:00Z`) / CONFIG.DAY_MS)
+    .sort((a, b) => a - b);
+  
+  let longest = 0;
+  let length = 0;
+  days.forEach((day, index) => {
+    length = index > 0 && day === days[index - 1] + 1 ? length + 1 : 1;
+    longest = Math.max(longest, length);
+  });
+  
+  const today = Date.parse(`${toDayString(now)}T00:00:00Z`) / CONFIG.DAY_MS;
+  const lastDay = days[days.length - 1];
+  const current = lastDay !== undefined && today - lastDay <= 1 ? length : 0;
+  
+  return { current, longest };
+}
+
+/**
+ * Returns the name of a run's game (runs recorded before Queens are Zip)
+ * @param {HistoryEntry} entry - Recorded run
+ * @returns {string}
+ */
+function gameName(entry) {
+  const adapter = GAME_ADAPTERS[entry.game || DEFAULT_GAME];
+  return adapter ? adapter.name : entry.game;
+}
+
+/**
+ * Groups the runs by game and grid size
+ * @param {HistoryEntry[]} entries - Recorded runs
+ * @returns {Object[]} One row per grid, smallest first
+ */
+function summarizeByGrid(entries) {
+  const groups = new Map();
+  
+  entries.filter(entry => entry.rows && entry.cols).forEach(entry => {
+    const key = `${gameName(entry)} ${entry.rows}x${entry.cols}`;
+    if (!groups.has(key)) {
+      groups.set(key, { grid: key, cells: entry.rows * entry.cols, entries: [] });
+    }
+    groups.get(key).entries.push(entry);
+  });
+  
+  return Array.from(groups.values())
+    .sort((a, b) => a.cells - b.cells)
+    .map(group => {
+      const solves = group.entries.filter(entry => entry.mode === 'solve');
+      const finished = solves.filter(entry => entry.result === 'finished');
+      
+      return {
+        grid: group.grid,
+        solves: solves.length,
+        finished: finished.length,
+        averageDurationMs: average(finished.map(entry => entry.durationMs)),
+        averageRejected: average(finished.map(entry => entry.rejected)),
+        hints: group.entries.filter(entry => entry.mode === 'hint' && entry.result === 'finished').length,
+        failures: group.entries.filter(entry => entry.result === 'error').length
+      };
+    });
+}
+
+/**
+ * Groups failed runs by error message
+ * @param {HistoryEntry[]} entries - Recorded runs
+ * @returns {{error: string, mode: string, count: number, lastSeen: string}[]} Most frequent first
+ */
+function summarizeFailures(entries) {
+  const groups = new Map();
+  
+  entries.filter(entry => entry.result === 'error').forEach(entry => {
+    const key = `${entry.mode}\n${entry.error}`;
+    const group = groups.get(key) || { error: entry.error || 'Unknown error', mode: entry.mode, count: 0, lastSeen: entry.timestamp };
+    group.count++;
+    group.lastSeen = entry.timestamp > group.lastSeen ? entry.timestamp : group.lastSeen;
+    groups.set(key, group);
+  });
+  
+  return Array.from(groups.values()).sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Returns the day a run belongs to: the puzzle's date when it is a
+ * calendar date, otherwise the local day the run started
+ * @param {HistoryEntry} entry - Recorded run
+ * @returns {string} YYYY-MM-DD
+ */
+function entryDay(entry) {
+  if (entry.puzzleDate && /^\d{4}-\d{2}-\d{2}/.test(entry.puzzleDate)) {
+    return entry.puzzleDate.slice(0, 10);
+  }
+  return toDayString(new Date(entry.timestamp));
+}
+
+/**
+ * Formats a local date as YYYY-MM-DD
+ * @param {Date} date - Date
+ * @returns {string}
+ */
+function toDayString(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Averages numbers
+ * @param {number[]} values - Values
+ * @returns {number|null} Null for an empty list
+ */
+function average(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+/**
+ * Converts the runs to CSV (one row per run, header first)
+ * @param {HistoryEntry[]} entries - Recorded runs
+ * @returns {string}
+ */
+function historyToCsv(entries) {
+  const rows = entries.map(entry => CONFIG.CSV_COLUMNS.map(column => csvField(entry[column])).join(','));
+  return [CONFIG.CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+/**
+ * Quotes a CSV field when needed
+ * @param {*} value - Field value
+ * @returns {string}
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Downloads text as a file
+ * @param {string} filename - File name
+ * @param {string} type - MIME type
+ * @param {string} content - File content
+ */
+function downloadFile(filename, type, content) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+/**
+ * Formats a duration for the tables
+ * @param {number|null} ms - Duration
+ * @returns {string}
+ */
+function formatDuration(ms) {
+  if (ms === null || ms === undefined) return '-';
+  return ms < 60000 ? `${(ms / 1000).toFixed(1)} s` : `${Math.floor(ms / 60000)} min ${Math.round((ms % 60000) / 1000)} s`;
+}
+
+/**
+ * Fills a table body (or shows a placeholder row when there is nothing to list)
+ * @param {string} id - tbody ID
+ * @param {Array<Array<string|number>>} rows - Cell texts
+ * @param {number} columns - Column count (for the placeholder)
+ */
+function renderRows(id, rows, columns) {
+  const body = document.getElementById(id);
+  
+  if (rows.length === 0) {
+    const row = body.insertRow();
+    const cell = row.insertCell();
+    cell.colSpan = columns;
+    cell.className = 'empty';
+    cell.textContent = 'Nothing recorded yet';
+    body.replaceChildren(row);
+    return;
+  }
+  
+  body.replaceChildren(...rows.map(values => {
+    const row = document.createElement('tr');
+    values.forEach(value => {
+      row.insertCell().textContent = String(value);
+    });
+    return row;
+  }));
+}
+
+/**
+ * Renders the whole page
+ * @param {HistoryEntry[]} entries - Recorded runs
+ */
+function renderHistory(entries) {
+  const stats = summarizeHistory(entries);
+  
+  const cards = [
+    [stats.finished, 'Puzzles solved'],
+    [stats.streaks.current, 'Current streak (days)'],
+    [stats.streaks.longest, 'Longest streak (days)'],
+    [stats.hints, 'Hints taken'],
+    [stats.cancelled, 'Cancelled runs'],
+    [stats.errors, 'Failed runs']
+  ];
+  document.getElementById('summary').replaceChildren(...cards.map(([value, label]) => {
+    const card = document.createElement('div');
+    card.className = 'card';
+    const number = document.createElement('strong');
+    number.textContent = String(value);
+    const text = document.createElement('span');
+    text.textContent = label;
+    card.append(number, text);
+    return card;
+  }));
+  
+  renderRows('by-grid', stats.byGrid.map(group => [
+    group.grid,
+    group.solves,
+    group.finished,
+    formatDuration(group.averageDurationMs),
+    group.averageRejected === null ? '-' : group.averageRejected.toFixed(1),
+    group.hints,
+    group.failures
+  ]), 7);
+  
+  renderRows('failures', stats.failures.map(failure => [
+    failure.error,
+    failure.mode,
+    failure.count,
+    new Date(failure.lastSeen).toLocaleString()
+  ]), 4);
+  
+  renderRows('recent-runs', entries.slice(-CONFIG.RECENT_RUNS).reverse().map(entry => [
+    new Date(entry.timestamp).toLocaleString(),
+    [gameName(entry), entry.puzzleId, entry.puzzleDate].filter(Boolean).join(' / '),
+    entry.rows ? `${entry.rows}x${entry.cols}` : '-',
+    entry.mode,
+    entry.hints,
+    formatDuration(entry.durationMs),
+    entry.result,
+    entry.mode === 'solve' ? `${entry.accepted} / ${entry.rejected}` : '-'
+  ]), 8);
+}
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+document.addEventListener('DOMContentLoaded', async () => {
+  renderHistory(await loadHistory());
+  
+  document.getElementById('export-csv').addEventListener('click', async () => {
+    const entries = await loadHistory();
+    downloadFile(`${CONFIG.EXPORT_FILE_PREFIX}-${toDayString(new Date())}.csv`, 'text/csv', historyToCsv(entries));
+  });
+  
+  document.getElementById('export-json').addEventListener('click', async () => {
+    const entries = await loadHistory();
+    downloadFile(`${CONFIG.EXPORT_FILE_PREFIX}-${toDayString(new Date())}.json`, 'application/json', JSON.stringify(entries, null, 2));
+  });
+  
+  document.getElementById('clear-history').addEventListener('click', async () => {
+    if (!confirm('Delete every recorded run?')) return;
+    
+    await clearHistory();
+    renderHistory([]);
+  });
+  
+  // Runs recorded while the page is open
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[HISTORY.STORAGE_KEY]) {
+      renderHistory(changes[HISTORY.STORAGE_KEY].newValue || []);
+    }
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Puzzle archive tests: checking imported puzzles and merging an export
+ * file into the stored archive
+ */
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtensionPage } = require('./helpers');
+
+const PUZZLE = {
+  id: '1042', date: '2026-10-17', rows: 3, cols: 3, waypoints: [0, 4, 8], walls: [[0, 1]],
+  solution: [0, 3, 6, 7, 4, 1, 2, 5, 8], savedAt: '2026-10-17T08:00:00.000Z'
+};
+const OTHER_PUZZLE = { ...PUZZLE, id: '1043', date: '2026-10-18', solution: null };
+
+let page = null;
+
+/**
+ * Builds an export file
+ * @param {Object[]} puzzles - Puzzles
+ * @returns {Object}
+ */
+function exportFile(puzzles) {
+  return { format: 'linkedin-zip-solver-archive', version: 1, exportedAt: '2026-10-18T08:00:00.000Z', puzzles };
+}
+
+/**
+ * Imports data in the page (a copy, so that arrays are the page's own)
+ * @param {*} data - Parsed file
+ * @returns {Promise<Object>} Copy of the result
+ */
+async function importInPage(data) {
+  page.window.testData = JSON.stringify(data);
+  const result = await page.run('importArchive(JSON.parse(testData))');
+  return JSON.parse(JSON.stringify(result));
+}
+
+/**
+ * Checks a puzzle in the page
+ * @param {*} puzzle - Imported puzzle
+ * @returns {string|null} What is wrong
+ */
+function checkInPage(puzzle) {
+  page.window.testData = JSON.stringify(puzzle);
+  return page.run('checkArchivedPuzzle(JSON.parse(testData))');
+}
+
+/**
+ * Returns the stored archive
+ * @returns {Object<string, Object>}
+ */
+function storedArchive() {
+  return page.chrome.storage.local.data.puzzleArchive || {};
+}
+
+beforeEach(async () => {
+  page = await loadExtensionPage('puzzles.html');
+});
+
+afterEach(() => {
+  page.close();
+});
+
+describe('checkArchivedPuzzle()', () => {
+  test('accepts a puzzle with or without a solution', () => {
+    assert.equal(checkInPage(PUZZLE), null);
+    assert.equal(checkInPage(OTHER_PUZZLE), null);
+    assert.equal(checkInPage({ ...PUZZLE, id: null }), null);
+  });
+  
+  test('names what is wrong with a malformed puzzle', () => {
+    assert.equal(checkInPage('1042'), 'not an object');
+    assert.equal(checkInPage({ ...PUZZLE, id: null, date: null }), 'needs an id or a date');
+    assert.equal(checkInPage({ ...PUZZLE, rows: 1 }), 'invalid grid size 1x3');
+    assert.equal(checkInPage({ ...PUZZLE, cols: 21 }), 'invalid grid size 3x21');
+    assert.equal(checkInPage({ ...PUZZLE, waypoints: [0] }), 'invalid waypoints');
+    assert.equal(checkInPage({ ...PUZZLE, waypoints: [0, 9] }), 'invalid waypoints');
+    assert.equal(checkInPage({ ...PUZZLE, walls: [[0, 1, 2]] }), 'invalid walls');
+    assert.equal(checkInPage({ ...PUZZLE, walls: null }), 'invalid walls');
+    assert.equal(checkInPage({ ...PUZZLE, solution: [0, 3, -1] }), 'invalid solution');
+    assert.equal(checkInPage({ ...PUZZLE, solution: '0 3 6' }), 'invalid solution');
+  });
+});
+
+describe('importArchive()', () => {
+  test('adds the puzzles of an export file', async () => {
+    const result = await importInPage(exportFile([PUZZLE, OTHER_PUZZLE]));
+    
+    assert.deepEqual(result, { added: 2, updated: 0, unchanged: 0, invalid: [] });
+    assert.deepEqual(Object.keys(storedArchive()).sort(), ['1042@2026-10-17', '1043@2026-10-18']);
+    assert.deepEqual(storedArchive()['1042@2026-10-17'], { key: '1042@2026-10-17', ...PUZZLE });
+  });
+  
+  test('skips malformed puzzles and reports them by position', async () => {
+    const result = await importInPage(exportFile([{ ...PUZZLE, rows: 0 }, OTHER_PUZZLE, null, { ...PUZZLE, walls: 'none' }]));
+    
+    assert.deepEqual(result, {
+      added: 1,
+      updated: 0,
+      unchanged: 0,
+      invalid: ['Puzzle 1: invalid grid size 0x3', 'Puzzle 3: not an object', 'Puzzle 4: invalid walls']
+    });
+    assert.deepEqual(Object.keys(storedArchive()), ['1043@2026-10-18']);
+  });
+  
+  test('merges duplicates: the same puzzle is unchanged, a changed one replaces the stored one', async () => {
+    await importInPage(exportFile([PUZZLE]));
+    
+    const changed = { ...PUZZLE, walls: [], savedAt: '2026-10-18T09:00:00.000Z' };
+    const result = await importInPage([{ ...PUZZLE, savedAt: '2026-10-18T09:00:00.000Z' }, changed, OTHER_PUZZLE, OTHER_PUZZLE]);
+    
+    assert.deepEqual(result, { added: 1, updated: 1, unchanged: 2, invalid: [] });
+    assert.equal(Object.keys(storedArchive()).length, 2);
+    assert.deepEqual(storedArchive()['1042@2026-10-17'].walls, []);
+    assert.equal(storedArchive()['1042@2026-10-17'].savedAt, '2026-10-18T09:00:00.000Z');
+  });
+  
+  test('rejects files that are not an archive export', async () => {
+    await assert.rejects(importInPage({ puzzles: 'none' }), /"puzzles" list is missing/);
+    await assert.rejects(importInPage({ format: 'other', puzzles: [] }), /unknown format "other"/);
+    await assert.rejects(importInPage({ ...exportFile([PUZZLE]), version: 2 }), /Archive version 2 is newer/);
+    assert.deepEqual(storedArchive(), {});
+  });
+});
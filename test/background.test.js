@@ -0,0 +1,637 @@
+/**
+ * Service worker tests against a mocked chrome.* API: redirect-then-solve,
+ * routing to the game adapters, content script injection, modes and the
+ * progress badge
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadBackground, callsOf, waitFor, delay } = require('./helpers');
+
+const ZIP_URL = 'https://www.linkedin.com/games/zip/';
+const QUEENS_URL = 'https://www.linkedin.com/games/queens/';
+const OTHER_URL = 'https://www.example.com/';
+
+/**
+ * Answers tab messages like a content script on a loaded Zip page
+ * @param {number} tabId - Tab ID
+ * @param {Object} message - Message
+ * @returns {Object} Response
+ */
+function readyContentScript(tabId, message) {
+  switch (message.action) {
+    case 'checkReady':
+      return { ready: true };
+    case 'solvePuzzle':
+      return { success: true, started: true };
+    default:
+      return { success: true };
+  }
+}
+
+/**
+ * Loads the service worker without waiting between steps
+ * @param {Object} chromeOptions - Options for createChromeMock
+ * @returns {Object} Service worker (see loadBackground)
+ */
+function loadFastBackground(chromeOptions) {
+  const background = loadBackground(chromeOptions);
+  background.run('CONFIG.SCRIPT_INJECTION_DELAY_MS = 0;');
+  return background;
+}
+
+/**
+ * Lists the actions sent to a tab, in order
+ * @param {Object} chrome - chrome mock
+ * @returns {string[]}
+ */
+function sentActions(chrome) {
+  return callsOf(chrome, 'tabs.sendMessage').map(([, message]) => message.action);
+}
+
+/**
+ * Returns the sender of a content script message
+ * @param {number} tabId - Tab ID
+ * @param {string} [url] - Page of the content script
+ * @returns {Object} chrome.runtime.MessageSender
+ */
+function contentSender(tabId, url = ZIP_URL) {
+  return { tab: { id: tabId, url }, url };
+}
+
+/**
+ * Reports a tab's board ready like its content script does
+ * @param {Object} chrome - chrome mock
+ * @param {number} tabId - Tab ID
+ * @param {string} [game] - Adapter ID
+ * @param {string} [puzzleId] - Puzzle on the board
+ */
+function reportBoardReady(chrome, tabId, game = 'zip', puzzleId = '1042') {
+  const url = game === 'queens' ? QUEENS_URL : ZIP_URL;
+  chrome.runtime.onMessage.dispatch({ action: 'boardReady', game, puzzleId }, contentSender(tabId, url), () => {});
+}
+
+/**
+ * Answers checkReady with "not ready" and everything else like a loaded page
+ * @param {number} tabId - Tab ID
+ * @param {Object} message - Message
+ * @returns {Object} Response
+ */
+function loadingContentScript(tabId, message) {
+  return message.action === 'checkReady' ? { ready: false } : readyContentScript(tabId, message);
+}
+
+describe('redirect-then-solve', () => {
+  test('opens the Zip page and solves once it has loaded', async () => {
+    const { chrome, run } = loadFastBackground({ onTabMessage: readyContentScript });
+    const tab = { id: 7, url: OTHER_URL };
+    
+    await run('handleActionClick')(tab, 'solve');
+    
+    assert.deepEqual(callsOf(chrome, 'tabs.update'), [[7, { url: ZIP_URL }]]);
+    assert.ok(callsOf(chrome, 'action.setBadgeText').some(([details]) => details.text === '⟳' && details.tabId === 7));
+    assert.deepEqual(sentActions(chrome), [], 'nothing is sent before the page has loaded');
+    
+    // The tab navigates to the Zip page
+    chrome.tabs.onUpdated.dispatch(7, { status: 'loading' }, { id: 7, url: ZIP_URL });
+    chrome.tabs.onUpdated.dispatch(7, { status: 'complete' }, { id: 7, url: ZIP_URL });
+    
+    await waitFor(() => sentActions(chrome).includes('solvePuzzle'));
+    assert.deepEqual(sentActions(chrome), ['checkReady', 'solvePuzzle']);
+  });
+  
+  test('runs the chosen mode after the redirect', async () => {
+    const { chrome, run } = loadFastBackground({ onTabMessage: readyContentScript });
+    
+    await run('handleActionClick')({ id: 7, url: OTHER_URL }, 'hint');
+    chrome.tabs.onUpdated.dispatch(7, { status: 'complete' }, { id: 7, url: ZIP_URL });
+    
+    await waitFor(() => sentActions(chrome).includes('showHint'));
+    assert.deepEqual(sentActions(chrome), ['checkReady', 'showHint']);
+  });
+  
+  test('ignores other tabs finishing loading', async () => {
+    const { chrome, run } = loadFastBackground({ onTabMessage: readyContentScript });
+    
+    await run('handleActionClick')({ id: 7, url: OTHER_URL }, 'solve');
+    chrome.tabs.onUpdated.dispatch(8, { status: 'complete' }, { id: 8, url: ZIP_URL });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    
+    assert.deepEqual(sentActions(chrome), []);
+  });
+  
+  test('does not solve when the redirect ends elsewhere', async () => {
+    const { chrome, run } = loadFastBackground({ onTabMessage: readyContentScript });
+    
+    await run('handleActionClick')({ id: 7, url: OTHER_URL }, 'solve');
+    chrome.tabs.onUpdated.dispatch(7, { status: 'complete' }, { id: 7, url: 'https://www.linkedin.com/login' });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    
+    assert.deepEqual(sentActions(chrome), []);
+  });
+});
+
+describe('solving on the Zip page', () => {
+  test('sends the mode straight away when the page is ready', async () => {
+    const { chrome, run } = loadFastBackground({ onTabMessage: readyContentScript });
+    
+    await run('handleActionClick')({ id: 3, url: ZIP_URL }, 'solve');
+    
+    assert.deepEqual(callsOf(chrome, 'tabs.update'), []);
+    assert.deepEqual(sentActions(chrome), ['checkReady', 'solvePuzzle']);
+  });
+  
+  test('injects the content scripts when they are not loaded', async () => {
+    let chrome = null;
+    const background = loadFastBackground({
+      onTabMessage: (tabId, message) => {
+        if (callsOf(chrome, 'scripting.executeScript').length === 0) {
+          throw new Error('Could not establish connection. Receiving end does not exist.');
+        }
+        return readyContentScript(tabId, message);
+      }
+    });
+    chrome = background.chrome;
+    
+    const solving = background.run('handleActionClick')({ id: 3, url: ZIP_URL }, 'solve');
+    await waitFor(() => callsOf(chrome, 'scripting.executeScript').length === 2);
+    
+    const manifest = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'manifest.json'), 'utf8'));
+    const [[interceptor], [injection]] = callsOf(chrome, 'scripting.executeScript');
+    assert.deepEqual(interceptor, { target: { tabId: 3 }, files: manifest.content_scripts[1].js, world: 'MAIN' });
+    assert.deepEqual(injection.target, { tabId: 3 });
+    assert.deepEqual(injection.files, manifest.content_scripts[0].js);
+    
+    // The injected scripts report the board
+    reportBoardReady(chrome, 3);
+    await solving;
+    assert.deepEqual(sentActions(chrome), ['checkReady', 'solvePuzzle']);
+  });
+  
+  test('waits for the board to be reported ready', async () => {
+    const { chrome, run } = loadFastBackground({
+      onTabMessage: loadingContentScript
+    });
+    
+    const solving = run('handleActionClick')({ id: 3, url: ZIP_URL }, 'solve');
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.deepEqual(sentActions(chrome), ['checkReady'], 'nothing is sent while the board loads');
+    
+    reportBoardReady(chrome, 4);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.deepEqual(sentActions(chrome), ['checkReady'], 'other tabs do not count');
+    
+    const startedAt = Date.now();
+    reportBoardReady(chrome, 3);
+    await solving;
+    assert.deepEqual(sentActions(chrome), ['checkReady', 'solvePuzzle']);
+    assert.ok(Date.now() - startedAt < 500, 'the mode is sent without waiting for the timeout');
+  });
+  
+  test('solves anyway when the board is not ready in time', async () => {
+    const { chrome, run } = loadFastBackground({
+      sync: { readyTimeoutMs: 1000 },
+      onTabMessage: loadingContentScript
+    });
+    
+    const startedAt = Date.now();
+    await run('handleActionClick')({ id: 3, url: ZIP_URL }, 'solve');
+    
+    assert.deepEqual(sentActions(chrome), ['checkReady', 'solvePuzzle']);
+    assert.ok(Date.now() - startedAt >= 1000);
+  });
+  
+  test('forgets the board when the tab reloads', async () => {
+    const { chrome, run } = loadFastBackground({ onTabMessage: readyContentScript });
+    
+    reportBoardReady(chrome, 3);
+    assert.equal(await run('waitForBoardReady')(3, 1000), true);
+    
+    chrome.tabs.onUpdated.dispatch(3, { status: 'loading' }, { id: 3, url: ZIP_URL });
+    assert.equal(await run('waitForBoardReady')(3, 50), false);
+  });
+  
+  test('shows an error badge when the content script never answers', async () => {
+    const { chrome, run } = loadFastBackground({});
+    
+    await run('handleActionClick')({ id: 3, url: ZIP_URL }, 'solve');
+    
+    await waitFor(() => callsOf(chrome, 'action.setBadgeText').some(([details]) => details.text === '✗'));
+  });
+  test('does not inject the content scripts when the message fails otherwise', async () => {
+    const { chrome, run } = loadFastBackground({
+      onTabMessage: () => {
+        throw new Error('No tab with id: 3.');
+      }
+    });
+    
+    await assert.rejects(run('sendMessageWithInjection')(3, { action: 'checkReady' }), /No tab with id: 3/);
+    assert.deepEqual(callsOf(chrome, 'scripting.executeScript'), []);
+  });
+});
+
+describe('keyboard shortcuts', () => {
+  const manifest = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'manifest.json'), 'utf8'));
+  
+  test('have a message for every command in the manifest', () => {
+    const { run } = loadFastBackground({});
+    assert.deepEqual(Object.keys(run('KEYBOARD_COMMANDS')).sort(), Object.keys(manifest.commands).sort());
+  });
+  
+  test('send their message to the game of the active tab', async () => {
+    const { chrome, run } = loadFastBackground({
+      sync: { previewMode: 'animate' },
+      tabs: [{ id: 3, url: ZIP_URL }],
+      onTabMessage: readyContentScript
+    });
+    
+    for (const command of Object.keys(manifest.commands)) {
+      await run('handleCommand')(command);
+    }
+    
+    assert.deepEqual(callsOf(chrome, 'tabs.query')[0], [{ active: true, currentWindow: true }]);
+    assert.deepEqual(callsOf(chrome, 'tabs.sendMessage'), [
+      [3, { action: 'solvePuzzle', game: 'zip' }],
+      [3, { action: 'showHint', game: 'zip' }],
+      [3, { action: 'togglePreview', mode: 'animate', game: 'zip' }],
+      [3, { action: 'stopSolve', game: 'zip' }]
+    ]);
+  });
+  
+  test('use the tab they were pressed in', async () => {
+    const { chrome, run } = loadFastBackground({ onTabMessage: readyContentScript });
+    
+    await run('handleCommand')('show-hint', { id: 5, url: QUEENS_URL });
+    
+    assert.deepEqual(callsOf(chrome, 'tabs.query'), []);
+    assert.deepEqual(callsOf(chrome, 'tabs.sendMessage'), [[5, { action: 'showHint', game: 'queens' }]]);
+  });
+  
+  test('ignore unknown commands and pages that are not games', async () => {
+    const { chrome, run } = loadFastBackground({ tabs: [{ id: 7, url: OTHER_URL }], onTabMessage: readyContentScript });
+    
+    await run('handleCommand')('open-everything', { id: 3, url: ZIP_URL });
+    await run('handleCommand')('solve-puzzle');
+    await run('handleCommand')('solve-puzzle', { id: 8, url: OTHER_URL });
+    
+    assert.deepEqual(sentActions(chrome), []);
+  });
+});
+
+describe('game routing', () => {
+  test('sends the mode to the game of the tab', async () => {
+    const { chrome, run } = loadFastBackground({ onTabMessage: readyContentScript });
+    
+    await run('handleActionClick')({ id: 4, url: `${QUEENS_URL}?trk=games` }, 'hint');
+    
+    assert.deepEqual(callsOf(chrome, 'tabs.update'), []);
+    assert.deepEqual(callsOf(chrome, 'tabs.sendMessage').map(([, message]) => message), [
+      { action: 'checkReady', game: 'queens' },
+      { action: 'showHint', game: 'queens' }
+    ]);
+  });
+  
+  test('names the game in redirected messages', async () => {
+    const { chrome, run } = loadFastBackground({ onTabMessage: readyContentScript });
+    
+    await run('handleActionClick')({ id: 7, url: OTHER_URL }, 'solve');
+    chrome.tabs.onUpdated.dispatch(7, { status: 'complete' }, { id: 7, url: ZIP_URL });
+    
+    await waitFor(() => sentActions(chrome).includes('solvePuzzle'));
+    assert.deepEqual(callsOf(chrome, 'tabs.sendMessage').at(-1)[1], { action: 'solvePuzzle', game: 'zip' });
+  });
+  
+  test('sends context menu actions to the game of the tab', async () => {
+    const { chrome } = loadFastBackground({ onTabMessage: readyContentScript });
+    
+    chrome.contextMenus.onClicked.dispatch({ menuItemId: 'zip-solver-show-hint' }, { id: 4, url: QUEENS_URL });
+    
+    await waitFor(() => sentActions(chrome).includes('showHint'));
+    assert.deepEqual(callsOf(chrome, 'tabs.sendMessage')[0][1], { action: 'showHint', game: 'queens' });
+  });
+  
+  test('matches every game page with the content scripts', () => {
+    const { run } = loadFastBackground({});
+    const manifest = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'manifest.json'), 'utf8'));
+    const matches = manifest.content_scripts[0].matches.map(pattern => pattern.replace('*', ''));
+    
+    run('Object.values(GAME_ADAPTERS).map(adapter => adapter.url)').forEach(url => {
+      assert.ok(matches.some(match => url.startsWith(match)), `${url} is not in the manifest`);
+      assert.equal(run(`findGameAdapter(${JSON.stringify(url)}).url`), url);
+    });
+  });
+});
+
+describe('LinkedIn route changes', () => {
+  test('watches a game view opened without a reload', async () => {
+    const { chrome } = loadFastBackground({ onTabMessage: readyContentScript });
+    
+    chrome.webNavigation.onHistoryStateUpdated.dispatch({ tabId: 5, frameId: 0, url: QUEENS_URL });
+    
+    await waitFor(() => sentActions(chrome).length > 0);
+    assert.deepEqual(callsOf(chrome, 'tabs.sendMessage'), [[5, { action: 'pageChanged', game: 'queens' }]]);
+  });
+  
+  test('injects the content scripts into a view opened from elsewhere on LinkedIn', async () => {
+    let chrome = null;
+    const background = loadFastBackground({
+      onTabMessage: (tabId, message) => {
+        if (callsOf(chrome, 'scripting.executeScript').length === 0) {
+          throw new Error('Could not establish connection. Receiving end does not exist.');
+        }
+        return readyContentScript(tabId, message);
+      }
+    });
+    chrome = background.chrome;
+    
+    chrome.webNavigation.onHistoryStateUpdated.dispatch({ tabId: 5, frameId: 0, url: ZIP_URL });
+    
+    await waitFor(() => sentActions(chrome).length === 2);
+    assert.equal(callsOf(chrome, 'scripting.executeScript').length, 2);
+  });
+  
+  test('runs a pending redirect once LinkedIn has opened the game view', async () => {
+    const { chrome, run } = loadFastBackground({ onTabMessage: readyContentScript });
+    
+    await run('handleActionClick')({ id: 7, url: 'https://www.linkedin.com/feed/' }, 'solve');
+    chrome.webNavigation.onHistoryStateUpdated.dispatch({ tabId: 7, frameId: 0, url: ZIP_URL });
+    
+    await waitFor(() => sentActions(chrome).includes('solvePuzzle'));
+    assert.deepEqual(sentActions(chrome), ['pageChanged', 'checkReady', 'solvePuzzle']);
+  });
+  
+  test('ignores frames and pages that are not games', async () => {
+    const { chrome } = loadFastBackground({ onTabMessage: readyContentScript });
+    
+    chrome.webNavigation.onHistoryStateUpdated.dispatch({ tabId: 5, frameId: 2, url: ZIP_URL });
+    chrome.webNavigation.onHistoryStateUpdated.dispatch({ tabId: 5, frameId: 0, url: 'https://www.linkedin.com/feed/' });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    
+    assert.deepEqual(sentActions(chrome), []);
+  });
+  
+  test('forgets the board of the previous view', async () => {
+    const { chrome, run } = loadFastBackground({ onTabMessage: readyContentScript });
+    reportBoardReady(chrome, 5);
+    
+    chrome.webNavigation.onHistoryStateUpdated.dispatch({ tabId: 5, frameId: 0, url: QUEENS_URL });
+    
+    assert.equal(await run('waitForBoardReady')(5, 50), false);
+  });
+});
+
+describe('automatic runs', () => {
+  test('run the chosen mode once per new puzzle', async () => {
+    const { chrome } = loadFastBackground({ sync: { autoRun: 'hint' }, onTabMessage: readyContentScript });
+    
+    reportBoardReady(chrome, 3, 'zip', '1042');
+    await waitFor(() => sentActions(chrome).includes('showHint'));
+    assert.deepEqual(callsOf(chrome, 'tabs.sendMessage'), [[3, { action: 'showHint', game: 'zip' }]]);
+    
+    // The same puzzle again (e.g. after a reload), then the next one
+    reportBoardReady(chrome, 3, 'zip', '1042');
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(sentActions(chrome).length, 1);
+    
+    reportBoardReady(chrome, 3, 'zip', '1043');
+    await waitFor(() => sentActions(chrome).length === 2);
+  });
+  
+  test('remember the puzzle across reloads and service worker restarts', async () => {
+    const first = loadFastBackground({ sync: { autoRun: 'hint' }, onTabMessage: readyContentScript });
+    reportBoardReady(first.chrome, 3, 'zip', '1042');
+    await waitFor(() => sentActions(first.chrome).includes('showHint'));
+    
+    // The reload leaves the tab idle, the new service worker starts from session storage
+    first.chrome.tabs.onUpdated.dispatch(3, { status: 'loading' }, { id: 3, url: ZIP_URL });
+    await waitFor(() => first.chrome.storage.session.data.tabRuns[3].state === 'idle');
+    const { chrome } = loadFastBackground({
+      sync: { autoRun: 'hint' },
+      session: first.chrome.storage.session.data,
+      tabs: [{ id: 3, url: ZIP_URL }],
+      onTabMessage: readyContentScript
+    });
+    
+    reportBoardReady(chrome, 3, 'zip', '1042');
+    await delay(50);
+    assert.deepEqual(sentActions(chrome), []);
+    
+    reportBoardReady(chrome, 3, 'zip', '1043');
+    await waitFor(() => sentActions(chrome).includes('showHint'));
+    
+    // Closing the tab drops the puzzle with the run
+    chrome.tabs.onRemoved.dispatch(3);
+    await waitFor(() => chrome.storage.session.data.tabRuns[3] === undefined);
+  });
+  
+  test('are off by default', async () => {
+    const { chrome } = loadFastBackground({ onTabMessage: readyContentScript });
+    
+    reportBoardReady(chrome, 3);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    
+    assert.deepEqual(sentActions(chrome), []);
+  });
+  
+  test('leave the board to a run that is waiting for it', async () => {
+    const { chrome, run } = loadFastBackground({ sync: { autoRun: 'solve' }, onTabMessage: loadingContentScript });
+    
+    const solving = run('handleActionClick')({ id: 3, url: ZIP_URL }, 'solve');
+    await waitFor(() => sentActions(chrome).includes('checkReady'));
+    reportBoardReady(chrome, 3);
+    await solving;
+    await new Promise(resolve => setTimeout(resolve, 50));
+    
+    assert.deepEqual(sentActions(chrome), ['checkReady', 'solvePuzzle']);
+  });
+});
+
+describe('run state', () => {
+  /**
+   * Returns the state of a tab's run
+   * @param {Object} chrome - chrome mock
+   * @param {number} tabId - Tab ID
+   * @returns {string}
+   */
+  const runState = (chrome, tabId) => {
+    const runs = chrome.storage.session.data.tabRuns || {};
+    return runs[tabId] ? runs[tabId].state : 'idle';
+  };
+  
+  test('goes from navigating through waiting-ready and solving to done', async () => {
+    const { chrome, run } = loadFastBackground({ onTabMessage: readyContentScript });
+    
+    await run('handleActionClick')({ id: 7, url: OTHER_URL }, 'hint');
+    assert.equal(runState(chrome, 7), 'navigating');
+    
+    chrome.tabs.onUpdated.dispatch(7, { status: 'complete' }, { id: 7, url: ZIP_URL });
+    await waitFor(() => runState(chrome, 7) === 'done');
+    
+    const badges = callsOf(chrome, 'action.setBadgeText').map(([details]) => details.text);
+    assert.deepEqual(badges, ['⟳', '…', '▶', '✓']);
+  });
+  
+  test('keeps a redirect when the service worker restarts', async () => {
+    const first = loadFastBackground({});
+    await first.run('handleActionClick')({ id: 7, url: OTHER_URL }, 'solve');
+    
+    const { chrome } = loadFastBackground({
+      session: first.chrome.storage.session.data,
+      tabs: [{ id: 7, url: OTHER_URL }],
+      onTabMessage: readyContentScript
+    });
+    chrome.tabs.onUpdated.dispatch(7, { status: 'complete' }, { id: 7, url: ZIP_URL });
+    
+    await waitFor(() => sentActions(chrome).includes('solvePuzzle'));
+    assert.equal(runState(chrome, 7), 'solving');
+  });
+  
+  test('resumes a run that was waiting for its board', async () => {
+    const waiting = { state: 'waiting-ready', message: { action: 'solvePuzzle', game: 'zip' }, deadline: Date.now() + 5000 };
+    const { chrome } = loadFastBackground({
+      session: { tabRuns: { 3: waiting } },
+      tabs: [{ id: 3, url: ZIP_URL }],
+      onTabMessage: loadingContentScript
+    });
+    
+    await waitFor(() => sentActions(chrome).includes('checkReady'));
+    reportBoardReady(chrome, 3);
+    
+    await waitFor(() => sentActions(chrome).includes('solvePuzzle'));
+    assert.deepEqual(sentActions(chrome), ['checkReady', 'solvePuzzle']);
+  });
+  
+  test('drops the runs of tabs closed while the service worker was stopped', async () => {
+    const waiting = { state: 'waiting-ready', message: { action: 'solvePuzzle', game: 'zip' }, deadline: Date.now() + 5000 };
+    const { chrome } = loadFastBackground({ session: { tabRuns: { 3: waiting } } });
+    
+    await waitFor(() => runState(chrome, 3) === 'idle');
+    assert.deepEqual(sentActions(chrome), []);
+  });
+  
+  test('tracks two tabs at once', async () => {
+    const { chrome, run } = loadFastBackground({ onTabMessage: readyContentScript });
+    
+    await run('handleActionClick')({ id: 7, url: OTHER_URL }, 'solve');
+    await run('handleActionClick')({ id: 8, url: OTHER_URL }, 'hint');
+    chrome.tabs.onUpdated.dispatch(8, { status: 'complete' }, { id: 8, url: ZIP_URL });
+    chrome.tabs.onUpdated.dispatch(7, { status: 'complete' }, { id: 7, url: ZIP_URL });
+    
+    await waitFor(() => runState(chrome, 7) === 'solving' && runState(chrome, 8) === 'done');
+    const sentTo = tabId => callsOf(chrome, 'tabs.sendMessage').filter(([id]) => id === tabId).map(([, message]) => message.action);
+    assert.deepEqual(sentTo(7), ['checkReady', 'solvePuzzle']);
+    assert.deepEqual(sentTo(8), ['checkReady', 'showHint']);
+  });
+  
+  test('refuses a second run while the first waits for the board', async () => {
+    const { chrome, run } = loadFastBackground({ onTabMessage: loadingContentScript });
+    
+    const solving = run('handleActionClick')({ id: 3, url: ZIP_URL }, 'solve');
+    await waitFor(() => runState(chrome, 3) === 'waiting-ready');
+    await run('handleActionClick')({ id: 3, url: ZIP_URL }, 'hint');
+    
+    reportBoardReady(chrome, 3);
+    await solving;
+    assert.deepEqual(sentActions(chrome), ['checkReady', 'solvePuzzle']);
+  });
+  
+  test('ends with the solve progress', async () => {
+    const { chrome, run } = loadFastBackground({ onTabMessage: readyContentScript });
+    await run('handleActionClick')({ id: 3, url: ZIP_URL }, 'solve');
+    
+    chrome.runtime.onMessage.dispatch({ action: 'solveProgress', state: 'error', step: 2, total: 9, error: 'Move 3 was not accepted' }, contentSender(3), () => {});
+    
+    await waitFor(() => runState(chrome, 3) === 'failed');
+    assert.equal(chrome.storage.session.data.tabRuns[3].error, 'Move 3 was not accepted');
+  });
+});
+
+describe('progress badge', () => {
+  test('shows the percentage of a running solve', async () => {
+    const { chrome } = loadFastBackground({});
+    
+    chrome.runtime.onMessage.dispatch(
+      { action: 'solveProgress', state: 'running', step: 3, total: 9 },
+      contentSender(5),
+      () => {}
+    );
+    
+    await waitFor(() => callsOf(chrome, 'action.setBadgeText').length > 0);
+    assert.deepEqual(callsOf(chrome, 'action.setBadgeText')[0], [{ text: '33%', tabId: 5 }]);
+  });
+  
+  test('shows a paused solve until it resumes', async () => {
+    const { chrome } = loadFastBackground({});
+    const report = state => chrome.runtime.onMessage.dispatch({ action: 'solveProgress', state, step: 3, total: 9 }, contentSender(5), () => {});
+    
+    report('paused');
+    await waitFor(() => callsOf(chrome, 'action.setBadgeText').length === 1);
+    report('running');
+    await waitFor(() => callsOf(chrome, 'action.setBadgeText').length === 2);
+    
+    assert.deepEqual(callsOf(chrome, 'action.setBadgeText').map(([details]) => details.text), ['❚❚', '33%']);
+  });
+  
+  test('ignores the content script of the playground', async () => {
+    const { chrome } = loadFastBackground({});
+    const playground = contentSender(5, 'chrome-extension://abcdefgh/playground.html');
+    
+    chrome.runtime.onMessage.dispatch({ action: 'solveProgress', state: 'running', step: 3, total: 9 }, playground, () => {});
+    chrome.runtime.onMessage.dispatch({ action: 'boardReady', game: 'zip', puzzleId: 'playground' }, playground, () => {});
+    await delay(50);
+    
+    assert.deepEqual(callsOf(chrome, 'action.setBadgeText'), []);
+    assert.equal((chrome.storage.session.data.tabRuns || {})[5], undefined);
+  });
+  
+  test('reports the running solve to the popup', async () => {
+    const { chrome } = loadFastBackground({ tabs: [{ id: 5, url: ZIP_URL }] });
+    const progress = { action: 'solveProgress', state: 'paused', step: 4, total: 9 };
+    
+    chrome.runtime.onMessage.dispatch(progress, contentSender(5), () => {});
+    const response = await new Promise((resolve) => {
+      chrome.runtime.onMessage.dispatch({ action: 'getSolveState' }, {}, resolve);
+    });
+    
+    assert.equal(response.success, true);
+    assert.deepEqual(response.progress, progress);
+  });
+});
+
+describe('diagnostic log', () => {
+  test('keeps the service worker entries in session storage', async () => {
+    const { chrome, run } = loadFastBackground({});
+    
+    run('logger.info("🎯 Run requested", { tabId: 5 }); logger.debug("hidden at the info level");');
+    
+    await waitFor(() => (chrome.storage.session.data.diagnosticLogs || []).length === 2);
+    const [started, entry] = chrome.storage.session.data.diagnosticLogs;
+    assert.match(started.message, /service worker started/);
+    assert.equal(entry.level, 'info');
+    assert.equal(entry.context, 'background');
+    assert.equal(entry.message, '🎯 Run requested {"tabId":5}');
+  });
+  
+  test('stores the entries sent by content scripts with their tab', async () => {
+    const { chrome } = loadFastBackground({});
+    const entries = [{ time: '2026-10-18T10:00:00.000Z', level: 'warn', context: 'content', message: '⚠️ Move 3 was not accepted' }];
+    
+    chrome.runtime.onMessage.dispatch({ action: 'logEntries', entries }, { tab: { id: 7 } }, () => {});
+    
+    await waitFor(() => (chrome.storage.session.data.diagnosticLogs || []).some(entry => entry.context === 'content'));
+    assert.deepEqual(chrome.storage.session.data.diagnosticLogs.at(-1), { ...entries[0], tabId: 7 });
+  });
+  
+  test('drops the oldest entries beyond the ring buffer size', async () => {
+    const { chrome, run } = loadFastBackground({});
+    
+    run('for (let index = 0; index < LOGGER.MAX_ENTRIES + 5; index++) logger.warn(`entry ${index}`);');
+    await run('storeLogEntries([])'); // Queued after the others
+    
+    const entries = chrome.storage.session.data.diagnosticLogs;
+    assert.equal(entries.length, 500);
+    assert.equal(entries.at(-1).message, 'entry 504');
+  });
+});
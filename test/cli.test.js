@@ -0,0 +1,168 @@
+/**
+ * Command line tests: reading pages, game data and archives, the printed
+ * report and the exit codes
+ */
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readFixture } = require('./helpers');
+const { readPuzzles, main } = require('../bin/zip-solver.js');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const SOLVABLE = { id: '7', date: '2026-10-01', rows: 3, cols: 3, waypoints: [0, 4, 8], walls: [[0, 1]] };
+const UNSOLVABLE = { id: '8', date: '2026-10-02', rows: 4, cols: 4, waypoints: [0, 15], walls: [] };
+
+let tempDir = null;
+
+/**
+ * Writes a file to the temporary directory
+ * @param {string} name - File name
+ * @param {string|Object} content - Text, or a value written as JSON
+ * @returns {string} File path
+ */
+function writeTempFile(name, content) {
+  const file = path.join(tempDir, name);
+  fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+  return file;
+}
+
+/**
+ * Runs the command with its output captured
+ * @param {...string} args - Command line arguments
+ * @returns {{code: number, stdout: string, stderr: string}}
+ */
+function runCli(...args) {
+  const result = { code: null, stdout: '', stderr: '' };
+  result.code = main(args, {
+    stdout: text => { result.stdout += text; },
+    stderr: text => { result.stderr += text; }
+  });
+  return result;
+}
+
+before(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zip-solver-'));
+});
+
+after(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+describe('main()', () => {
+  test('exits with 0 and prints the puzzle, the solution and the validation', () => {
+    const { code, stdout, stderr } = runCli(path.join(FIXTURES, 'plain-quotes.html'));
+    
+    assert.equal(code, 0);
+    assert.equal(stderr, '');
+    assert.equal(stdout, [
+      '🧩 Puzzle 1042 - 2026-10-17',
+      '   3x3, 3 numbers, 1 walls',
+      '+---+---+---+',
+      '| 1 | .   . |',
+      '+   +   +   +',
+      '| .   2   . |',
+      '+   +   +   +',
+      '| .   .   3 |',
+      '+---+---+---+',
+      '',
+      'Embedded solution: valid',
+      'Solution (embedded): 0 3 6 7 4 1 2 5 8',
+      '+-----+-----+-----+',
+      '| [1] |  6     7  |',
+      '+     +     +     +',
+      '|  2    [5]    8  |',
+      '+     +     +     +',
+      '|  3     4    [9] |',
+      '+-----+-----+-----+',
+      '',
+      '✅ Solution is valid',
+      ''
+    ].join('\n'));
+  });
+  
+  test('solves every fixture page with game data', () => {
+    for (const fixture of ['escaped-quotes.html', 'missing-solution.html']) {
+      const { code, stdout } = runCli(path.join(FIXTURES, fixture));
+      assert.equal(code, 0, fixture);
+      assert.match(stdout, /✅ Solution is valid/);
+    }
+    
+    assert.match(runCli(path.join(FIXTURES, 'missing-solution.html')).stdout,
+      /Embedded solution: none\nSolution \(built-in solver\): 0 3 6 7 4 1 2 5 8/);
+  });
+  
+  test('prints the reports as JSON', () => {
+    const { code, stdout } = runCli('--json', path.join(FIXTURES, 'plain-quotes.html'));
+    const [report] = JSON.parse(stdout);
+    
+    assert.equal(code, 0);
+    assert.equal(report.source, 'embedded');
+    assert.deepEqual(report.solution, [0, 3, 6, 7, 4, 1, 2, 5, 8]);
+    assert.deepEqual(report.validation, { valid: true, step: null, rule: null, message: 'Solution is valid' });
+    assert.equal(report.error, null);
+  });
+  
+  test('exits with 1 when a puzzle has no valid solution', () => {
+    const { code, stdout } = runCli(writeTempFile('archive.json', { puzzles: [SOLVABLE, UNSOLVABLE] }));
+    
+    assert.equal(code, 1);
+    assert.match(stdout, /🧩 Puzzle 7 - 2026-10-01[\s\S]*✅ Solution is valid/);
+    assert.match(stdout, /🧩 Puzzle 8 - 2026-10-02[\s\S]*❌ No solution: No valid path exists/);
+  });
+  
+  test('exits with 2 on malformed input', () => {
+    const malformed = runCli(path.join(FIXTURES, 'malformed-json.html'));
+    assert.equal(malformed.code, 2);
+    assert.equal(malformed.stdout, '');
+    assert.match(malformed.stderr, /^❌ .*malformed-json\.html: Game data around "trailPuzzle" is not valid JSON/);
+    
+    const notJson = runCli(writeTempFile('broken.json', '{"rows": 3,'));
+    assert.equal(notJson.code, 2);
+    assert.match(notJson.stderr, /Not valid JSON/);
+    
+    const missing = runCli(path.join(tempDir, 'nowhere.json'));
+    assert.equal(missing.code, 2);
+    assert.match(missing.stderr, /nowhere\.json: file not found/);
+  });
+  
+  test('prints the usage', () => {
+    const help = runCli('--help');
+    assert.equal(help.code, 0);
+    assert.match(help.stdout, /^Usage: zip-solver <file> \[--json\]/);
+    
+    for (const args of [[], ['a.json', 'b.json'], ['--verbose']]) {
+      const { code, stdout, stderr } = runCli(...args);
+      assert.equal(code, 2, args.join(' '));
+      assert.equal(stdout, '');
+      assert.match(stderr, /^Usage: zip-solver/);
+    }
+  });
+});
+
+describe('readPuzzles()', () => {
+  test('reads a saved page whose game data is HTML-encoded', () => {
+    const gameData = readFixture('plain-quotes.html').match(/id="rehydrate-data">([\s\S]*?)<\/script>/)[1];
+    const page = `<html><body><code id="rehydrate-data">${gameData.replace(/"/g, '&quot;')}</code></body></html>`;
+    
+    const [puzzle] = readPuzzles(page, 'zip.html');
+    assert.equal(puzzle.id, '1042');
+    assert.deepEqual(puzzle.waypoints, [0, 4, 8]);
+  });
+  
+  test('reads game data, an archived puzzle and an archive', () => {
+    const gameData = readFixture('plain-quotes.html').match(/id="rehydrate-data">([\s\S]*?)<\/script>/)[1];
+    
+    assert.equal(readPuzzles(gameData, 'game.json')[0].date, '2026-10-17');
+    assert.deepEqual(readPuzzles(JSON.stringify(SOLVABLE), 'puzzle.json'), [{ ...SOLVABLE, solution: null }]);
+    assert.equal(readPuzzles(JSON.stringify([SOLVABLE, UNSOLVABLE]), 'list.json').length, 2);
+  });
+  
+  test('rejects pages without game data, empty archives and invalid puzzles', () => {
+    assert.throws(() => readPuzzles('<html><body></body></html>', 'page.html'), /no #rehydrate-data element/);
+    assert.throws(() => readPuzzles('{"puzzles": []}', 'archive.json'), /The archive has no puzzles/);
+    assert.throws(() => readPuzzles(JSON.stringify([SOLVABLE, { rows: 3 }]), 'list.json'), /Puzzle 2 has no valid grid size/);
+  });
+});
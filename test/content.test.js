@@ -0,0 +1,1115 @@
+/**
+ * Content script tests: game data extraction, moves on a fake board,
+ * notifications and the message handlers
+ */
+
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { readFixture, loadContentPage, makeBoardPlayable, notificationsOf, callsOf, delay, waitFor } = require('./helpers');
+
+const SOLUTION = [0, 3, 6, 7, 4, 1, 2, 5, 8];
+
+let page = null;
+
+/**
+ * Opens a fixture page with the content scripts
+ * @param {string} fixture - Fixture file name
+ * @returns {Promise<Object>} Page (see loadContentPage)
+ */
+async function openFixture(fixture) {
+  page = await loadContentPage(readFixture(fixture));
+  return page;
+}
+
+/**
+ * Sends a message to the content script like the service worker does
+ * @param {Object} message - Message
+ * @returns {Promise<{handled: boolean, response: Object}>} Whether the
+ *   listener kept the channel open, and its response
+ */
+function sendToContent(message) {
+  return new Promise((resolve) => {
+    const [handled] = page.chrome.runtime.onMessage.dispatch(message, {}, response => resolve({ handled, response }));
+    if (!handled) resolve({ handled, response: undefined });
+  });
+}
+
+/**
+ * Returns the drawn cells of the fake board
+ * @returns {number[]}
+ */
+function drawnCells() {
+  return Array.from(page.document.querySelectorAll('.cell--filled'), cell => Number(cell.dataset.cellIdx));
+}
+
+afterEach(() => {
+  if (page) {
+    page.close();
+    page = null;
+  }
+});
+
+describe('readZipPuzzle()', () => {
+  /**
+   * Reads the puzzle of the open page
+   * @returns {Object} Copy of the puzzle
+   */
+  const readPuzzle = () => JSON.parse(JSON.stringify(page.run('readZipPuzzle()')));
+  
+  test('reads plain JSON game data', async () => {
+    await openFixture('plain-quotes.html');
+    assert.deepEqual(readPuzzle(), {
+      id: '1042',
+      date: '2026-10-17',
+      rows: 3,
+      cols: 3,
+      waypoints: [0, 4, 8],
+      walls: [[0, 1]],
+      solution: SOLUTION,
+      source: 'rehydrate-data'
+    });
+  });
+  
+  test('reads game data with escaped quotes', async () => {
+    await openFixture('escaped-quotes.html');
+    const puzzle = readPuzzle();
+    assert.deepEqual(puzzle.waypoints, [0, 4, 8]);
+    assert.deepEqual(puzzle.solution, SOLUTION);
+  });
+  
+  test('reads game data without a solution', async () => {
+    await openFixture('missing-solution.html');
+    const puzzle = readPuzzle();
+    assert.deepEqual(puzzle.waypoints, [0, 4, 8]);
+    assert.equal(puzzle.solution, null);
+  });
+  
+  test('rejects malformed game data', async () => {
+    await openFixture('malformed-json.html');
+    assert.throws(() => page.run('readZipPuzzle()'), /rehydrate-data: Game data around "trailPuzzle" is not valid JSON/);
+  });
+  
+  test('rejects a page without game data, listing every source', async () => {
+    page = await loadContentPage('<body><div data-cell-idx="0"></div></body>');
+    assert.throws(() => page.run('readZipPuzzle()'), /^Error: No valid game data\. rehydrate-data: Game data not found.*; client-state: .*; network: No game data intercepted/);
+  });
+});
+
+describe('game data sources', () => {
+  const API_URL = 'https://www.linkedin.com/voyager/api/graphql?queryId=voyagerIdentityDashGames';
+  const GAME_DATA = readFixture('plain-quotes.html').match(/id="rehydrate-data">([\s\S]*?)<\/script>/)[1];
+  
+  /**
+   * Returns the plain-quotes board without its rehydrate data
+   * @param {string} [extra] - HTML added after the board
+   * @returns {string}
+   */
+  const boardWithoutGameData = (extra = '') => readFixture('plain-quotes.html')
+    .replace(/<script type="application\/json" id="rehydrate-data">[\s\S]*?<\/script>/, extra);
+  
+  /**
+   * Runs interceptor.js in the page (it runs in the main world on LinkedIn)
+   * with a fetch() that answers every request with the game data
+   * @returns {string[]} URLs of the payloads it reports, filled as they come
+   */
+  const installInterceptor = () => {
+    const reported = [];
+    page.document.addEventListener('zip-solver:network-payload', event => reported.push(JSON.parse(event.detail).url));
+    
+    page.window.fetch = async url => ({ url, clone: () => ({ text: async () => GAME_DATA }) });
+    page.run(fs.readFileSync(path.join(__dirname, '..', 'interceptor.js'), 'utf8'));
+    return reported;
+  };
+  
+  test('prefers the rehydrate data', async () => {
+    await openFixture('plain-quotes.html');
+    assert.equal(page.run('readZipPuzzle()').source, 'rehydrate-data');
+  });
+  
+  test('reads the in-page client state', async () => {
+    const escaped = GAME_DATA.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+    page = await loadContentPage(boardWithoutGameData(`<code id="bpr-guid-42" style="display: none">${escaped}</code>`));
+    
+    const puzzle = page.run('readZipPuzzle()');
+    assert.equal(puzzle.source, 'client-state');
+    assert.deepEqual(Array.from(puzzle.solution), SOLUTION);
+  });
+  
+  test('reads the game data of an intercepted API response', async () => {
+    page = await loadContentPage(boardWithoutGameData());
+    const reported = installInterceptor();
+    
+    await page.run(`fetch(${JSON.stringify(API_URL)})`);
+    await waitFor(() => reported.length === 1);
+    
+    const puzzle = page.run('readZipPuzzle()');
+    assert.equal(puzzle.source, 'network');
+    assert.deepEqual(Array.from(puzzle.solution), SOLUTION);
+    
+    // The board was waiting for its data
+    const readyMessages = () => callsOf(page.chrome, 'runtime.sendMessage').filter(([message]) => message.action === 'boardReady');
+    await waitFor(() => readyMessages().length === 1);
+  });
+  
+  test('ignores responses from other requests', async () => {
+    page = await loadContentPage(boardWithoutGameData());
+    const reported = installInterceptor();
+    
+    await page.run('fetch("https://www.linkedin.com/feed/")');
+    await delay(50);
+    
+    assert.deepEqual(reported, []);
+    assert.throws(() => page.run('readZipPuzzle()'), /network: No game data intercepted/);
+  });
+  
+  test('ignores responses once the page has left the games', async () => {
+    page = await loadContentPage(boardWithoutGameData());
+    const reported = installInterceptor();
+    
+    // LinkedIn routes to its other pages without a reload
+    page.window.history.pushState({}, '', '/feed/');
+    await page.run(`fetch(${JSON.stringify(API_URL)})`);
+    await delay(50);
+    
+    assert.deepEqual(reported, []);
+  });
+  
+  test('replays the responses seen before the content script was loaded', async () => {
+    page = await loadContentPage(boardWithoutGameData());
+    const reported = installInterceptor();
+    await page.run(`fetch(${JSON.stringify(API_URL)})`);
+    await waitFor(() => reported.length === 1);
+    
+    // What a content script does when it loads
+    page.document.dispatchEvent(new page.window.CustomEvent('zip-solver:replay-payloads'));
+    
+    assert.deepEqual(reported, [API_URL, API_URL]);
+  });
+  
+  test('lists why every source failed', async () => {
+    page = await loadContentPage(boardWithoutGameData());
+    assert.throws(() => page.run('readZipPuzzle()'), /rehydrate-data: Game data not found.*; client-state: .*; network: No game data intercepted/);
+  });
+});
+
+describe('scrapeBoardPuzzle()', () => {
+  /**
+   * Runs code in the page and copies its result out of the page's realm
+   * @param {string} code - Expression
+   * @returns {*}
+   */
+  const runCopied = code => JSON.parse(JSON.stringify(page.run(code)));
+  
+  test('reads the numbers and walls of the rendered board', async () => {
+    await openFixture('plain-quotes.html');
+    
+    assert.deepEqual(runCopied('scrapeBoardPuzzle()'), {
+      id: null,
+      date: null,
+      rows: 3,
+      cols: 3,
+      waypoints: [0, 4, 8],
+      walls: [[0, 1]],
+      solution: null
+    });
+  });
+  
+  test('reads walls from classes on the cell or its content and from thick borders', async () => {
+    const html = readFixture('plain-quotes.html')
+      .replace('<div class="trail-cell" data-cell-idx="2"></div>', '<div class="trail-cell" data-cell-idx="2" style="border-bottom: 4px solid black; border-left: 1px solid grey"></div>')
+      .replace('<div class="trail-cell-content">2</div>', '<div class="trail-cell-content">2<span class="cell-wall_up"></span></div>');
+    page = await loadContentPage(html);
+    const wallsOf = cellNumber => runCopied(`readCellWalls(document.querySelector('[data-cell-idx="${cellNumber}"]'))`);
+    
+    assert.deepEqual(wallsOf(0), ['RIGHT']);
+    assert.deepEqual(wallsOf(2), ['DOWN'], 'thin borders are not walls');
+    assert.deepEqual(wallsOf(4), ['UP']);
+    assert.deepEqual(wallsOf(5), []);
+    assert.deepEqual(runCopied('scrapeBoardPuzzle()').walls, [[0, 1], [2, 5], [4, 1]]);
+  });
+  
+  test('rejects an incomplete board', async () => {
+    page = await loadContentPage(readFixture('plain-quotes.html').replace('<div class="trail-cell" data-cell-idx="5"></div>', ''));
+    assert.throws(() => page.run('scrapeBoardPuzzle()'), /Game board is incomplete \(8 cells for a 3x3 grid\)/);
+  });
+  
+  test('rejects a board with a number missing', async () => {
+    page = await loadContentPage(readFixture('plain-quotes.html').replace('<div class="trail-cell-content">2</div>', ''));
+    assert.throws(() => page.run('scrapeBoardPuzzle()'), /Numbered cell 2 not found on the game board/);
+  });
+  
+  test('rejects a page without a board', async () => {
+    page = await loadContentPage('<body><main></main></body>');
+    assert.throws(() => page.run('scrapeBoardPuzzle()'), /Game board not found/);
+  });
+});
+
+describe('clickCell()', () => {
+  test('sends click, mouse and pointer events to the cell', async () => {
+    await openFixture('plain-quotes.html');
+    const events = [];
+    const cell = page.document.querySelector('[data-cell-idx="4"]');
+    ['click', 'mousedown', 'mouseup', 'pointerdown', 'pointerup'].forEach(type => {
+      cell.addEventListener(type, () => events.push(type));
+    });
+    
+    assert.equal(page.run('clickCell(4)'), true);
+    ['click', 'mousedown', 'mouseup', 'pointerdown', 'pointerup'].forEach(type => {
+      assert.ok(events.includes(type), `${type} was not dispatched`);
+    });
+  });
+  
+  test('returns false for a missing cell', async () => {
+    await openFixture('plain-quotes.html');
+    assert.equal(page.run('clickCell(99)'), false);
+  });
+});
+
+describe('applySolution()', () => {
+  test('draws every cell and reports the accepted moves', async () => {
+    await openFixture('plain-quotes.html');
+    makeBoardPlayable(page.document);
+    
+    const report = await page.run(`applySolution(${JSON.stringify(SOLUTION)})`);
+    const { durationMs, ...moves } = report;
+    
+    assert.deepEqual(moves, { accepted: 9, rejected: 0, unconfirmed: 0, recoveries: 0 });
+    assert.ok(durationMs > 0);
+    assert.deepEqual(drawnCells().sort(), [...SOLUTION].sort());
+  });
+  
+  test('retries a move the board ignored', async () => {
+    await openFixture('plain-quotes.html');
+    makeBoardPlayable(page.document);
+    
+    // The board misses the first press on the middle cell
+    const middle = page.document.querySelector('[data-cell-idx="4"]');
+    let ignored = false;
+    middle.addEventListener('pointerdown', (event) => {
+      if (!ignored) {
+        ignored = true;
+        event.stopImmediatePropagation();
+      }
+    }, { capture: true });
+    
+    const report = await page.run(`applySolution(${JSON.stringify(SOLUTION)})`);
+    
+    assert.equal(report.accepted, 9);
+    assert.equal(report.rejected, 1);
+    assert.equal(drawnCells().length, 9);
+  });
+  
+  test('stops when the run is cancelled', async () => {
+    await openFixture('plain-quotes.html');
+    makeBoardPlayable(page.document);
+    
+    const applying = page.run(`applySolution(${JSON.stringify(SOLUTION)})`);
+    await waitFor(() => drawnCells().length >= 2);
+    page.run('stopSolve()');
+    
+    await assert.rejects(applying, error => error.cancelled === true);
+    assert.ok(drawnCells().length < 9);
+  });
+});
+
+describe('input strategies', () => {
+  /**
+   * Makes the fake board only respond to a drag, like the boards that ignore
+   * clicks: pressing starts the path, moving the held pointer extends it
+   * @returns {string[]} Pointer and click events the board receives, filled as they come
+   */
+  function makeBoardDraggable() {
+    const events = [];
+    let pressed = false;
+    
+    page.document.querySelectorAll('[data-cell-idx]').forEach(cell => {
+      cell.addEventListener('click', () => events.push('click'));
+      cell.addEventListener('pointerdown', () => {
+        events.push(`pointerdown ${cell.dataset.cellIdx}`);
+        pressed = true;
+        if (drawnCells().length === 0) cell.classList.add('cell--filled');
+      });
+      cell.addEventListener('pointermove', () => {
+        if (pressed) cell.classList.add('cell--filled');
+      });
+      cell.addEventListener('pointerup', () => {
+        events.push('pointerup');
+        pressed = false;
+      });
+    });
+    
+    return events;
+  }
+  
+  test('createDragInput draws the path as one drag', async () => {
+    await openFixture('plain-quotes.html');
+    const events = makeBoardDraggable();
+    
+    page.run(`
+      const drag = createDragInput();
+      ${JSON.stringify(SOLUTION)}.forEach((cell, index, path) => drag.move(cell, index > 0 ? path[index - 1] : null));
+      drag.finish();
+    `);
+    
+    assert.deepEqual(drawnCells().sort(), [...SOLUTION].sort());
+    assert.deepEqual(events, ['pointerdown 0', 'pointerup']);
+  });
+  
+  test('falls back to clicks when the board ignores the drag', async () => {
+    page = await loadContentPage(readFixture('plain-quotes.html'), {
+      sync: { moveTimeoutMs: 200 },
+      local: { detectedInputStrategy: 'drag' }
+    });
+    makeBoardPlayable(page.document);
+    
+    const report = await page.run(`applySolution(${JSON.stringify(SOLUTION)})`);
+    
+    assert.equal(report.accepted, 9);
+    assert.equal(report.rejected, 3, 'the second move, dragged three times');
+    assert.deepEqual(drawnCells().sort(), [...SOLUTION].sort());
+    await waitFor(() => page.chrome.storage.local.data.detectedInputStrategy === 'click');
+  });
+  
+  test('remembers the strategy the board responded to for the next game', async () => {
+    page = await loadContentPage(readFixture('plain-quotes.html'), { sync: { moveTimeoutMs: 200 } });
+    makeBoardDraggable();
+    
+    // Clicks first, then the drag the board responds to
+    const first = await page.run(`applySolution(${JSON.stringify(SOLUTION)})`);
+    assert.equal(first.accepted, 9);
+    assert.equal(first.rejected, 3);
+    await waitFor(() => page.chrome.storage.local.data.detectedInputStrategy === 'drag');
+    
+    const storage = page.chrome.storage.local.data;
+    page.close();
+    page = await loadContentPage(readFixture('plain-quotes.html'), { sync: { moveTimeoutMs: 200 }, local: storage });
+    const events = makeBoardDraggable();
+    
+    const next = await page.run(`applySolution(${JSON.stringify(SOLUTION)})`);
+    assert.deepEqual({ accepted: next.accepted, rejected: next.rejected }, { accepted: 9, rejected: 0 });
+    assert.deepEqual(events, ['pointerdown 0', 'pointerup'], 'no clicks');
+  });
+  
+  test('keeps the strategy set in the settings', async () => {
+    page = await loadContentPage(readFixture('plain-quotes.html'), {
+      sync: { inputStrategy: 'click' },
+      local: { detectedInputStrategy: 'drag' }
+    });
+    makeBoardPlayable(page.document);
+    
+    const report = await page.run(`applySolution(${JSON.stringify(SOLUTION)})`);
+    
+    assert.deepEqual({ accepted: report.accepted, rejected: report.rejected }, { accepted: 9, rejected: 0 });
+    assert.equal(page.chrome.storage.local.data.detectedInputStrategy, 'drag');
+  });
+});
+
+describe('move timing', () => {
+  /**
+   * Makes the fake board show every move only after a delay, like a slow page
+   * @param {number} ms - Delay before a pressed cell is drawn
+   */
+  function makeBoardSlow(ms) {
+    page.document.querySelectorAll('[data-cell-idx]').forEach(cell => {
+      cell.addEventListener('pointerdown', () => {
+        page.window.setTimeout(() => cell.classList.add('cell--filled'), ms);
+      });
+    });
+  }
+  
+  test('fast mode makes each move as soon as the board shows the last one', async () => {
+    page = await loadContentPage(readFixture('plain-quotes.html'), { sync: { speed: 'fast', clickDelayMs: 300 } });
+    makeBoardPlayable(page.document);
+    
+    const report = await page.run(`applySolution(${JSON.stringify(SOLUTION)})`);
+    
+    assert.equal(report.accepted, 9);
+    assert.ok(report.durationMs < 8 * 300, `took ${report.durationMs} ms, as long as the fixed delay`);
+    assert.match(notificationsOf(page.document).at(-1).textContent, /solved in \d+\.\d s/);
+  });
+  
+  test('fast mode waits for a slow board instead of losing moves', async () => {
+    page = await loadContentPage(readFixture('plain-quotes.html'), { sync: { speed: 'fast', moveTimeoutMs: 1000 } });
+    makeBoardSlow(150);
+    
+    const report = await page.run(`applySolution(${JSON.stringify(SOLUTION)})`);
+    
+    assert.equal(report.accepted, 9);
+    assert.equal(report.rejected, 0);
+    assert.ok(report.durationMs >= 9 * 150);
+    assert.deepEqual(drawnCells().sort(), [...SOLUTION].sort());
+  });
+  
+  test('steady mode is the default and keeps the delay between moves', async () => {
+    page = await loadContentPage(readFixture('plain-quotes.html'), { sync: { clickDelayMs: 100 } });
+    makeBoardPlayable(page.document);
+    
+    const report = await page.run(`applySolution(${JSON.stringify(SOLUTION)})`);
+    
+    assert.equal(report.accepted, 9);
+    assert.ok(report.durationMs >= 8 * 100, `took ${report.durationMs} ms`);
+  });
+  
+  test('stopSolve ends a move that is waiting for the board', async () => {
+    page = await loadContentPage(readFixture('plain-quotes.html'), { sync: { moveTimeoutMs: 10000 } });
+    
+    const startedAt = Date.now();
+    const applying = page.run(`applySolution(${JSON.stringify(SOLUTION)})`);
+    await delay(100);
+    page.run('stopSolve()');
+    
+    await assert.rejects(applying, error => error.cancelled === true);
+    assert.ok(Date.now() - startedAt < 1000);
+  });
+  
+  /**
+   * Lists the progress messages the content script has sent so far
+   * @returns {Object[]}
+   */
+  const progressMessages = () => callsOf(page.chrome, 'runtime.sendMessage').map(([message]) => message)
+    .filter(message => message.action === 'solveProgress');
+  
+  test('pauseSolve holds the moves and resumeSolve continues from the same move', async () => {
+    page = await loadContentPage(readFixture('plain-quotes.html'), { sync: { clickDelayMs: 100 } });
+    makeBoardPlayable(page.document);
+    const pressed = [];
+    page.document.querySelectorAll('[data-cell-idx]').forEach(cell => {
+      cell.addEventListener('pointerdown', () => pressed.push(Number(cell.dataset.cellIdx)));
+    });
+    
+    const applying = page.run(`applySolution(${JSON.stringify(SOLUTION)})`);
+    await waitFor(() => drawnCells().length >= 2);
+    assert.equal(page.run('pauseSolve()'), true);
+    assert.equal(page.run('pauseSolve()'), false, 'already paused');
+    
+    // The badge shows the paused state at the step the solve stopped at
+    await waitFor(() => progressMessages().some(message => message.state === 'paused'));
+    const paused = progressMessages().find(message => message.state === 'paused');
+    const drawnWhenPaused = drawnCells().length;
+    assert.equal(paused.step, drawnWhenPaused);
+    assert.equal(paused.total, 9);
+    
+    await delay(300);
+    assert.equal(drawnCells().length, drawnWhenPaused, 'no moves while paused');
+    
+    assert.equal(page.run('resumeSolve()'), true);
+    const report = await applying;
+    
+    assert.equal(report.accepted, 9);
+    assert.deepEqual(pressed, SOLUTION, 'every cell once, in order');
+    const afterPause = progressMessages().slice(progressMessages().indexOf(paused) + 1);
+    assert.deepEqual({ state: afterPause[0].state, step: afterPause[0].step }, { state: 'running', step: drawnWhenPaused });
+    assert.equal(afterPause.at(-1).state, 'finished');
+    const texts = notificationsOf(page.document).map(notification => notification.textContent);
+    assert.ok(texts.some(text => /Paused/.test(text)) && texts.some(text => /Resuming/.test(text)), texts.join(' | '));
+  });
+  
+  test('stopSolve ends a paused solve', async () => {
+    page = await loadContentPage(readFixture('plain-quotes.html'), { sync: { clickDelayMs: 100 } });
+    makeBoardPlayable(page.document);
+    
+    const solving = page.run('solveGame()');
+    await waitFor(() => drawnCells().length >= 2);
+    page.run('pauseSolve()');
+    await waitFor(() => progressMessages().some(message => message.state === 'paused'));
+    const drawnWhenPaused = drawnCells().length;
+    
+    assert.equal(page.run('stopSolve()'), true);
+    await solving;
+    assert.equal(drawnCells().length, drawnWhenPaused);
+    assert.equal(progressMessages().at(-1).state, 'cancelled');
+    assert.equal(page.run('resumeSolve()'), false, 'nothing left to resume');
+  });
+  
+  test('pauseSolve and resumeSolve do nothing without a solve', async () => {
+    await openFixture('plain-quotes.html');
+    
+    assert.equal(page.run('pauseSolve()'), false);
+    assert.equal(page.run('resumeSolve()'), false);
+    assert.deepEqual(notificationsOf(page.document), []);
+  });
+  
+  test('a new solve ends the one still waiting between moves', async () => {
+    page = await loadContentPage(readFixture('plain-quotes.html'), { sync: { speed: 'steady', clickDelayMs: 400 } });
+    makeBoardPlayable(page.document);
+    
+    let firstSettled = false;
+    page.run('solveGame()').then(() => { firstSettled = true; });
+    await delay(250);
+    const second = page.run('solveGame()');
+    
+    await waitFor(() => firstSettled, 1000);
+    const states = callsOf(page.chrome, 'runtime.sendMessage').map(([message]) => message.state);
+    assert.ok(states.includes('cancelled'));
+    
+    await second;
+    assert.deepEqual(drawnCells().sort(), [...SOLUTION].sort());
+    const results = () => (page.chrome.storage.local.data.solveHistory || []).map(entry => entry.result);
+    await waitFor(() => results().length === 2);
+    assert.deepEqual(results(), ['cancelled', 'finished']);
+  });
+});
+
+describe('togglePathPreview()', () => {
+  /**
+   * Gives the fake board a layout: 48px cells from an offset that the test
+   * can move, like scrolling or resizing the page does
+   * @returns {{x: number, y: number}} Board offset, read on every layout
+   */
+  function layOutBoard() {
+    const offset = { x: 100, y: 50 };
+    page.document.querySelectorAll('[data-cell-idx]').forEach(cell => {
+      const cellNumber = Number(cell.dataset.cellIdx);
+      cell.getBoundingClientRect = () => ({
+        left: offset.x + (cellNumber % 3) * 48,
+        top: offset.y + Math.floor(cellNumber / 3) * 48,
+        width: 48,
+        height: 48
+      });
+    });
+    return offset;
+  }
+  
+  /**
+   * Returns the overlay, if shown
+   * @returns {SVGSVGElement|null}
+   */
+  const overlay = () => page.document.getElementById('zip-solver-preview');
+  
+  /**
+   * Returns the points of the preview line
+   * @returns {string[]}
+   */
+  const previewPoints = () => overlay().querySelector('polyline').getAttribute('points').split(' ');
+  
+  test('full mode draws the whole path through the cell centres', async () => {
+    await openFixture('plain-quotes.html');
+    layOutBoard();
+    
+    await page.run("togglePathPreview('full')");
+    
+    assert.equal(previewPoints().length, 9);
+    assert.deepEqual(previewPoints().slice(0, 3), ['124,74', '124,122', '124,170']);
+    assert.equal(overlay().querySelector('circle').getAttribute('cx'), '220');
+    assert.equal(overlay().style.pointerEvents, 'none');
+    
+    // The same mode again hides it
+    await page.run("togglePathPreview('full')");
+    assert.equal(overlay(), null);
+  });
+  
+  test('next-waypoint mode stops at the next number the player has not reached', async () => {
+    await openFixture('plain-quotes.html');
+    layOutBoard();
+    
+    await page.run("togglePathPreview('next-waypoint')");
+    assert.equal(previewPoints().length, 5, 'up to number 2 (cell 4)');
+    
+    // The player has drawn up to number 2: the preview goes on to number 3
+    [0, 3, 6, 7, 4].forEach(cellNumber => page.document.querySelector(`[data-cell-idx="${cellNumber}"]`).classList.add('cell--filled'));
+    await page.run("togglePathPreview('full')");
+    await page.run("togglePathPreview('next-waypoint')");
+    assert.equal(previewPoints().length, 9);
+    assert.equal(page.document.querySelectorAll('#zip-solver-preview').length, 1, 'the other mode is replaced');
+  });
+  
+  test('animate mode reveals the path one step at a time', async () => {
+    await openFixture('plain-quotes.html');
+    layOutBoard();
+    
+    await page.run("togglePathPreview('animate')");
+    assert.equal(previewPoints().length, 1);
+    
+    await waitFor(() => previewPoints().length === 3);
+    await waitFor(() => previewPoints().length === 9);
+  });
+  
+  test('follows the board when the page is resized or scrolled', async () => {
+    await openFixture('plain-quotes.html');
+    const offset = layOutBoard();
+    await page.run("togglePathPreview('full')");
+    
+    offset.x = 20;
+    page.window.dispatchEvent(new page.window.Event('resize'));
+    await waitFor(() => previewPoints()[0] === '44,74');
+    
+    // Scrolling a container only reaches the window's capture listener
+    offset.y = 0;
+    page.document.querySelector('.trail-board').dispatchEvent(new page.window.Event('scroll'));
+    await waitFor(() => previewPoints()[0] === '44,24');
+  });
+  
+  test('sends nothing to the board', async () => {
+    await openFixture('plain-quotes.html');
+    layOutBoard();
+    const events = [];
+    page.document.querySelectorAll('[data-cell-idx]').forEach(cell => {
+      ['click', 'mousedown', 'pointerdown', 'pointermove', 'pointerup'].forEach(type => cell.addEventListener(type, () => events.push(type)));
+    });
+    
+    for (const mode of ['full', 'next-waypoint', 'animate']) {
+      await page.run(`togglePathPreview('${mode}')`);
+    }
+    await delay(300);
+    
+    assert.deepEqual(events, []);
+    assert.deepEqual(drawnCells(), []);
+  });
+});
+
+describe('notifications', () => {
+  test('shows the message with the type icon', async () => {
+    await openFixture('plain-quotes.html');
+    page.run("showNotification('Puzzle solved', 'success')");
+    
+    const [notification] = notificationsOf(page.document);
+    assert.ok(notification);
+    assert.match(notification.textContent, /✅/);
+    assert.match(notification.textContent, /Puzzle solved/);
+    // The stack around it is the live region
+    assert.equal(notification.hasAttribute('role'), false);
+  });
+  
+  test('adds the live region before the first notification', async () => {
+    await openFixture('plain-quotes.html');
+    
+    const host = page.document.getElementById('zip-solver-notifications');
+    assert.ok(host);
+    const stack = host.shadowRoot.querySelector('.stack');
+    assert.equal(stack.getAttribute('aria-live'), 'polite');
+    assert.equal(stack.children.length, 0);
+    
+    page.run("showNotification('Solve failed', 'error')");
+    assert.equal(page.document.getElementById('zip-solver-notifications'), host);
+    assert.equal(stack.querySelector('.toast').getAttribute('role'), 'alert');
+  });
+  
+  test('keeps its styles in a shadow root', async () => {
+    await openFixture('plain-quotes.html');
+    page.run("showNotification('Styled', 'info')");
+    
+    const host = page.document.getElementById('zip-solver-notifications');
+    const css = host.shadowRoot.querySelector('style').textContent;
+    assert.equal(page.document.querySelectorAll('style').length, 0);
+    assert.match(css, /prefers-reduced-motion: reduce/);
+    assert.match(css, /prefers-color-scheme: dark/);
+    assert.equal(host.shadowRoot.querySelector('.stack').getAttribute('aria-live'), 'polite');
+  });
+  
+  test('stacks notifications and queues the ones beyond the limit', async () => {
+    await openFixture('plain-quotes.html');
+    ['First', 'Second', 'Third', 'Fourth'].forEach(message => page.run(`showNotification('${message}', 'info')`));
+    
+    const messages = () => notificationsOf(page.document).map(notification => notification.querySelector('.message').textContent);
+    assert.deepEqual(messages(), ['First', 'Second', 'Third']);
+    
+    notificationsOf(page.document)[0].querySelector('.close').click();
+    await waitFor(() => messages().includes('Fourth'));
+    assert.deepEqual(messages(), ['Second', 'Third', 'Fourth']);
+  });
+  
+  test('runs an action and closes the notification', async () => {
+    await openFixture('plain-quotes.html');
+    page.run("window.retried = 0; showNotification('Failed', 'error', { actions: [{ label: 'Retry', run: () => { window.retried++; } }] })");
+    
+    const [notification] = notificationsOf(page.document);
+    notification.querySelector('.action').click();
+    
+    await waitFor(() => notificationsOf(page.document).length === 0);
+    assert.equal(page.window.retried, 1);
+  });
+  
+  test('Copy diagnostics copies the bundle from the service worker', async () => {
+    page = await loadContentPage(readFixture('plain-quotes.html'), {
+      onRuntimeMessage: message => (message.action === 'getDiagnostics' ? { success: true, diagnostics: { logs: [] } } : undefined)
+    });
+    let copied = null;
+    Object.defineProperty(page.window.navigator, 'clipboard', { value: { writeText: async (text) => { copied = text; } } });
+    
+    await page.run('copyDiagnostics()');
+    
+    assert.deepEqual(JSON.parse(copied), { logs: [] });
+    assert.match(notificationsOf(page.document).at(-1).textContent, /Diagnostics copied/);
+  });
+  
+  test('ignores empty messages', async () => {
+    await openFixture('plain-quotes.html');
+    page.run("showNotification('', 'info')");
+    assert.deepEqual(notificationsOf(page.document), []);
+  });
+  
+  test('disappears after the configured duration', async () => {
+    await openFixture('plain-quotes.html');
+    page.run("showNotification('Short lived', 'info')");
+    
+    // notificationDurationMs is 1000 in the tests, plus the exit animation
+    await delay(1500);
+    assert.deepEqual(notificationsOf(page.document), []);
+  });
+  
+  test('waits while the pointer is on the notification', async () => {
+    await openFixture('plain-quotes.html');
+    page.run("showNotification('Read me', 'info')");
+    
+    const [notification] = notificationsOf(page.document);
+    notification.dispatchEvent(new page.window.MouseEvent('mouseenter'));
+    await delay(1500);
+    assert.equal(notificationsOf(page.document).length, 1);
+  });
+});
+
+describe('board readiness', () => {
+  /**
+   * Returns the boardReady messages sent to the service worker
+   * @returns {Object[]}
+   */
+  const readyMessages = () => callsOf(page.chrome, 'runtime.sendMessage').map(([message]) => message)
+    .filter(message => message.action === 'boardReady');
+  
+  test('reports a loaded board to the service worker', async () => {
+    await openFixture('plain-quotes.html');
+    
+    await waitFor(() => readyMessages().length > 0);
+    assert.deepEqual(readyMessages(), [{ action: 'boardReady', game: 'zip', puzzleId: '1042' }]);
+  });
+  
+  test('reports the board once its last cell is rendered', async () => {
+    page = await loadContentPage(readFixture('plain-quotes.html').replace(' data-cell-idx="8"', ' id="last-cell"'));
+    await delay(100);
+    assert.deepEqual(readyMessages(), [], 'the board is not complete yet');
+    
+    page.document.getElementById('last-cell').setAttribute('data-cell-idx', '8');
+    await waitFor(() => readyMessages().length > 0);
+    assert.equal(readyMessages().length, 1);
+  });
+  
+  test('watches the new view when LinkedIn changes the route', async () => {
+    await openFixture('plain-quotes.html');
+    await waitFor(() => readyMessages().length > 0);
+    
+    page.window.history.pushState({}, '', '/games/zip/?trk=feed');
+    assert.deepEqual({ ...(await sendToContent({ action: 'pageChanged', game: 'zip' })).response }, { success: true, changed: false });
+    
+    // LinkedIn renders the Queens view in the same document
+    page.document.body.innerHTML = readFixture('queens.html').match(/<body>([\s\S]*)<\/body>/)[1];
+    page.window.history.pushState({}, '', '/games/queens/');
+    const { response } = await sendToContent({ action: 'pageChanged', game: 'queens' });
+    
+    assert.deepEqual({ ...response }, { success: true, changed: true });
+    await waitFor(() => readyMessages().length === 2);
+    assert.equal(readyMessages()[1].game, 'queens');
+  });
+  
+  test('watches the board again after a round trip through another page', async () => {
+    await openFixture('plain-quotes.html');
+    await waitFor(() => readyMessages().length > 0);
+    const board = page.document.body.innerHTML;
+    
+    // The feed is no game view: the service worker sends nothing for it
+    page.document.body.innerHTML = '<main>Feed</main>';
+    page.window.history.pushState({}, '', '/feed/');
+    
+    page.document.body.innerHTML = board;
+    page.window.history.pushState({}, '', '/games/zip/');
+    const { response } = await sendToContent({ action: 'pageChanged', game: 'zip' });
+    
+    assert.deepEqual({ ...response }, { success: true, changed: true });
+    await waitFor(() => readyMessages().length === 2);
+  });
+  
+  test('archives the puzzle once the board is ready', async () => {
+    await openFixture('plain-quotes.html');
+    
+    await waitFor(() => page.chrome.storage.local.data.puzzleArchive !== undefined);
+    assert.match(JSON.stringify(page.chrome.storage.local.data.puzzleArchive), /"1042"/);
+  });
+});
+
+describe('schema drift', () => {
+  /**
+   * Opens the plain-quotes board once, so that its fingerprint is the last
+   * known-good one, and returns the extension storage it leaves
+   * @returns {Promise<Object>} chrome.storage.local content
+   */
+  const knownGoodStorage = async () => {
+    await openFixture('plain-quotes.html');
+    await waitFor(() => page.chrome.storage.local.data.schemaFingerprints !== undefined);
+    const storage = page.chrome.storage.local.data;
+    page.close();
+    page = null;
+    return storage;
+  };
+  
+  test('keeps the fingerprint of a page that works', async () => {
+    const storage = await knownGoodStorage();
+    const fingerprint = storage.schemaFingerprints.zip;
+    
+    assert.equal(fingerprint['rehydrate-data:trailPuzzle.gridSize'], 'number');
+    assert.equal(fingerprint['rehydrate-data:trailPuzzle.walls[].direction'], 'string');
+    assert.equal(fingerprint['rehydrate-data:puzzleId'], 'string');
+    assert.equal(fingerprint['rehydrate-data:theme'], undefined, 'only the game object is listed');
+    assert.equal(fingerprint['board:cell[data-cell-idx]'], 'attribute');
+    assert.equal(fingerprint['board:cell.trail-cell'], 'class');
+    assert.equal(storage.schemaDrift, undefined, 'nothing to compare with yet');
+  });
+  
+  test('lists the game object after a large unrelated prefix', async () => {
+    // More key paths before the game than the fingerprint lists at most
+    const feed = Object.fromEntries(Array.from({ length: 600 }, (value, index) => [`item${index}`, { id: index }]));
+    page = await loadContentPage(readFixture('plain-quotes.html').replace('"theme": "light", ', `"feed": ${JSON.stringify(feed)}, `));
+    
+    const paths = Object.keys(page.run('fingerprintGameData()'));
+    assert.ok(paths.includes('trailPuzzle.orderedSequence[]'), paths.slice(0, 5).join(', '));
+    assert.ok(paths.includes('trailPuzzle.walls[].cellIdx'));
+    assert.ok(!paths.some(keyPath => keyPath.startsWith('feed')), 'the prefix is left out');
+  });
+  
+  test('reports the fields that appeared, disappeared or changed type', async () => {
+    const storage = await knownGoodStorage();
+    const html = readFixture('plain-quotes.html')
+      .replace('"puzzleDate": "2026-10-17", ', '')
+      .replace('"gameTypeId": 6', '"gameTypeId": "6", "variant": 1');
+    page = await loadContentPage(html, { local: storage });
+    
+    await waitFor(() => page.chrome.storage.local.data.schemaDrift !== undefined);
+    const report = page.chrome.storage.local.data.schemaDrift;
+    
+    assert.deepEqual(Array.from(report.appeared), ['rehydrate-data:variant']);
+    assert.deepEqual(Array.from(report.disappeared), ['rehydrate-data:puzzleDate']);
+    assert.deepEqual({ ...report.changed[0] }, { path: 'rehydrate-data:gameTypeId', from: 'number', to: 'string' });
+    assert.equal(report.healthy, true);
+    assert.equal(report.changes, 3);
+  });
+  
+  test('names what changed when a solve fails', async () => {
+    const storage = await knownGoodStorage();
+    const html = readFixture('plain-quotes.html')
+      .replace(/<script type="application\/json" id="rehydrate-data">[\s\S]*?<\/script>/, '')
+      .replace(/data-cell-idx=/g, 'data-cell-index=');
+    page = await loadContentPage(html, { local: storage });
+    
+    await sendToContent({ action: 'solvePuzzle', game: 'zip' });
+    
+    await waitFor(() => page.chrome.storage.local.data.solveHistory !== undefined);
+    const { error } = page.chrome.storage.local.data.solveHistory[0];
+    assert.match(error, /^Game board not found.*\(LinkedIn changed: .*board:cell\[data-cell-idx\] disappeared, rehydrate-data:gameTypeId disappeared and 3 more\)$/);
+    assert.equal(page.chrome.storage.local.data.schemaDrift.healthy, false);
+    assert.ok(page.chrome.storage.local.data.schemaFingerprints.zip['board:cell[data-cell-idx]'], 'the known-good fingerprint is kept');
+  });
+});
+
+describe('logging', () => {
+  test('sends its entries to the service worker in batches', async () => {
+    await openFixture('plain-quotes.html');
+    await sendToContent({ action: 'checkReady', game: 'zip' }); // Logged at the debug level
+    
+    const entries = () => callsOf(page.chrome, 'runtime.sendMessage').map(([message]) => message)
+      .filter(message => message.action === 'logEntries')
+      .flatMap(message => message.entries);
+    await waitFor(() => entries().some(entry => /board is ready/.test(entry.message)));
+    
+    assert.equal(callsOf(page.chrome, 'runtime.sendMessage').filter(([message]) => message.action === 'logEntries').length, 1);
+    assert.deepEqual(entries().map(({ level, context }) => `${level} ${context}`), entries().map(() => 'info content'));
+    assert.match(entries()[0].message, /extension loaded/);
+    assert.ok(!entries().some(entry => /Page is ready/.test(entry.message)), 'debug entries are dropped');
+  });
+});
+
+describe('message handlers', () => {
+  test('checkReady reports a page with game data as ready', async () => {
+    await openFixture('plain-quotes.html');
+    const { handled, response } = await sendToContent({ action: 'checkReady' });
+    
+    assert.equal(handled, true);
+    assert.deepEqual({ ...response }, { ready: true });
+  });
+  
+  test('checkReady reports a page whose cells are not rendered yet as not ready', async () => {
+    page = await loadContentPage(readFixture('plain-quotes.html').replace(/ data-cell-idx="[5-8]"/g, ''));
+    const { response } = await sendToContent({ action: 'checkReady' });
+    
+    assert.deepEqual({ ...response }, { ready: false });
+  });
+  
+  test('checkReady reports a page without game data as not ready', async () => {
+    page = await loadContentPage('<body><div data-cell-idx="0"></div></body>');
+    const { response } = await sendToContent({ action: 'checkReady' });
+    
+    assert.deepEqual({ ...response }, { ready: false });
+  });
+  
+  test('unknown actions are left to other listeners', async () => {
+    await openFixture('plain-quotes.html');
+    const { handled } = await sendToContent({ action: 'somethingElse' });
+    
+    assert.equal(handled, false);
+  });
+  
+  test('solvePuzzle answers at once and reports the finished solve', async () => {
+    await openFixture('escaped-quotes.html');
+    makeBoardPlayable(page.document);
+    
+    const { response } = await sendToContent({ action: 'solvePuzzle' });
+    assert.deepEqual({ ...response }, { success: true, started: true });
+    
+    const progress = () => callsOf(page.chrome, 'runtime.sendMessage').map(([message]) => message)
+      .filter(message => message.action === 'solveProgress');
+    await waitFor(() => progress().some(message => message.state === 'finished'));
+    
+    assert.deepEqual(drawnCells().sort(), [...SOLUTION].sort());
+    const { elapsedMs, ...first } = progress()[0];
+    assert.deepEqual(first, { action: 'solveProgress', state: 'running', step: 0, total: 9, error: undefined });
+    assert.ok(elapsedMs >= 0);
+    assert.match(notificationsOf(page.document).at(-1).textContent, /solved/);
+    
+    await waitFor(() => page.chrome.storage.local.data.solveHistory !== undefined);
+    assert.equal(page.chrome.storage.local.data.solveHistory[0].source, 'rehydrate-data');
+  });
+  
+  test('solvePuzzle uses the built-in solver when the solution is missing', async () => {
+    await openFixture('missing-solution.html');
+    makeBoardPlayable(page.document);
+    
+    await sendToContent({ action: 'solvePuzzle' });
+    await waitFor(() => drawnCells().length === 9);
+    
+    assert.deepEqual(drawnCells().sort(), [...SOLUTION].sort());
+  });
+  
+  test('solvePuzzle names the step and rule an embedded solution breaks', async () => {
+    // Step 2 crosses the wall to the right of cell 0
+    const html = readFixture('plain-quotes.html').replace('"solution": [0, 3, 6, 7, 4, 1, 2, 5, 8]', '"solution": [0, 1, 2, 5, 4, 3, 6, 7, 8]');
+    page = await loadContentPage(html);
+    makeBoardPlayable(page.document);
+    
+    await sendToContent({ action: 'solvePuzzle' });
+    await waitFor(() => drawnCells().length === 9);
+    
+    const texts = notificationsOf(page.document).map(notification => notification.textContent);
+    assert.ok(texts.some(text => /built-in solver: the embedded solution fails at step 2 \(rule: wall\)/.test(text)), texts.join(' | '));
+    assert.deepEqual(drawnCells().sort(), [...SOLUTION].sort());
+  });
+  
+  test('solvePuzzle and pageChanged remove the outlines of a hint', async () => {
+    await openFixture('plain-quotes.html');
+    makeBoardPlayable(page.document);
+    const outlinedCells = () => Array.from(page.document.querySelectorAll('[data-cell-idx]')).filter(cell => cell.style.outline !== '');
+    
+    await page.run('showHint(2)');
+    assert.equal(outlinedCells().length, 2);
+    
+    // Both well before the hint's own timer would remove the outlines
+    page.window.history.pushState({}, '', '/games/queens/');
+    await sendToContent({ action: 'pageChanged', game: 'zip' });
+    assert.deepEqual(outlinedCells(), []);
+    
+    await page.run('showHint(1)');
+    assert.equal(outlinedCells().length, 1);
+    await sendToContent({ action: 'solvePuzzle', game: 'zip' });
+    assert.deepEqual(outlinedCells(), []);
+    await waitFor(() => drawnCells().length === 9);
+  });
+  
+  test('a second hint keeps its outlines when the first hint\'s timer runs out', async () => {
+    await openFixture('plain-quotes.html');
+    const outlinedCells = () => Array.from(page.document.querySelectorAll('[data-cell-idx]'))
+      .filter(cell => cell.style.outline !== '')
+      .map(cell => Number(cell.getAttribute('data-cell-idx')));
+    
+    // Hold the page's timers so the first hint's timer can be run on demand
+    const timers = new Map();
+    let nextTimerId = 1;
+    page.window.setTimeout = (callback, ms) => {
+      timers.set(nextTimerId, { callback, ms });
+      return nextTimerId++;
+    };
+    page.window.clearTimeout = timerId => timers.delete(timerId);
+    const hintTimers = () => Array.from(timers.entries()).filter(([, timer]) => timer.ms === 2500);
+    
+    await page.run('showHint(2)');
+    const [[firstTimerId]] = hintTimers();
+    await page.run('showHint(1)');
+    assert.deepEqual(outlinedCells(), [0]);
+    
+    timers.get(firstTimerId)?.callback();
+    assert.deepEqual(outlinedCells(), [0]);
+    
+    hintTimers().forEach(([, timer]) => timer.callback());
+    assert.deepEqual(outlinedCells(), []);
+  });
+  
+  test('a hint outlines the cells off the solution and says where to go back to', async () => {
+    await openFixture('plain-quotes.html');
+    const cell = cellNumber => page.document.querySelector(`[data-cell-idx="${cellNumber}"]`);
+    
+    // The solution starts 0 → 3, so cell 1 leaves it
+    cell(1).classList.add('cell--filled');
+    await page.run('showHint()');
+    assert.match(notificationsOf(page.document).at(-1).textContent,
+      /Your path leaves the solution at the start\. Undo back to there and go to row 1, column 1\./);
+    assert.notEqual(cell(1).style.outline, '');
+    assert.equal(cell(0).style.outline, '');
+    
+    cell(0).classList.add('cell--filled');
+    await page.run('showHint()');
+    assert.match(notificationsOf(page.document).at(-1).textContent,
+      /Your path leaves the solution after step 1 \(row 1, column 1\)\. Undo back to there and go to row 2, column 1\./);
+    assert.match(notificationsOf(page.document).at(-1).className, /warning/);
+    assert.notEqual(cell(1).style.outline, '');
+    assert.equal(cell(0).style.outline, '');
+  });
+  
+  test('solvePuzzle reads the board when the game data is malformed', async () => {
+    await openFixture('malformed-json.html');
+    makeBoardPlayable(page.document);
+    
+    await sendToContent({ action: 'solvePuzzle' });
+    await waitFor(() => drawnCells().length === 9);
+    
+    assert.deepEqual(drawnCells().sort(), [...SOLUTION].sort());
+  });
+  
+  test('solvePuzzle reports an error when the puzzle cannot be read', async () => {
+    page = await loadContentPage('<body><script type="application/json" id="rehydrate-data">{"broken": </script></body>');
+    
+    await sendToContent({ action: 'solvePuzzle' });
+    const progress = () => callsOf(page.chrome, 'runtime.sendMessage').map(([message]) => message);
+    await waitFor(() => progress().some(message => message.state === 'error'));
+    
+    const notification = notificationsOf(page.document).at(-1);
+    assert.match(notification.textContent, /❌/);
+    assert.equal(notification.getAttribute('role'), 'alert');
+    assert.deepEqual(Array.from(notification.querySelectorAll('.action'), button => button.textContent), ['Retry', 'Copy diagnostics']);
+  });
+});
+
+describe('solve history', () => {
+  test('keeps every run recorded at the same time', async () => {
+    await openFixture('plain-quotes.html');
+    const results = ['finished', 'cancelled', 'error'];
+    
+    await Promise.all(results.map(result =>
+      page.run(`recordRun({ game: 'zip', mode: 'solve', puzzle: null, startedAt: Date.now(), result: '${result}' })`)
+    ));
+    
+    assert.deepEqual(page.chrome.storage.local.data.solveHistory.map(entry => entry.result), results);
+  });
+});
+
+describe('puzzle archive', () => {
+  test('keeps every puzzle archived at the same time', async () => {
+    await openFixture('plain-quotes.html');
+    await waitFor(() => page.chrome.storage.local.data.puzzleArchive !== undefined);
+    
+    const archived = await page.run(`(() => {
+      const puzzle = readZipPuzzle();
+      return Promise.all(['7', '8', '9'].map(id => archivePuzzle({ ...puzzle, id })));
+    })()`);
+    
+    assert.deepEqual(Array.from(archived), [true, true, true]);
+    assert.deepEqual(Object.keys(page.chrome.storage.local.data.puzzleArchive).sort(),
+      ['1042@2026-10-17', '7@2026-10-17', '8@2026-10-17', '9@2026-10-17']);
+  });
+});
@@ -0,0 +1,369 @@
+/**
+ * LinkedIn Zip Solver - Test Helpers
+ * @description Mocked chrome.* API, jsdom pages with the content scripts or
+ *   an extension page's scripts, and a sandbox for the service worker
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const ROOT = path.join(__dirname, '..');
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+// Same order as the manifest's content_scripts
+const CONTENT_SCRIPTS = ['settings.js', 'logger.js', 'history.js', 'archive.js', 'games.js', 'puzzle.js', 'queens.js', 'content.js'];
+
+// Fast settings so that solves finish quickly
+const TEST_SETTINGS = { clickDelayMs: 20, notificationDurationMs: 1000, readyTimeoutMs: 1000 };
+
+// ============================================================================
+// CHROME API MOCK
+// ============================================================================
+
+/**
+ * Creates a chrome event (addListener) whose listeners the test can fire
+ * @returns {{addListener: Function, listeners: Function[], dispatch: Function}}
+ */
+function createEvent() {
+  const event = {
+    listeners: [],
+    addListener: listener => event.listeners.push(listener),
+    removeListener: listener => {
+      event.listeners = event.listeners.filter(entry => entry !== listener);
+    },
+    dispatch: (...args) => event.listeners.map(listener => listener(...args))
+  };
+  return event;
+}
+
+/**
+ * Creates a storage area backed by a plain object
+ * @param {Object} data - Initial content
+ * @returns {Object} chrome.storage area
+ */
+function createStorageArea(data) {
+  const copy = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+  
+  return {
+    data,
+    get: async (keys) => {
+      const list = keys === null || keys === undefined ? Object.keys(data) : [].concat(keys);
+      return Object.fromEntries(list.filter(key => key in data).map(key => [key, copy(data[key])]));
+    },
+    set: async (values) => {
+      Object.assign(data, copy(values));
+    },
+    remove: async (keys) => {
+      [].concat(keys).forEach(key => delete data[key]);
+    }
+  };
+}
+
+/**
+ * Creates a mocked chrome.* API that records what the code under test calls
+ * @param {Object} [options]
+ * @param {Object} [options.sync] - Initial chrome.storage.sync content
+ * @param {Object} [options.local] - Initial chrome.storage.local content
+ * @param {Object} [options.session] - Initial chrome.storage.session content
+ * @param {chrome.tabs.Tab[]} [options.tabs] - Tabs returned by tabs.query
+ * @param {Function} [options.onTabMessage] - Answers tabs.sendMessage(tabId, message);
+ *   throwing makes the call fail with runtime.lastError
+ * @param {Function} [options.onRuntimeMessage] - Answers runtime.sendMessage(message)
+ * @returns {Object} chrome mock with a `calls` log
+ */
+function createChromeMock(options = {}) {
+  const calls = [];
+  // Copies, so that objects from the page or the sandbox compare equal to the test's own
+  const record = (name, ...args) => calls.push({ name, args: structuredClone(args) });
+  const onTabMessage = options.onTabMessage || (() => {
+    throw new Error('Could not establish connection. Receiving end does not exist.');
+  });
+  
+  const chrome = {
+    calls,
+    runtime: {
+      lastError: undefined,
+      onMessage: createEvent(),
+      onInstalled: createEvent(),
+      sendMessage: async (message) => {
+        record('runtime.sendMessage', message);
+        return options.onRuntimeMessage ? options.onRuntimeMessage(message) : undefined;
+      },
+      getManifest: () => ({ version: '1.1.1' }),
+      getURL: file => `chrome-extension://test/${file}`
+    },
+    storage: {
+      sync: createStorageArea({ ...TEST_SETTINGS, ...options.sync }),
+      local: createStorageArea({ ...options.local }),
+      session: createStorageArea({ ...options.session }),
+      onChanged: createEvent()
+    },
+    tabs: {
+      onUpdated: createEvent(),
+      onRemoved: createEvent(),
+      query: async (query) => {
+        record('tabs.query', query);
+        return options.tabs || [];
+      },
+      get: async (tabId) => {
+        const tab = (options.tabs || []).find(candidate => candidate.id === tabId);
+        if (!tab) throw new Error(`No tab with id: ${tabId}.`);
+        return tab;
+      },
+      update: async (tabId, properties) => {
+        record('tabs.update', tabId, properties);
+        return { id: tabId, ...properties };
+      },
+      sendMessage: (tabId, message, callback) => {
+        record('tabs.sendMessage', tabId, message);
+        Promise.resolve()
+          .then(() => onTabMessage(tabId, message))
+          .then((response) => callback(response), (error) => {
+            chrome.runtime.lastError = { message: error.message };
+            callback(undefined);
+            chrome.runtime.lastError = undefined;
+          });
+      }
+    },
+    scripting: {
+      executeScript: async (injection) => {
+        record('scripting.executeScript', injection);
+        return [];
+      }
+    },
+    action: {
+      setBadgeText: async (details) => record('action.setBadgeText', details),
+      setBadgeBackgroundColor: async (details) => record('action.setBadgeBackgroundColor', details)
+    },
+    contextMenus: {
+      onClicked: createEvent(),
+      create: (item) => record('contextMenus.create', item),
+      removeAll: (callback) => {
+        record('contextMenus.removeAll');
+        callback();
+      }
+    },
+    commands: {
+      onCommand: createEvent()
+    },
+    webNavigation: {
+      onHistoryStateUpdated: createEvent()
+    }
+  };
+  
+  return chrome;
+}
+
+/**
+ * Returns the recorded calls of one chrome.* method
+ * @param {Object} chrome - chrome mock
+ * @param {string} name - Method, e.g. 'tabs.sendMessage'
+ * @returns {Array[]} Arguments of every call
+ */
+function callsOf(chrome, name) {
+  return chrome.calls.filter(call => call.name === name).map(call => call.args);
+}
+
+// ============================================================================
+// PAGES
+// ============================================================================
+
+/**
+ * Reads a fixture file
+ * @param {string} name - File name in test/fixtures
+ * @returns {string}
+ */
+function readFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+}
+
+/**
+ * Opens a page in jsdom and runs the content scripts in it, like Chrome
+ * does on the LinkedIn game pages
+ * @param {string} html - Page HTML
+ * @param {Object} [chromeOptions] - Options for createChromeMock
+ * @param {string} [url] - Page URL (the Zip page by default)
+ * @returns {Promise<{window: Window, document: Document, chrome: Object, run: Function}>}
+ *   run(code) evaluates code in the page (content script globals included)
+ */
+async function loadContentPage(html, chromeOptions, url = 'https://www.linkedin.com/games/zip/') {
+  const dom = new JSDOM(html, {
+    url,
+    runScripts: 'outside-only',
+    pretendToBeVisual: true,
+    virtualConsole: new VirtualConsole() // The content script logs every move
+  });
+  const { window } = dom;
+  
+  // jsdom has no pointer events or layout
+  window.PointerEvent = window.MouseEvent;
+  window.chrome = createChromeMock(chromeOptions);
+  
+  const source = CONTENT_SCRIPTS.map(file => fs.readFileSync(path.join(ROOT, file), 'utf8')).join('\n;\n');
+  window.eval(source);
+  
+  // Let loadSettings() resolve
+  await delay(10);
+  
+  return {
+    window,
+    document: window.document,
+    chrome: window.chrome,
+    run: code => window.eval(code),
+    close: () => {
+      window.eval('clearAllTimeouts(); hidePathPreview();');
+      window.close();
+    }
+  };
+}
+
+/**
+ * Makes the fake [data-cell-idx] grid behave like the game: a pressed cell
+ * is drawn (class "cell--filled")
+ * @param {Document} document - Page
+ */
+function makeBoardPlayable(document) {
+  document.querySelectorAll('[data-cell-idx]').forEach(cell => {
+    cell.addEventListener('pointerdown', () => cell.classList.add('cell--filled'));
+  });
+}
+
+/**
+ * Makes a fake Queens board behave like the game: each click cycles a cell
+ * through empty, ✕ and queen (shown in its aria-label)
+ * @param {Document} document - Page
+ */
+function makeQueensBoardPlayable(document) {
+  const states = ['Empty cell', 'Cross', 'Queen'];
+  
+  document.querySelectorAll('[data-cell-idx]').forEach(cell => {
+    cell.addEventListener('click', () => {
+      const label = cell.getAttribute('aria-label');
+      const state = states.findIndex(name => label.startsWith(name));
+      cell.setAttribute('aria-label', states[(state + 1) % states.length] + label.slice(states[state].length));
+    });
+  });
+}
+
+/**
+ * Returns the notifications the content script shows, oldest first (they
+ * live in the shadow root of the notification centre)
+ * @param {Document} document - Page
+ * @returns {HTMLElement[]}
+ */
+function notificationsOf(document) {
+  const host = document.getElementById('zip-solver-notifications');
+  return host ? Array.from(host.shadowRoot.querySelectorAll('.toast')) : [];
+}
+
+/**
+ * Opens an extension page in jsdom and runs its scripts in the order of its
+ * <script src> tags
+ * @param {string} name - Page file, e.g. 'stats.html'
+ * @param {Object} [chromeOptions] - Options for createChromeMock
+ * @returns {Promise<{window: Window, document: Document, chrome: Object, run: Function}>}
+ *   run(code) evaluates code in the page (script globals included)
+ */
+async function loadExtensionPage(name, chromeOptions) {
+  const html = fs.readFileSync(path.join(ROOT, name), 'utf8');
+  const dom = new JSDOM(html, {
+    url: `https://extension.test/${name}`,
+    runScripts: 'outside-only',
+    virtualConsole: new VirtualConsole()
+  });
+  const { window } = dom;
+  window.chrome = createChromeMock(chromeOptions);
+  
+  // One evaluation, so that the scripts share their top-level constants
+  const files = Array.from(window.document.querySelectorAll('script[src]'), script => script.getAttribute('src'));
+  window.eval(files.map(file => fs.readFileSync(path.join(ROOT, file), 'utf8')).join('\n;\n'));
+  
+  // Let the DOMContentLoaded handler load the stored data
+  await delay(10);
+  
+  return {
+    window,
+    document: window.document,
+    chrome: window.chrome,
+    run: code => window.eval(code),
+    close: () => window.close()
+  };
+}
+
+// ============================================================================
+// SERVICE WORKER
+// ============================================================================
+
+/**
+ * Runs background.js in a sandbox with a mocked chrome API
+ * @param {Object} [chromeOptions] - Options for createChromeMock
+ * @returns {{chrome: Object, context: Object, run: Function}}
+ *   run(code) evaluates code in the service worker's global scope
+ */
+function loadBackground(chromeOptions) {
+  const chrome = createChromeMock(chromeOptions);
+  const context = vm.createContext({
+    chrome,
+    console: { debug() {}, log() {}, warn() {}, error() {} },
+    navigator: { userAgent: 'Node.js' },
+    setTimeout,
+    clearTimeout,
+    self: { addEventListener() {} }
+  });
+  
+  context.importScripts = (...files) => files.forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+  });
+  vm.runInContext(fs.readFileSync(path.join(ROOT, 'background.js'), 'utf8'), context, { filename: 'background.js' });
+  
+  return {
+    chrome,
+    context,
+    run: code => vm.runInContext(code, context)
+  };
+}
+
+/**
+ * Waits
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Waits until a condition holds
+ * @param {Function} condition - Checked every 10 ms
+ * @param {number} [timeoutMs] - Gives up after this long
+ * @returns {Promise<void>}
+ * @throws {Error} On timeout
+ */
+async function waitFor(condition, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await delay(10);
+  }
+}
+
+module.exports = {
+  TEST_SETTINGS,
+  createChromeMock,
+  callsOf,
+  readFixture,
+  loadContentPage,
+  makeBoardPlayable,
+  makeQueensBoardPlayable,
+  notificationsOf,
+  loadExtensionPage,
+  loadBackground,
+  delay,
+  waitFor
+};
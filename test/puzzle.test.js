@@ -0,0 +1,209 @@
+/**
+ * Puzzle model tests: parsing the game data, the built-in path search on
+ * boards with few numbers and the rules validateSolution() checks
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { readFixture } = require('./helpers');
+const { parseZipPayload, unescapeRehydrateData, solveZipPath, validateSolution } = require('../puzzle.js');
+
+// Sparse 10x10 board: six numbers and two walls leave most of the path open
+const SPARSE_10X10 = {
+  rows: 10,
+  cols: 10,
+  waypoints: [83, 56, 50, 98, 89, 42],
+  walls: [[41, 42], [16, 17]]
+};
+
+// 10x10 board with ten numbers that used to hit the 5 s timeout
+const TEN_NUMBERS_10X10 = {
+  rows: 10,
+  cols: 10,
+  waypoints: [27, 79, 68, 94, 85, 66, 53, 24, 6, 11],
+  walls: []
+};
+
+/**
+ * Returns a seeded pseudo-random number generator
+ * @param {number} seed - Seed
+ * @returns {Function} Returns numbers in [0, 1)
+ */
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+    return state / 4294967296;
+  };
+}
+
+/**
+ * Builds a random board with a known path: a snake through every cell is
+ * reshaped by backbite moves, then some of its cells are numbered (always
+ * the first and the last)
+ * @param {number} seed - Seed
+ * @param {number} size - Rows and columns
+ * @param {number} numbers - Number of numbered cells
+ * @returns {{rows: number, cols: number, waypoints: number[], walls: Array}}
+ */
+function randomBoard(seed, size, numbers) {
+  const random = seededRandom(seed);
+  let path = [];
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col < size; col++) {
+      path.push(row * size + (row % 2 ? size - 1 - col : col));
+    }
+  }
+  
+  // Backbite: join an end to one of its neighbours and reverse the part of
+  // the path after that neighbour
+  for (let step = 0; step < size * size * 60; step++) {
+    if (random() < 0.5) path.reverse();
+    
+    const end = path[path.length - 1];
+    const row = Math.floor(end / size);
+    const col = end % size;
+    const options = [];
+    if (row > 0) options.push(end - size);
+    if (row < size - 1) options.push(end + size);
+    if (col > 0) options.push(end - 1);
+    if (col < size - 1) options.push(end + 1);
+    
+    const joined = path.indexOf(options[Math.floor(random() * options.length)]);
+    if (joined === path.length - 2) continue;
+    path = path.slice(0, joined + 1).concat(path.slice(joined + 1).reverse());
+  }
+  
+  const picked = new Set([0, path.length - 1]);
+  while (picked.size < numbers) {
+    picked.add(1 + Math.floor(random() * (path.length - 2)));
+  }
+  
+  const waypoints = [...picked].sort((a, b) => a - b).map(index => path[index]);
+  return { rows: size, cols: size, waypoints, walls: [] };
+}
+
+/**
+ * Solves a board and checks the path and the time taken
+ * @param {Object} puzzle - Puzzle
+ * @param {number} limitMs - Time limit
+ */
+function assertSolvesWithin(puzzle, limitMs) {
+  const startedAt = Date.now();
+  const path = solveZipPath(puzzle);
+  const elapsedMs = Date.now() - startedAt;
+  
+  assert.equal(validateSolution(puzzle, path).valid, true, JSON.stringify(puzzle));
+  assert.ok(elapsedMs < limitMs, `took ${elapsedMs}ms: ${JSON.stringify(puzzle)}`);
+}
+
+/**
+ * Returns the game data of a fixture page, unescaped like the content script does
+ * @param {string} fixture - Fixture file name
+ * @returns {string}
+ */
+function fixturePayload(fixture) {
+  return unescapeRehydrateData(readFixture(fixture).match(/id="rehydrate-data">([\s\S]*?)<\/script>/)[1]);
+}
+
+describe('parseZipPayload()', () => {
+  const PUZZLE = { id: '1042', date: '2026-10-17', rows: 3, cols: 3, waypoints: [0, 4, 8], walls: [[0, 1]] };
+  
+  test('reads plain JSON game data', () => {
+    assert.deepEqual(parseZipPayload(fixturePayload('plain-quotes.html')), { ...PUZZLE, solution: [0, 3, 6, 7, 4, 1, 2, 5, 8] });
+  });
+  
+  test('reads game data with escaped quotes', () => {
+    assert.deepEqual(parseZipPayload(fixturePayload('escaped-quotes.html')), { ...PUZZLE, solution: [0, 3, 6, 7, 4, 1, 2, 5, 8] });
+  });
+  
+  test('reads game data without a solution', () => {
+    assert.equal(parseZipPayload(fixturePayload('missing-solution.html')).solution, null);
+  });
+  
+  test('rejects malformed game data', () => {
+    assert.throws(() => parseZipPayload(fixturePayload('malformed-json.html')), /Game data around "trailPuzzle" is not valid JSON/);
+  });
+  
+  test('rejects text without game data', () => {
+    assert.throws(() => parseZipPayload('{"included": []}'), /Puzzle data not found/);
+  });
+});
+
+describe('solveZipPath()', () => {
+  test('solves a sparse 10x10 board well under a second', () => {
+    assertSolvesWithin(SPARSE_10X10, 1000);
+  });
+  
+  test('solves a 10x10 board with ten numbers well under a second', () => {
+    assertSolvesWithin(TEN_NUMBERS_10X10, 1000);
+  });
+  
+  for (const numbers of [6, 8, 10, 12, 16]) {
+    test(`solves random 10x10 boards with ${numbers} numbers well under a second each`, () => {
+      for (let seed = 0; seed < 8; seed++) {
+        assertSolvesWithin(randomBoard(seed, 10, numbers), 1000);
+      }
+    });
+  }
+  
+  test('rejects a board whose ends share a colour at once', () => {
+    const puzzle = { rows: 4, cols: 4, waypoints: [0, 15] };
+    assert.throws(() => solveZipPath(puzzle), /No valid path exists/);
+  });
+  
+  test('rejects a board without a path once the search is exhausted', () => {
+    // The colours add up, but the path cannot take the corners in this order
+    const puzzle = { rows: 5, cols: 5, waypoints: [0, 24, 4, 7, 20] };
+    assert.throws(() => solveZipPath(puzzle), /No valid path exists/);
+  });
+});
+
+describe('validateSolution()', () => {
+  // The 3x3 fixture board: numbers in cells 0, 4 and 8, a wall right of cell 0
+  const PUZZLE = { rows: 3, cols: 3, waypoints: [0, 4, 8], walls: [[0, 1]] };
+  
+  /**
+   * Checks that a path breaks one rule at one step
+   * @param {number[]} solution - Path
+   * @param {number} step - Expected failing step (1-based)
+   * @param {string} rule - Expected rule
+   * @param {RegExp} message - Expected message
+   */
+  function assertFails(solution, step, rule, message) {
+    const result = validateSolution(PUZZLE, solution);
+    assert.deepEqual({ valid: result.valid, step: result.step, rule: result.rule }, { valid: false, step, rule });
+    assert.match(result.message, message);
+  }
+  
+  test('accepts the solution', () => {
+    assert.deepEqual(validateSolution(PUZZLE, [0, 3, 6, 7, 4, 1, 2, 5, 8]), { valid: true, step: null, rule: null, message: 'Solution is valid' });
+  });
+  
+  test('range: a cell outside the grid', () => {
+    assertFails([0, 3, 12], 3, 'range', /^Step 3: cell 12 is outside the 3x3 grid/);
+  });
+  
+  test('adjacency: a move to a cell that is not next to the last one', () => {
+    assertFails([0, 3, 7], 3, 'adjacency', /cell 7 is not next to cell 3/);
+  });
+  
+  test('revisit: a cell visited twice', () => {
+    assertFails([0, 3, 0], 3, 'revisit', /cell 0 is visited a second time/);
+  });
+  
+  test('wall: a move through a wall', () => {
+    assertFails([0, 1, 2, 5, 4, 3, 6, 7, 8], 2, 'wall', /the move from cell 0 to cell 1 crosses a wall/);
+  });
+  
+  test('order: a number reached too early, a wrong start or a wrong end', () => {
+    assertFails([0, 3, 6, 7, 8], 5, 'order', /number 3 is reached before number 2/);
+    assertFails([3, 0], 1, 'order', /the path starts on cell 3 instead of number 1/);
+    assertFails([0, 3, 4, 1, 2, 5, 8, 7, 6], 9, 'order', /the path ends on cell 6 instead of number 3/);
+  });
+  
+  test('coverage: cells left out or an empty path', () => {
+    assertFails([0, 3, 6, 7, 4], 5, 'coverage', /the path covers 5 of 9 cells/);
+    assertFails([], 1, 'coverage', /the solution is empty/);
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * Queens tests: the constraint solver and validation, reading the board and
+ * placing queens through the content script
+ */
+
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createQueensPuzzle, solveQueens, validateQueens } = require('../queens.js');
+const { readFixture, loadContentPage, makeQueensBoardPlayable, notificationsOf, callsOf, waitFor } = require('./helpers');
+
+const QUEENS_URL = 'https://www.linkedin.com/games/queens/';
+
+// Regions of test/fixtures/queens.html (numbered by first appearance), which has a single solution
+const REGIONS = [
+  0, 0, 0, 1, 1, 1,
+  2, 0, 0, 1, 1, 1,
+  3, 3, 3, 3, 1, 1,
+  3, 3, 3, 4, 1, 1,
+  3, 3, 3, 4, 4, 5,
+  3, 3, 3, 4, 4, 4
+];
+const SOLUTION = [2, 6, 16, 19, 29, 33];
+
+let page = null;
+
+/**
+ * Opens the Queens fixture with the content scripts, on a board that plays
+ * like the game
+ * @returns {Promise<Object>} Page (see loadContentPage)
+ */
+async function openQueensBoard() {
+  page = await loadContentPage(readFixture('queens.html'), {}, QUEENS_URL);
+  makeQueensBoardPlayable(page.document);
+  return page;
+}
+
+/**
+ * Sends a message to the content script like the service worker does
+ * @param {Object} message - Message
+ * @returns {Promise<Object>} Response
+ */
+function sendToContent(message) {
+  return new Promise((resolve) => {
+    page.chrome.runtime.onMessage.dispatch(message, {}, resolve);
+  });
+}
+
+/**
+ * Returns the cells that show a queen
+ * @returns {number[]}
+ */
+function queenCells() {
+  return Array.from(page.document.querySelectorAll('[aria-label^="Queen"]'), cell => Number(cell.dataset.cellIdx));
+}
+
+afterEach(() => {
+  if (page) {
+    page.close();
+    page = null;
+  }
+});
+
+describe('createQueensPuzzle()', () => {
+  test('numbers the colours by first appearance', () => {
+    const colors = REGIONS.map(region => ['lavender', 'orange', 'blue', 'green', 'gray', 'red'][region]);
+    const puzzle = createQueensPuzzle({ colors, date: '2026-10-18' });
+    
+    assert.deepEqual(puzzle.regions, REGIONS);
+    assert.equal(puzzle.rows, 6);
+    assert.equal(puzzle.date, '2026-10-18');
+    assert.match(puzzle.id, /^queens-36-[0-9a-f]{8}$/);
+  });
+  
+  test('rejects a board that is not square', () => {
+    assert.throws(() => createQueensPuzzle({ colors: REGIONS.slice(1) }), /not a square/);
+  });
+  
+  test('rejects a board with the wrong number of regions', () => {
+    const colors = REGIONS.map(region => Math.min(region, 4));
+    assert.throws(() => createQueensPuzzle({ colors }), /needs 6 colour regions, found 5/);
+  });
+});
+
+describe('solveQueens()', () => {
+  test('finds the only solution', () => {
+    const puzzle = createQueensPuzzle({ colors: REGIONS });
+    assert.deepEqual(solveQueens(puzzle), SOLUTION);
+  });
+  
+  test('reports a board without a solution', () => {
+    // Four stripes: a queen in every row leaves no column free for the last one
+    const colors = [
+      0, 0, 0, 0,
+      1, 1, 1, 1,
+      2, 2, 2, 2,
+      3, 3, 3, 3
+    ].map((region, cell) => (cell % 4 === 0 ? 0 : region));
+    assert.throws(() => solveQueens(createQueensPuzzle({ colors })), /no solution/);
+  });
+});
+
+describe('validateQueens()', () => {
+  const puzzle = createQueensPuzzle({ colors: REGIONS });
+  
+  test('accepts the solution', () => {
+    assert.equal(validateQueens(puzzle, SOLUTION).valid, true);
+  });
+  
+  test('rejects queens that touch diagonally', () => {
+    const result = validateQueens(puzzle, [2, 9, 16, 19, 29, 33]);
+    assert.equal(result.rule, 'touching');
+    assert.equal(result.step, 2);
+  });
+  
+  test('rejects two queens in a column or a region', () => {
+    assert.equal(validateQueens(puzzle, [2, 8, 16, 19, 29, 33]).rule, 'column');
+    assert.equal(validateQueens(puzzle, [2, 7, 16, 19, 29, 33]).rule, 'region');
+  });
+  
+  test('rejects a missing queen', () => {
+    const result = validateQueens(puzzle, SOLUTION.slice(0, 5));
+    assert.equal(result.rule, 'count');
+  });
+});
+
+describe('Queens page', () => {
+  test('reads the board and reports it ready', async () => {
+    await openQueensBoard();
+    
+    const puzzle = page.run('loadQueensPuzzle()');
+    assert.deepEqual(Array.from(puzzle.regions), REGIONS);
+    assert.deepEqual({ ...await sendToContent({ action: 'checkReady', game: 'queens' }) }, { ready: true });
+    
+    const readyMessages = () => callsOf(page.chrome, 'runtime.sendMessage').filter(([message]) => message.action === 'boardReady');
+    await waitFor(() => readyMessages().length > 0);
+    assert.deepEqual(readyMessages(), [[{ action: 'boardReady', game: 'queens', puzzleId: page.run('loadQueensPuzzle().id') }]]);
+  });
+  
+  test('solvePuzzle places every queen', async () => {
+    await openQueensBoard();
+    
+    const response = await sendToContent({ action: 'solvePuzzle', game: 'queens' });
+    assert.deepEqual({ ...response }, { success: true, started: true });
+    
+    const progress = () => callsOf(page.chrome, 'runtime.sendMessage').map(([message]) => message)
+      .filter(message => message.action === 'solveProgress');
+    await waitFor(() => progress().some(message => message.state === 'finished'));
+    
+    assert.deepEqual(queenCells().sort((a, b) => a - b), SOLUTION);
+    assert.equal(progress().at(-1).total, 6);
+  });
+  
+  test('removes a queen placed outside the solution first', async () => {
+    await openQueensBoard();
+    const wrong = page.document.querySelector('[data-cell-idx="0"]');
+    wrong.click();
+    wrong.click();
+    assert.deepEqual(queenCells(), [0]);
+    
+    const report = await page.run(`placeQueens(${JSON.stringify(SOLUTION)})`);
+    
+    assert.equal(report.recoveries, 1);
+    assert.equal(report.accepted, 6);
+    assert.deepEqual(queenCells().sort((a, b) => a - b), SOLUTION);
+  });
+  
+  test('showHint outlines the next queen', async () => {
+    await openQueensBoard();
+    
+    await sendToContent({ action: 'showHint', game: 'queens', count: 1 });
+    
+    const outlined = page.document.querySelector(`[data-cell-idx="${SOLUTION[0]}"]`);
+    assert.match(outlined.style.outline, /solid/);
+    assert.match(notificationsOf(page.document).at(-1).textContent, /row 1, column 3/);
+  });
+  
+  test('togglePreview is not available', async () => {
+    await openQueensBoard();
+    
+    const response = await sendToContent({ action: 'togglePreview', game: 'queens', mode: 'full' });
+    
+    assert.equal(response.success, false);
+    assert.match(response.error, /Queens has no path preview/);
+  });
+});
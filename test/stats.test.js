@@ -0,0 +1,129 @@
+/**
+ * History page tests: the statistics, the streaks and the CSV export
+ */
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtensionPage } = require('./helpers');
+
+let page = null;
+
+/**
+ * Builds a recorded run
+ * @param {Object} fields - Fields that differ from a finished 5x5 solve
+ * @returns {Object} History entry
+ */
+function run(fields) {
+  return {
+    timestamp: '2026-10-10T12:00:00.000Z', game: 'zip', puzzleId: '1', puzzleDate: null,
+    rows: 5, cols: 5, source: 'embedded', mode: 'solve', hints: 0, durationMs: 1000,
+    result: 'finished', accepted: 25, rejected: 0, unconfirmed: 0, recoveries: 0, error: null,
+    ...fields
+  };
+}
+
+/**
+ * Calls a function of the page with copies of the arguments and the result
+ * (the page's objects do not compare equal to the test's own)
+ * @param {string} name - Function name
+ * @param {...*} args - Arguments (plain values or Dates)
+ * @returns {*}
+ */
+function callPage(name, ...args) {
+  page.window.testArgs = args;
+  return JSON.parse(JSON.stringify(page.run(`${name}(...testArgs)`)));
+}
+
+before(async () => {
+  page = await loadExtensionPage('stats.html');
+});
+
+after(() => {
+  page.close();
+});
+
+describe('summarizeHistory()', () => {
+  test('counts the runs by mode and result', () => {
+    const entries = [
+      run({ puzzleDate: '2026-10-10' }),
+      run({ puzzleDate: '2026-10-11', durationMs: 3000, rejected: 2 }),
+      run({ mode: 'hint' }),
+      run({ result: 'cancelled' }),
+      run({ result: 'error', error: 'Board not found' }),
+      run({ result: 'error', error: 'Board not found', timestamp: '2026-10-11T12:00:00.000Z' }),
+      run({ rows: 7, cols: 7, mode: 'preview' })
+    ];
+    const summary = callPage('summarizeHistory', entries, new Date(2026, 9, 11, 12));
+    
+    assert.deepEqual(
+      { runs: summary.runs, solves: summary.solves, finished: summary.finished, cancelled: summary.cancelled, errors: summary.errors, hints: summary.hints },
+      { runs: 7, solves: 5, finished: 2, cancelled: 1, errors: 2, hints: 1 }
+    );
+    assert.deepEqual(summary.streaks, { current: 2, longest: 2 });
+    assert.deepEqual(summary.byGrid.map(row => row.grid), ['Zip 5x5', 'Zip 7x7']);
+    assert.deepEqual(summary.byGrid[0], {
+      grid: 'Zip 5x5', solves: 5, finished: 2, averageDurationMs: 2000, averageRejected: 1, hints: 1, failures: 2
+    });
+    assert.deepEqual(summary.failures, [
+      { error: 'Board not found', mode: 'solve', count: 2, lastSeen: '2026-10-11T12:00:00.000Z' }
+    ]);
+  });
+  
+  test('summarizes an empty history', () => {
+    const summary = callPage('summarizeHistory', []);
+    assert.equal(summary.runs, 0);
+    assert.deepEqual(summary.streaks, { current: 0, longest: 0 });
+    assert.deepEqual(summary.byGrid, []);
+  });
+});
+
+describe('computeStreaks()', () => {
+  // Three days, a day without a solve, then two days
+  const SOLVES = ['2026-10-10', '2026-10-11', '2026-10-12', '2026-10-14', '2026-10-15']
+    .map(puzzleDate => run({ puzzleDate }));
+  
+  test('restarts the streak after a day without a finished solve', () => {
+    assert.deepEqual(callPage('computeStreaks', SOLVES, new Date(2026, 9, 15, 20)), { current: 2, longest: 3 });
+  });
+  
+  test('keeps the current streak until the end of the next day', () => {
+    assert.deepEqual(callPage('computeStreaks', SOLVES, new Date(2026, 9, 16, 20)), { current: 2, longest: 3 });
+    assert.deepEqual(callPage('computeStreaks', SOLVES, new Date(2026, 9, 17, 8)), { current: 0, longest: 3 });
+  });
+  
+  test('counts several solves on one day once', () => {
+    const sameDay = [run({ puzzleDate: '2026-10-15' }), run({ puzzleDate: '2026-10-15', puzzleId: '2' })];
+    assert.deepEqual(callPage('computeStreaks', sameDay, new Date(2026, 9, 15, 20)), { current: 1, longest: 1 });
+  });
+  
+  test('uses the local day the run started when the puzzle has no date', () => {
+    const undated = [
+      run({ timestamp: new Date(2026, 9, 14, 23, 30).toISOString() }),
+      run({ timestamp: new Date(2026, 9, 15, 0, 30).toISOString() })
+    ];
+    assert.deepEqual(callPage('computeStreaks', undated, new Date(2026, 9, 15, 20)), { current: 2, longest: 2 });
+  });
+});
+
+describe('historyToCsv()', () => {
+  test('writes a header and one row per run', () => {
+    const lines = callPage('historyToCsv', [run({ puzzleDate: '2026-10-10' })]).split('\r\n');
+    
+    assert.equal(lines.length, 3);
+    assert.equal(lines[0], 'timestamp,game,puzzleId,puzzleDate,rows,cols,source,mode,hints,durationMs,result,accepted,rejected,unconfirmed,recoveries,error');
+    assert.equal(lines[1], '2026-10-10T12:00:00.000Z,zip,1,2026-10-10,5,5,embedded,solve,0,1000,finished,25,0,0,0,');
+    assert.equal(lines[2], '');
+  });
+  
+  test('quotes fields with commas, quotes and line breaks', () => {
+    const csv = callPage('historyToCsv', [
+      run({ result: 'error', error: 'Cell 3, row 1 is "blocked"' }),
+      run({ result: 'error', error: 'Line one\nline two', source: null })
+    ]);
+    const rows = csv.split('\r\n');
+    
+    assert.ok(rows[1].endsWith(',error,25,0,0,0,"Cell 3, row 1 is ""blocked"""'));
+    assert.ok(rows[2].includes(',5,5,,solve,'));
+    assert.ok(rows[2].endsWith(',"Line one\nline two"'));
+  });
+});